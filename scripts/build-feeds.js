@@ -0,0 +1,108 @@
+// Builds the subscribable calendar feeds (see src/feeds.js) into dist/feeds after `vite build`.
+// The app's own adapters and buildIcs are loaded through Vite, so feeds and in-app exports match.
+//
+//   node scripts/build-feeds.js [--out dist/feeds] [--days 28] [--start YYYY-MM-DD]
+//                               [--fixtures fixtures/espn] [--strict] [--max-failed 0.5]
+//
+// --fixtures serves each league from <dir>/<leagueId>.json instead of the network, so the
+// whole pipeline runs offline (npm run feeds:fixtures). --strict exits non-zero when any
+// league fails; by default a failing league is skipped so one ESPN blip doesn't block a deploy.
+// When every league fails, or more than --max-failed of them (a share), nothing is written and
+// the script exits non-zero: an outage must fail the build so Pages keeps the last good feeds
+// instead of publishing empty calendars over them.
+
+import { existsSync } from "node:fs";
+import { mkdir, readFile, rm, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { parseArgs } from "node:util";
+import { createServer } from "vite";
+
+const root = fileURLToPath(new URL("..", import.meta.url));
+
+const { values: args } = parseArgs({
+  options: {
+    out: { type: "string", default: "dist/feeds" },
+    days: { type: "string", default: "28" },
+    start: { type: "string" },
+    fixtures: { type: "string" },
+    strict: { type: "boolean", default: false },
+    "max-failed": { type: "string", default: "0.5" },
+  },
+});
+
+function startDate() {
+  if (args.start) return new Date(`${args.start}T00:00:00`);
+  const d = new Date();
+  d.setHours(0, 0, 0, 0);
+  return d;
+}
+
+function fixtureFetch(dir, leagues) {
+  return async (url) => {
+    const league = leagues.find((l) => String(url).startsWith(l.url));
+    const file = league && path.join(dir, `${league.id}.json`);
+    if (!file || !existsSync(file)) return new Response(`No fixture for ${url}`, { status: 404 });
+    return new Response(await readFile(file, "utf8"), { headers: { "content-type": "application/json" } });
+  };
+}
+
+const server = await createServer({
+  root,
+  logLevel: "error",
+  appType: "custom",
+  server: { middlewareMode: true, hmr: false },
+});
+
+let failed = 0;
+let aborted = false;
+try {
+  const { PROVIDERS, loadEventsForLeague } = await server.ssrLoadModule("/src/providers.js");
+  const { buildFeedFiles } = await server.ssrLoadModule("/src/feeds.js");
+
+  const entries = Object.values(PROVIDERS).flatMap((sport) =>
+    sport.leagues.map((league) => ({ league, sportName: sport.name }))
+  );
+  if (args.fixtures) globalThis.fetch = fixtureFetch(path.resolve(root, args.fixtures), entries.map((e) => e.league));
+
+  const range = { start: startDate(), days: Number(args.days) };
+  const from = range.start.getTime();
+  const to = from + range.days * 24 * 60 * 60 * 1000;
+
+  const settled = await Promise.allSettled(entries.map(({ league, sportName }) => loadEventsForLeague(league, sportName, range)));
+  const results = [];
+  settled.forEach((r, i) => {
+    const { league, sportName } = entries[i];
+    if (r.status === "rejected") {
+      failed++;
+      console.warn(`feeds: ${league.id} failed (${r.reason?.message ?? r.reason}), skipped`);
+      return;
+    }
+    const events = r.value
+      .map((e) => ({ ...e, leagueId: league.id }))
+      .filter((e) => {
+        const t = new Date(e.startTime).getTime();
+        return t >= from && t < to;
+      });
+    results.push({ league, sportName, events });
+  });
+
+  if (failed === entries.length || failed / entries.length > Number(args["max-failed"])) {
+    aborted = true;
+    console.error(`feeds: ${failed} of ${entries.length} leagues failed, nothing written`);
+  } else {
+    const { files, index } = buildFeedFiles(results);
+    const outDir = path.resolve(root, args.out);
+    await rm(outDir, { recursive: true, force: true });
+    for (const [rel, text] of Object.entries(files)) {
+      const file = path.join(outDir, rel);
+      await mkdir(path.dirname(file), { recursive: true });
+      await writeFile(file, text);
+    }
+    console.log(`feeds: ${index.leagues.length} league and ${index.teams.length} team calendars in ${path.relative(root, outDir)}`);
+  }
+} finally {
+  await server.close();
+}
+
+if (aborted || (failed && args.strict)) process.exit(1);
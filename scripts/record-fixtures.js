@@ -0,0 +1,97 @@
+// Records the ESPN scoreboards the tests and `npm run feeds:fixtures` run against into
+// fixtures/espn/<leagueId>.json. Each file is the raw response for the fixture week, trimmed of
+// the blocks nothing here reads (odds, leaders, statistics, ...) and capped at --max events, but
+// otherwise exactly what ESPN sent, so espnScoreboardProblems and the normalizers see real data.
+//
+//   node scripts/record-fixtures.js [--start 2026-03-01] [--days 7] [--max 10]
+//                                   [--out fixtures/espn] [--league nba --league epl ...]
+//
+// Re-recording changes ids, teams and times, so re-run `npx vitest run -u` afterwards and check
+// the tests that pin fixture events (changes, ics, providers, a11y) still hold.
+
+import { mkdir, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { parseArgs } from "node:util";
+import { createServer } from "vite";
+
+const root = fileURLToPath(new URL("..", import.meta.url));
+
+const { values: args } = parseArgs({
+  options: {
+    start: { type: "string", default: "2026-03-01" },
+    days: { type: "string", default: "7" },
+    max: { type: "string", default: "10" },
+    out: { type: "string", default: "fixtures/espn" },
+    league: { type: "string", multiple: true },
+  },
+});
+
+// Per-event blocks that are large, change on every request and aren't read anywhere in src/.
+const DROP_EVENT = ["weather"];
+const DROP_COMPETITION = ["odds", "leaders", "headlines", "statistics", "situation", "tickets", "highlights", "details"];
+const DROP_COMPETITOR = ["statistics", "leaders", "linescores", "probables"];
+
+function trimEvent(e) {
+  const event = { ...e };
+  for (const key of DROP_EVENT) delete event[key];
+  event.competitions = (event.competitions ?? []).map((c) => {
+    const competition = { ...c };
+    for (const key of DROP_COMPETITION) delete competition[key];
+    competition.competitors = (competition.competitors ?? []).map((t) => {
+      const competitor = { ...t };
+      for (const key of DROP_COMPETITOR) delete competitor[key];
+      return competitor;
+    });
+    return competition;
+  });
+  return event;
+}
+
+const server = await createServer({
+  root,
+  logLevel: "error",
+  appType: "custom",
+  server: { middlewareMode: true, hmr: false },
+});
+
+let failed = 0;
+try {
+  const { PROVIDERS } = await server.ssrLoadModule("/src/providers.js");
+  const { espnScoreboardProblems } = await server.ssrLoadModule("/src/contracts.js");
+  const { addDays, fmtYmd } = await server.ssrLoadModule("/src/util.js");
+
+  const leagues = Object.values(PROVIDERS)
+    .flatMap((sport) => sport.leagues)
+    .filter((l) => l.kind === "espn")
+    .filter((l) => !args.league || args.league.includes(l.id));
+
+  // Same padded window the adapter asks for, so the fixture holds what a live load would see.
+  const start = new Date(`${args.start}T00:00:00`);
+  const dates = `${fmtYmd(addDays(start, -1))}-${fmtYmd(addDays(start, Number(args.days)))}`;
+  const outDir = path.resolve(root, args.out);
+  await mkdir(outDir, { recursive: true });
+
+  for (const league of leagues) {
+    const url = new URL(league.url);
+    url.searchParams.set("dates", dates);
+    url.searchParams.set("limit", "1000");
+    try {
+      const res = await fetch(url);
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const json = await res.json();
+      const problems = espnScoreboardProblems(json);
+      if (problems.length) throw new Error(problems.slice(0, 3).join("; "));
+      const events = json.events.slice(0, Number(args.max)).map(trimEvent);
+      await writeFile(path.join(outDir, `${league.id}.json`), `${JSON.stringify({ ...json, events }, null, 2)}\n`);
+      console.log(`fixtures: ${league.id} ${events.length} of ${json.events.length} events`);
+    } catch (err) {
+      failed++;
+      console.warn(`fixtures: ${league.id} failed (${err.message}), left as is`);
+    }
+  }
+} finally {
+  await server.close();
+}
+
+if (failed) process.exit(1);
@@ -1,172 +1,143 @@
-import React, { useEffect, useMemo, useState } from "react";
-import { Calendar, Bell, RefreshCw, Search, Star, X } from "lucide-react";
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import {
+  Calendar,
+  Bell,
+  BellRing,
+  Database,
+  Download,
+  History,
+  Link,
+  Pencil,
+  Plus,
+  RefreshCw,
+  Search,
+  Star,
+  Trash2,
+  Tv,
+  Upload,
+  X,
+} from "lucide-react";
+import { WATCH_REGIONS, broadcastsIn, knownServices, onMyServices } from "./broadcasts";
+import {
+  cacheKey,
+  clearCache,
+  readCache,
+  readContextCache,
+  readTeamCache,
+  writeCache,
+  writeContextCache,
+  writeTeamCache,
+} from "./cache";
+import { FEEDS_DIR } from "./feeds";
+import {
+  changesByEvent,
+  diffEvents,
+  dismissChanges,
+  emptyChangeLog,
+  markExported,
+  readChangeLog,
+  recordChanges,
+  staleExports,
+  writeChangeLog,
+} from "./changes";
+import { CRICKET_JSON_FIELDS } from "./cricket";
+import { buildIcs, isCancelled } from "./ics";
+import { decodeShareState, enabledToLeagueIds, encodeShareState, leagueIdsToEnabled, shareDiffers } from "./shareState";
+import {
+  JSON_FIELDS,
+  adapterKinds,
+  buildSports,
+  fetchJson,
+  isInProgress,
+  loadContextForLeague,
+  loadEventsForLeague,
+  loadTeamSchedule,
+  sportKeyFor,
+  validateLeague,
+} from "./providers";
+import { exportProfile, importProfile, loadSettings, saveSettings } from "./settings";
+import { eventTeams, reconcileFavoriteTeams } from "./teams";
+import { expectedDurationMs, playingWindows } from "./durations";
+import { findClashes, primaryOf, tentativeIds, togglePrimary } from "./planner";
+import { SHORTCUT_HELP, rowTarget, shortcutFor } from "./shortcuts";
+import { eventZone, eventsInRange, groupByDay, rangeDayKeys, viewZone } from "./schedule";
+import { matchesQuery, parseQuery, suggest } from "./query";
+import { bigGameScore } from "./standings";
+import { dayKeyIn, localDateFromKey, localDayKey, wallTimeIn } from "./timezone";
+import { DAY_MS, addDays, slugify } from "./util";
+import { deliverDueReminders, supportsNotifications, supportsTriggers, syncReminders } from "./reminders";
+import {
+  LEAD_TIMES,
+  RULE_SCOPES,
+  alarmMinutesFor,
+  buildReminders,
+  leadLabel,
+} from "./reminderRules";
 
 // Sports Week Watchlist
 // - Shows upcoming matches for the next 7 days
 // - Supports Basketball (NBA), Soccer (top leagues via ESPN examples), Hockey (NHL)
-// - Cricket is included as a category with a provider placeholder (since most reliable sources need an API key)
+// - One sport at a time, or "All sports" merged into a single timeline
+// - Schedules are cached in IndexedDB (cache.js) and revalidated in the background; each
+//   refresh is diffed against the cached copy to list moved, cancelled and new matches (changes.js)
+// - Installable PWA; reminders are queued for the service worker (reminders.js, service-worker.js)
+// - Sources (providers.js): built-in ESPN leagues plus user-defined leagues for any sport;
+//   cricket has no built-in source since most reliable ones need an API key
 //
-// NOTE: Some public endpoints used below are examples and may change.
+// NOTE: Some public endpoints used are examples and may change.
 // If an endpoint fails, the app gracefully falls back and lets you add a custom provider.
 
-const DAY_MS = 24 * 60 * 60 * 1000;
+const LIVE_POLL_MS = 30 * 1000;
 
-function fmtDate(d) {
+// `timeZone` undefined formats in the viewer's own zone.
+function fmtDate(d, timeZone) {
   return new Intl.DateTimeFormat(undefined, {
     weekday: "short",
     month: "short",
     day: "2-digit",
+    timeZone,
   }).format(d);
 }
 
-function fmtTime(ts) {
+function fmtTime(ts, timeZone) {
   const d = new Date(ts);
   return new Intl.DateTimeFormat(undefined, {
     hour: "numeric",
     minute: "2-digit",
+    timeZone,
   }).format(d);
 }
 
-function startOfToday() {
-  const d = new Date();
-  d.setHours(0, 0, 0, 0);
-  return d;
+// "YYYY-MM-DD" -> "Sat, Mar 07" without the viewer's zone moving it a day.
+function fmtDayKey(key) {
+  const [y, m, d] = key.split("-").map(Number);
+  return fmtDate(new Date(Date.UTC(y, m - 1, d, 12)), "UTC");
 }
 
-function addDays(date, n) {
-  return new Date(date.getTime() + n * DAY_MS);
+// Local midnight of today's date in `zone`.
+function startOfToday(zone) {
+  return localDateFromKey(dayKeyIn(Date.now(), zone));
 }
 
-function safeGet(obj, path, fallback) {
-  try {
-    return path.split(".").reduce((acc, k) => acc?.[k], obj) ?? fallback;
-  } catch {
-    return fallback;
-  }
-}
-
-// ---------- Provider adapters ----------
-// Each adapter returns a normalized list of events:
-// { id, sport, league, title, startTime, home, away, venue, status, url }
-
-async function fetchJson(url) {
-  const res = await fetch(url);
-  if (!res.ok) throw new Error(`HTTP ${res.status}`);
-  return res.json();
+function zoneLabel(zone) {
+  return zone.split("/").pop().replace(/_/g, " ");
 }
 
-function normalizeEspnScoreboard(json, sportLabel) {
-  const events = safeGet(json, "events", []);
-  return events
-    .map((e) => {
-      const id = e?.id ?? crypto.randomUUID();
-      const league = safeGet(e, "league.name", safeGet(json, "leagues.0.name", ""));
-      const startTime = e?.date;
-      const comps = safeGet(e, "competitions.0.competitors", []);
-      const home = comps.find((c) => c?.homeAway === "home");
-      const away = comps.find((c) => c?.homeAway === "away");
-      const venue = safeGet(e, "competitions.0.venue.fullName", "");
-      const status = safeGet(e, "status.type.description", safeGet(e, "competitions.0.status.type.description", "Scheduled"));
-      const url = safeGet(e, "links.0.href", "");
-      const homeName = safeGet(home, "team.displayName", "Home");
-      const awayName = safeGet(away, "team.displayName", "Away");
-      return {
-        id,
-        sport: sportLabel,
-        league,
-        title: `${awayName} @ ${homeName}`,
-        startTime,
-        home: homeName,
-        away: awayName,
-        venue,
-        status,
-        url,
-      };
-    })
-    .filter((x) => x.startTime);
-}
+// ---------- Main component ----------
 
-// ESPN example endpoints (no key). If any fail, you can swap with your own providers.
-const PROVIDERS = {
-  basketball: {
-    name: "Basketball",
-    leagues: [
-      {
-        id: "nba",
-        name: "NBA",
-        kind: "espn",
-        // ESPN scoreboard supports dates, but even without it returns a window.
-        // We'll use the base endpoint and filter client-side.
-        url: "https://site.api.espn.com/apis/site/v2/sports/basketball/nba/scoreboard",
-      },
-    ],
-  },
-  soccer: {
-    name: "Soccer",
-    leagues: [
-      { id: "epl", name: "Premier League", kind: "espn", url: "https://site.api.espn.com/apis/site/v2/sports/soccer/eng.1/scoreboard" },
-      { id: "ucl", name: "UEFA Champions League", kind: "espn", url: "https://site.api.espn.com/apis/site/v2/sports/soccer/uefa.champions/scoreboard" },
-      { id: "laliga", name: "LaLiga", kind: "espn", url: "https://site.api.espn.com/apis/site/v2/sports/soccer/esp.1/scoreboard" },
-    ],
-  },
-  hockey: {
-    name: "Hockey",
-    leagues: [
-      { id: "nhl", name: "NHL", kind: "espn", url: "https://site.api.espn.com/apis/site/v2/sports/hockey/nhl/scoreboard" },
-    ],
-  },
-  cricket: {
-    name: "Cricket",
-    leagues: [
-      {
-        id: "custom",
-        name: "Add a Cricket Provider (API/RSS/ICS)",
-        kind: "custom",
-        url: "",
-      },
-    ],
-  },
-};
+// "All sports" pseudo-tab: loads every enabled league across all sports into one timeline.
+const ALL_SPORTS = "all";
 
-// Simple custom JSON provider format:
-// [ {"title":"India vs Australia","startTime":"2026-02-15T18:00:00Z","league":"ICC","venue":"...","url":"..."}, ... ]
-async function loadEventsForLeague(league, sportLabel) {
-  if (league.kind === "espn") {
-    const json = await fetchJson(league.url);
-    return normalizeEspnScoreboard(json, sportLabel);
-  }
-  if (league.kind === "custom") {
-    if (!league.url) return [];
-    const json = await fetchJson(league.url);
-    return (Array.isArray(json) ? json : []).map((e) => ({
-      id: e.id ?? crypto.randomUUID(),
-      sport: sportLabel,
-      league: e.league ?? "Cricket",
-      title: e.title ?? "Match",
-      startTime: e.startTime,
-      home: e.home ?? "",
-      away: e.away ?? "",
-      venue: e.venue ?? "",
-      status: e.status ?? "Scheduled",
-      url: e.url ?? "",
-    }));
-  }
-  return [];
+function sportKeysFor(activeSport, sports) {
+  if (activeSport === ALL_SPORTS) return Object.keys(sports);
+  return sports[activeSport] ? [activeSport] : [];
 }
 
-// ---------- Main component ----------
-
-const defaultEnabled = {
-  basketball: ["nba"],
-  soccer: ["epl", "ucl"],
-  hockey: ["nhl"],
-  cricket: [],
-};
-
 function Pill({ active, children, onClick }) {
   return (
     <button
       onClick={onClick}
+      aria-pressed={active}
       className={
         "px-3 py-1.5 rounded-full text-sm border transition " +
         (active ? "bg-black text-white border-black" : "bg-white text-black border-zinc-200 hover:border-zinc-400")
@@ -177,6 +148,26 @@ function Pill({ active, children, onClick }) {
   );
 }
 
+const STATUS_STYLES = {
+  ok: "border-emerald-200 bg-emerald-50 text-emerald-700",
+  stale: "border-amber-200 bg-amber-50 text-amber-700",
+  failed: "border-red-200 bg-red-50 text-red-700",
+};
+
+// Per-league fetch result chip: ok, failed (nothing to show) or stale (showing the last good data).
+function LeagueStatusChip({ result, zone }) {
+  if (!result) return null;
+  const updated = result.updatedAt ? fmtTime(result.updatedAt, zone) : "";
+  const label =
+    result.status === "ok" ? `${result.cached ? "cached" : "ok"} · ${updated}` : `${result.status} · ${result.error}`;
+  const title = result.updatedAt ? `Last updated ${fmtDate(new Date(result.updatedAt), zone)} ${updated}` : "Never loaded";
+  return (
+    <span className={"px-2 py-0.5 rounded-full border text-[11px] " + STATUS_STYLES[result.status]} title={title}>
+      {label}
+    </span>
+  );
+}
+
 function Card({ children }) {
   return <div className="rounded-2xl border border-zinc-200 bg-white shadow-sm">{children}</div>;
 }
@@ -188,228 +179,1889 @@ function SectionTitle({ icon: Icon, title, right }) {
         <div className="p-2 rounded-xl border border-zinc-200">
           <Icon className="w-4 h-4" />
         </div>
-        <div className="font-semibold">{title}</div>
+        <h2 className="font-semibold">{title}</h2>
       </div>
       {right}
     </div>
   );
 }
 
-function groupByDay(events) {
-  const map = new Map();
-  for (const e of events) {
-    const d = new Date(e.startTime);
-    d.setHours(0, 0, 0, 0);
-    const key = d.toISOString();
-    if (!map.has(key)) map.set(key, []);
-    map.get(key).push(e);
-  }
-  return [...map.entries()]
-    .sort((a, b) => new Date(a[0]) - new Date(b[0]))
-    .map(([k, v]) => ({ day: new Date(k), events: v.sort((x, y) => new Date(x.startTime) - new Date(y.startTime)) }));
+const inputClass =
+  "rounded-2xl border border-zinc-200 bg-white px-3 py-1.5 text-sm outline-none focus:ring-2 focus:ring-black/10";
+
+function describeRule(rule) {
+  const scope = RULE_SCOPES.find((s) => s.id === rule.scope)?.label ?? rule.scope;
+  const target = rule.targetName ? `: ${rule.targetName}` : "";
+  return `${leadLabel(rule.leadMinutes)} before · ${scope}${target}`;
+}
+
+// `leadMinutes` is shared with the match-row bells, which add their one-off reminders at the same lead.
+function ReminderSettings({
+  rules,
+  onChangeRules,
+  leadMinutes,
+  onChangeLeadMinutes,
+  quietHours,
+  onChangeQuietHours,
+  teams,
+  leagues,
+  preview,
+  zone,
+}) {
+  const [scope, setScope] = useState("favorites");
+  const [target, setTarget] = useState("");
+
+  const targets = scope === "team" ? teams.map((t) => ({ id: t.key, name: t.name })) : scope === "league" ? leagues : [];
+  const needsTarget = scope === "team" || scope === "league";
+
+  function addRule() {
+    const picked = targets.find((t) => t.id === target);
+    if (needsTarget && !picked) return;
+    onChangeRules([
+      ...rules,
+      { id: crypto.randomUUID(), scope, target: picked?.id ?? "", targetName: picked?.name ?? "", leadMinutes },
+    ]);
+  }
+
+  const upcoming = preview.filter((r) => !r.quiet).slice(0, 8);
+  const quietCount = preview.filter((r) => r.quiet).length;
+
+  return (
+    <div className="p-4 grid grid-cols-1 md:grid-cols-2 gap-4 text-sm">
+      <div className="flex flex-col gap-3">
+        <div>
+          <div className="font-medium mb-2">Rules</div>
+          {rules.length === 0 ? (
+            <div className="text-zinc-600">No rules — you won’t get any reminders.</div>
+          ) : (
+            <div className="flex flex-col gap-1.5">
+              {rules.map((r) => (
+                <div key={r.id} className="flex items-center justify-between gap-2 rounded-2xl border border-zinc-200 px-3 py-1.5">
+                  <span className="truncate">{describeRule(r)}</span>
+                  <button
+                    onClick={() => onChangeRules(rules.filter((x) => x.id !== r.id))}
+                    className="p-1 rounded-full hover:bg-zinc-100"
+                    title="Remove rule"
+                    aria-label={`Remove rule: ${describeRule(r)}`}
+                  >
+                    <X className="w-3.5 h-3.5" aria-hidden="true" />
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+
+        <div className="flex flex-wrap items-center gap-2">
+          <select
+            value={leadMinutes}
+            onChange={(e) => onChangeLeadMinutes(Number(e.target.value))}
+            aria-label="How long before"
+            className={inputClass}
+          >
+            {LEAD_TIMES.map((l) => (
+              <option key={l.minutes} value={l.minutes}>
+                {l.label} before
+              </option>
+            ))}
+          </select>
+          <select
+            value={scope}
+            onChange={(e) => {
+              setScope(e.target.value);
+              setTarget("");
+            }}
+            aria-label="Which matches"
+            className={inputClass}
+          >
+            {RULE_SCOPES.filter((s) => s.id !== "match").map((s) => (
+              <option key={s.id} value={s.id}>
+                {s.label}
+              </option>
+            ))}
+          </select>
+          {needsTarget && (
+            <select
+              value={target}
+              onChange={(e) => setTarget(e.target.value)}
+              aria-label={scope === "team" ? "Team" : "League"}
+              className={inputClass}
+            >
+              <option value="">Choose…</option>
+              {targets.map((t) => (
+                <option key={t.id} value={t.id}>
+                  {t.name}
+                </option>
+              ))}
+            </select>
+          )}
+          <button
+            onClick={addRule}
+            disabled={needsTarget && !target}
+            className="inline-flex items-center gap-1.5 rounded-2xl border border-zinc-200 bg-white px-3 py-1.5 shadow-sm hover:shadow disabled:opacity-50"
+          >
+            <Plus className="w-4 h-4" /> Add rule
+          </button>
+        </div>
+        <div className="text-xs text-zinc-600">
+          Tip: the bell on a match row adds a one-off reminder for that match at the lead time picked above.
+        </div>
+
+        <div className="flex flex-wrap items-center gap-2">
+          <label className="inline-flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={quietHours.enabled}
+              onChange={(e) => onChangeQuietHours({ ...quietHours, enabled: e.target.checked })}
+            />
+            Quiet hours
+          </label>
+          <input
+            type="time"
+            value={quietHours.start}
+            disabled={!quietHours.enabled}
+            onChange={(e) => onChangeQuietHours({ ...quietHours, start: e.target.value })}
+            aria-label="Quiet hours start"
+            className={inputClass + " disabled:opacity-50"}
+          />
+          <span className="text-zinc-500">to</span>
+          <input
+            type="time"
+            value={quietHours.end}
+            disabled={!quietHours.enabled}
+            onChange={(e) => onChangeQuietHours({ ...quietHours, end: e.target.value })}
+            aria-label="Quiet hours end"
+            className={inputClass + " disabled:opacity-50"}
+          />
+        </div>
+      </div>
+
+      <div>
+        <div className="font-medium mb-2">Next reminders</div>
+        {upcoming.length === 0 ? (
+          <div className="text-zinc-600">Nothing scheduled for the loaded matches.</div>
+        ) : (
+          <div className="flex flex-col gap-1.5">
+            {upcoming.map((r) => (
+              <div key={r.id} className="flex items-baseline justify-between gap-3">
+                <span className="truncate">{r.body}</span>
+                <span className="text-xs text-zinc-600 whitespace-nowrap">
+                  {fmtDate(new Date(r.fireAt), zone)} {fmtTime(r.fireAt, zone)}
+                </span>
+              </div>
+            ))}
+          </div>
+        )}
+        {quietCount > 0 && (
+          <div className="text-xs text-zinc-500 mt-2">{quietCount} reminders skipped during quiet hours.</div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+const FORM_STYLES = { W: "bg-emerald-500", D: "bg-zinc-400", L: "bg-red-500" };
+
+// "ARS #2 · 18-5-3 · ●●●●●" per team. Form reveals recent results, so it follows "Hide scores".
+function TeamContext({ event: e, context, hideScores }) {
+  const rows = eventTeams(e)
+    .map((t) => ({ team: t, c: context[t.key] }))
+    .filter((r) => r.c);
+  if (!rows.length) return null;
+  return (
+    <div className="mt-1 flex flex-col gap-0.5 text-xs text-zinc-600">
+      {rows.map(({ team, c }) => (
+        <div key={team.key} className="flex items-center gap-1.5">
+          <span className="font-medium text-zinc-700">{team.abbr || team.name}</span>
+          {c.rank ? <span>#{c.rank}</span> : null}
+          {c.record ? <span>· {c.record}</span> : null}
+          {!hideScores && c.form.length ? (
+            <span className="inline-flex items-center gap-0.5" title={`Last ${c.form.length}: ${c.form.join(" ")}`}>
+              ·
+              {c.form.map((r, i) => (
+                <span key={i} className={"w-2 h-2 rounded-full " + FORM_STYLES[r]} />
+              ))}
+            </span>
+          ) : null}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// Broadcasters for the chosen region; the user's own services first and in bold.
+function WatchLine({ event: e, watch }) {
+  const mine = new Set((watch.services[watch.region] ?? []).map((n) => n.toLowerCase()));
+  const list = broadcastsIn(e, watch.region).sort(
+    (a, b) => Number(mine.has(b.name.toLowerCase())) - Number(mine.has(a.name.toLowerCase()))
+  );
+  if (!list.length) return null;
+  return (
+    <div className="mt-1 flex flex-wrap items-center gap-1.5 text-xs text-zinc-600">
+      <Tv className="w-3.5 h-3.5" />
+      {list.map((b, i) => (
+        <span key={b.name} className={mine.has(b.name.toLowerCase()) ? "font-semibold text-zinc-900" : ""}>
+          {b.name}
+          {i < list.length - 1 ? "," : ""}
+        </span>
+      ))}
+    </div>
+  );
+}
+
+function ScoreLine({ event: e, hidden }) {
+  const [revealed, setRevealed] = useState(false);
+  if (!e.score || e.state === "pre") return null;
+  if (hidden && !revealed) {
+    return (
+      <button onClick={() => setRevealed(true)} className="text-xs text-zinc-600 underline mt-1">
+        Show score
+      </button>
+    );
+  }
+  const away = e.awayTeam?.abbr || e.away;
+  const home = e.homeTeam?.abbr || e.home;
+  return (
+    <div className="text-sm font-semibold tabular-nums mt-1">
+      {away} {e.score.away} – {e.score.home} {home}
+    </div>
+  );
+}
+
+const CHANGE_STYLES = {
+  moved: "border-amber-300 bg-amber-50 text-amber-800",
+  cancelled: "border-red-200 bg-red-50 text-red-700",
+  added: "border-emerald-200 bg-emerald-50 text-emerald-700",
+};
+
+const CHANGE_LABELS = { moved: "Moved", cancelled: "Cancelled", added: "New" };
+
+// Moved, cancelled and newly listed matches since they were first loaded (changes.js).
+function ChangesPanel({ log, leagueNames, displayZone, onDismiss, onExport }) {
+  const zone = viewZone(displayZone);
+  const when = (ts) => `${fmtDate(new Date(ts), zone)} ${fmtTime(ts, zone)}`;
+  const stale = staleExports(log);
+  return (
+    <div className="p-4 flex flex-col gap-2 text-sm">
+      {stale.length > 0 && (
+        <div className="flex flex-wrap items-center justify-between gap-2 rounded-2xl border border-amber-200 bg-amber-50 px-3 py-2 text-amber-900">
+          <span>
+            {stale.length === 1 ? "1 match" : `${stale.length} matches`} in your last calendar export changed. Export again to
+            update them; entries are replaced, not duplicated.
+          </span>
+          <button
+            onClick={onExport}
+            className="inline-flex items-center gap-1.5 rounded-2xl border border-amber-300 bg-white px-3 py-1 text-xs"
+          >
+            <Download className="w-3.5 h-3.5" /> Export .ics
+          </button>
+        </div>
+      )}
+      {log.entries.map((c) => (
+        <div key={c.id} className="flex items-start justify-between gap-3 rounded-2xl border border-zinc-200 px-3 py-2">
+          <div className="min-w-0">
+            <div className="flex items-center gap-2">
+              <span className={"text-[11px] rounded-full border px-2 py-0.5 " + CHANGE_STYLES[c.kind]}>{CHANGE_LABELS[c.kind]}</span>
+              <span className="font-medium truncate">{c.title}</span>
+              {leagueNames[c.leagueId] ? <span className="text-xs text-zinc-600">• {leagueNames[c.leagueId]}</span> : null}
+            </div>
+            <div className="text-xs text-zinc-600 mt-1">
+              {c.kind === "moved" ? (
+                <>
+                  <span className="line-through">{when(c.before)}</span> → <span className="font-medium">{when(c.after)}</span>
+                </>
+              ) : c.kind === "cancelled" ? (
+                <>Was {when(c.before ?? c.after)}</>
+              ) : (
+                <>{when(c.after)}</>
+              )}
+              <span className="text-zinc-500"> · spotted {when(c.at)}</span>
+            </div>
+          </div>
+          <button
+            onClick={() => onDismiss([c.id])}
+            className="p-1 rounded-lg hover:bg-zinc-100"
+            title="Dismiss"
+            aria-label={`Dismiss ${c.title}`}
+          >
+            <X className="w-4 h-4" aria-hidden="true" />
+          </button>
+        </div>
+      ))}
+      <div className="text-xs text-zinc-500">Reminders for moved matches follow the new time.</div>
+    </div>
+  );
+}
+
+// "Away @ Home" with each team name opening its team page; other titles stay plain text.
+function MatchTitle({ event: e, onOpenTeam }) {
+  const away = e.awayTeam?.name;
+  const home = e.homeTeam?.name;
+  const splits = away && home && e.title.startsWith(away) && e.title.endsWith(home) && e.title.length > away.length + home.length;
+  if (!onOpenTeam || !splits) return <div className="font-medium truncate">{e.title}</div>;
+  const link = (t) => (
+    <button onClick={() => onOpenTeam(t, e)} className="font-medium hover:underline" title={`${t.name}: season schedule`}>
+      {t.name}
+    </button>
+  );
+  return (
+    <div className="font-medium truncate">
+      {link(e.awayTeam)}
+      {e.title.slice(away.length, e.title.length - home.length)}
+      {link(e.homeTeam)}
+    </div>
+  );
+}
+
+// planStatus: "primary" | "tentative" | "clash" (overlaps, nothing picked) | undefined
+// Rows are one tab stop between them (`current` holds it); the arrow-key shortcuts move focus
+// from row to row using the data-match-row / data-day attributes.
+function MatchRow({
+  event: e,
+  day,
+  current,
+  onFocus,
+  showSport,
+  favoriteKeys,
+  onToggleTeam,
+  hasReminder,
+  reminderLead,
+  onToggleReminder,
+  hideScores,
+  displayZone,
+  planStatus,
+  context,
+  watch,
+  change,
+  onOpenTeam,
+}) {
+  const live = e.state === "in";
+  const zone = eventZone(e, displayZone);
+  // Second line with the venue's own kickoff time when it reads differently from the one shown.
+  let venueTime = "";
+  if (e.timeZone && !e.allDay && e.timeZone !== zone) {
+    const shown = fmtDate(new Date(e.startTime), zone) + fmtTime(e.startTime, zone);
+    const atVenue = fmtTime(e.startTime, e.timeZone);
+    const venueDay = fmtDate(new Date(e.startTime), e.timeZone);
+    if (shown !== venueDay + atVenue) {
+      const sameDay = venueDay === fmtDate(new Date(e.startTime), zone);
+      venueTime = `${atVenue}${sameDay ? "" : ` ${venueDay}`} in ${zoneLabel(e.timeZone)}`;
+    }
+  }
+  const when = e.allDay ? "all day" : fmtTime(e.dayStartTime ?? e.startTime, zone);
+  return (
+    <article
+      data-match-row
+      data-match-id={e.id}
+      data-day={day}
+      tabIndex={current ? 0 : -1}
+      onFocus={onFocus}
+      aria-label={`${e.title}, ${when}${live ? ", live" : ""}`}
+      className={
+        "rounded-2xl border bg-white px-3 py-3 flex items-start justify-between gap-3 hover:shadow-sm transition outline-none focus-visible:ring-2 focus-visible:ring-black/20 " +
+        (live ? "border-red-200" : "border-zinc-200")
+      }
+    >
+      <div className="min-w-0">
+        <div className="flex items-center gap-2">
+          <MatchTitle event={e} onOpenTeam={onOpenTeam} />
+          {showSport && (
+            <div className="text-[11px] uppercase tracking-wide rounded-full border border-zinc-200 px-2 py-0.5 text-zinc-600">
+              {e.sport}
+            </div>
+          )}
+          <div className="text-xs text-zinc-600">• {e.league}</div>
+          {e.format ? (
+            <div className="text-[11px] uppercase tracking-wide rounded-full border border-zinc-200 px-2 py-0.5 text-zinc-600">
+              {e.format}
+            </div>
+          ) : null}
+          {change && change.kind !== "cancelled" ? (
+            <div
+              className={"text-[11px] rounded-full border px-2 py-0.5 " + CHANGE_STYLES[change.kind]}
+              title={change.before ? `Was ${fmtDate(new Date(change.before), zone)} ${fmtTime(change.before, zone)}` : undefined}
+            >
+              {CHANGE_LABELS[change.kind]}
+            </div>
+          ) : null}
+          {planStatus ? (
+            <div className={"text-[11px] rounded-full border px-2 py-0.5 " + PLAN_STYLES[planStatus]}>
+              {PLAN_LABELS[planStatus]}
+            </div>
+          ) : null}
+        </div>
+        <div className="text-sm text-zinc-700 mt-1">
+          <span className="font-medium">{e.allDay ? "All day" : fmtTime(e.dayStartTime ?? e.startTime, zone)}</span>
+          {e.playDays ? (
+            <span className="text-zinc-600">
+              {" "}
+              · Day {e.playDay} of {e.playDays}
+            </span>
+          ) : null}
+          <span className="text-zinc-500"> · </span>
+          {live ? (
+            <span className="inline-flex items-center gap-1.5 text-red-600 font-medium">
+              <span className="w-1.5 h-1.5 rounded-full bg-red-600 animate-pulse" />
+              LIVE{!hideScores && e.statusDetail ? ` · ${e.statusDetail}` : e.dayNumber ? ` · Day ${e.dayNumber}` : ""}
+            </span>
+          ) : (
+            <span className="text-zinc-600">{e.status}</span>
+          )}
+          {e.venue ? (
+            <>
+              <span className="text-zinc-500"> · </span>
+              <span className="text-zinc-600 truncate">{e.venue}</span>
+            </>
+          ) : null}
+        </div>
+        {venueTime ? <div className="text-xs text-zinc-500 mt-0.5">Local kickoff: {venueTime}</div> : null}
+        {context ? <TeamContext event={e} context={context} hideScores={hideScores} /> : null}
+        <WatchLine event={e} watch={watch} />
+        <ScoreLine event={e} hidden={hideScores} />
+        {e.url ? (
+          <a href={e.url} target="_blank" rel="noreferrer" className="text-xs text-zinc-600 underline mt-1 inline-block">
+            Details
+          </a>
+        ) : null}
+      </div>
+
+      <div className="flex flex-col items-end gap-1">
+        <button
+          onClick={() => onToggleReminder(e)}
+          aria-pressed={hasReminder}
+          aria-label={`Remind me ${leadLabel(reminderLead)} before`}
+          className={
+            "p-1.5 rounded-2xl border transition " +
+            (hasReminder ? "border-black bg-black text-white" : "border-zinc-200 bg-white hover:border-zinc-400")
+          }
+          title={
+            hasReminder ? `Remove reminder (${leadLabel(reminderLead)} before)` : `Remind me ${leadLabel(reminderLead)} before`
+          }
+        >
+          <BellRing className="w-3.5 h-3.5" aria-hidden="true" />
+        </button>
+        {eventTeams(e).map((t) => {
+          const isFav = favoriteKeys.has(t.key);
+          return (
+            <button
+              key={t.key}
+              onClick={() => onToggleTeam(t, e.sport)}
+              aria-pressed={isFav}
+              aria-label={`Follow ${t.name}`}
+              className={
+                "inline-flex items-center gap-1.5 px-2 py-1 rounded-2xl border text-xs transition " +
+                (isFav ? "border-black bg-black text-white" : "border-zinc-200 bg-white hover:border-zinc-400")
+              }
+              title={isFav ? `Unfollow ${t.name}` : `Follow ${t.name}`}
+            >
+              <Star className={"w-3.5 h-3.5 " + (isFav ? "fill-current" : "")} aria-hidden="true" />
+              {t.abbr || t.name}
+            </button>
+          );
+        })}
+      </div>
+    </article>
+  );
+}
+
+// Result from `team`'s side of a finished match: "W" | "D" | "L", or "" without a score.
+function resultFor(e, team) {
+  if (e.state !== "post" || !e.score || isCancelled(e)) return "";
+  const home = Number.parseFloat(e.score.home);
+  const away = Number.parseFloat(e.score.away);
+  if (Number.isNaN(home) || Number.isNaN(away)) return "";
+  const [own, other] = e.homeTeam?.key === team.key ? [home, away] : [away, home];
+  return own > other ? "W" : own < other ? "L" : "D";
+}
+
+const RESULT_STYLES = {
+  W: "border-emerald-200 bg-emerald-50 text-emerald-700",
+  D: "border-zinc-200 bg-zinc-50 text-zinc-700",
+  L: "border-red-200 bg-red-50 text-red-700",
+};
+
+function TeamFixture({ event: e, team, displayZone, hideScores }) {
+  const zone = eventZone(e, displayZone);
+  const atHome = e.homeTeam?.key === team.key;
+  const opponent = atHome ? e.awayTeam : e.homeTeam;
+  const result = hideScores ? "" : resultFor(e, team);
+  // Scores read from this team's side: "2–1" is a win at home or away.
+  const score =
+    e.score && e.state !== "pre" && !hideScores ? (atHome ? `${e.score.home}–${e.score.away}` : `${e.score.away}–${e.score.home}`) : "";
+  return (
+    <div className="flex items-center justify-between gap-3 rounded-2xl border border-zinc-200 px-3 py-2 text-sm">
+      <div className="min-w-0">
+        <div className="truncate">
+          <span className="text-zinc-500">{atHome ? "vs" : "@"}</span>{" "}
+          <span className="font-medium">{opponent?.name ?? e.title}</span>
+        </div>
+        <div className="text-xs text-zinc-600">
+          {fmtDate(new Date(e.startTime), zone)} · {e.allDay ? "All day" : fmtTime(e.startTime, zone)} · {e.league}
+          {e.state === "pre" && isCancelled(e) ? ` · ${e.status}` : ""}
+        </div>
+      </div>
+      <div className="flex items-center gap-2 whitespace-nowrap">
+        {e.state === "in" && <span className="text-xs font-medium text-red-600">LIVE</span>}
+        {score && <span className="tabular-nums text-sm">{score}</span>}
+        {result && <span className={"text-[11px] rounded-full border px-2 py-0.5 " + RESULT_STYLES[result]}>{result}</span>}
+      </div>
+    </div>
+  );
+}
+
+// A team's season across the leagues it was seen in: live, upcoming, then results newest first.
+// schedule: { loading, events, errors: [{ leagueId, error }] }
+function TeamPage({ team, sport, schedule, leagueNames, displayZone, hideScores, isFavorite, onToggleFavorite, onExport }) {
+  const events = schedule?.events ?? [];
+  const live = events.filter((e) => e.state === "in");
+  const upcoming = events.filter((e) => e.state === "pre");
+  const results = events.filter((e) => e.state === "post").reverse();
+  const sections = [
+    ["Live", live],
+    ["Upcoming", upcoming],
+    ["Results", results],
+  ].filter(([, list]) => list.length);
+  return (
+    <div className="p-4 flex flex-col gap-4 text-sm">
+      <div className="flex flex-wrap items-center gap-2">
+        <button
+          onClick={onToggleFavorite}
+          aria-pressed={isFavorite}
+          className={
+            "inline-flex items-center gap-1.5 px-3 py-1.5 rounded-2xl border transition " +
+            (isFavorite ? "border-black bg-black text-white" : "border-zinc-200 bg-white hover:border-zinc-400")
+          }
+        >
+          <Star className={"w-4 h-4 " + (isFavorite ? "fill-current" : "")} aria-hidden="true" /> {isFavorite ? "Following" : "Follow"}
+        </button>
+        <button
+          onClick={onExport}
+          disabled={!events.length}
+          className="inline-flex items-center gap-1.5 rounded-2xl border border-zinc-200 bg-white px-3 py-1.5 shadow-sm hover:shadow disabled:opacity-50"
+        >
+          <Download className="w-4 h-4" /> Export season .ics
+        </button>
+        <span className="text-xs text-zinc-600">
+          {sport}
+          {events.length ? ` · ${upcoming.length} to play · ${results.length} played` : ""}
+        </span>
+      </div>
+      {schedule?.errors.map(({ leagueId, error }) => (
+        <div key={leagueId} role="alert" className="text-xs text-red-600">
+          {leagueNames[leagueId] ?? leagueId}: {error}
+        </div>
+      ))}
+      {schedule?.loading && <div className="text-zinc-600">Loading schedule…</div>}
+      {!schedule?.loading && !events.length && !schedule?.errors.length && (
+        <div className="text-zinc-600">No fixtures found for {team.name}.</div>
+      )}
+      {sections.map(([title, list]) => (
+        <div key={title}>
+          <h3 className="font-semibold mb-2">{title}</h3>
+          <div className="grid grid-cols-1 gap-2">
+            {list.map((e) => (
+              <TeamFixture key={e.id} event={e} team={team} displayZone={displayZone} hideScores={hideScores} />
+            ))}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+const emptyLeagueDraft = { id: null, sport: "", name: "", kind: "json", url: "", mappingText: "" };
+
+function FieldError({ message }) {
+  return message ? (
+    <div role="alert" className="text-xs text-red-600 mt-1">
+      {message}
+    </div>
+  ) : null;
 }
 
-function buildIcs(events, calendarName = "My Sports") {
-  // Minimal iCalendar generator
-  const lines = [];
-  const dtstamp = new Date().toISOString().replace(/[-:]/g, "").split(".")[0] + "Z";
-  lines.push("BEGIN:VCALENDAR");
-  lines.push("VERSION:2.0");
-  lines.push("PRODID:-//Sports Week Watchlist//EN");
-  lines.push(`X-WR-CALNAME:${calendarName}`);
-
-  for (const e of events) {
-    const start = new Date(e.startTime);
-    const end = new Date(start.getTime() + 2 * 60 * 60 * 1000);
-    const dtStart = start.toISOString().replace(/[-:]/g, "").split(".")[0] + "Z";
-    const dtEnd = end.toISOString().replace(/[-:]/g, "").split(".")[0] + "Z";
-    const uid = `${e.id}@sports-week-watchlist`;
-
-    const summary = (e.title || "Match").replace(/\n/g, " ");
-    const location = (e.venue || "").replace(/\n/g, " ");
-    const description = `${e.sport} • ${e.league}${e.url ? `\\n${e.url}` : ""}`;
-
-    lines.push("BEGIN:VEVENT");
-    lines.push(`UID:${uid}`);
-    lines.push(`DTSTAMP:${dtstamp}`);
-    lines.push(`DTSTART:${dtStart}`);
-    lines.push(`DTEND:${dtEnd}`);
-    lines.push(`SUMMARY:${summary}`);
-    if (location) lines.push(`LOCATION:${location}`);
-    lines.push(`DESCRIPTION:${description}`);
-    lines.push("END:VEVENT");
-  }
-
-  lines.push("END:VCALENDAR");
-  return lines.join("\r\n");
+// Add / edit / remove user-defined leagues. Validation lives in providers.js (validateLeague).
+function ProviderSettings({ userLeagues, sportNames, onSave, onRemove }) {
+  const [draft, setDraft] = useState(emptyLeagueDraft);
+  const [errors, setErrors] = useState({});
+  const kinds = adapterKinds();
+  const hint = kinds.find((k) => k.kind === draft.kind)?.hint ?? "";
+
+  function edit(league) {
+    setDraft({ ...league, mappingText: league.mapping ? JSON.stringify(league.mapping, null, 2) : "" });
+    setErrors({});
+  }
+
+  function save() {
+    let mapping;
+    const next = {};
+    if (draft.mappingText.trim()) {
+      try {
+        mapping = JSON.parse(draft.mappingText);
+      } catch {
+        next.mapping = "Mapping isn’t valid JSON.";
+      }
+    }
+    const league = {
+      id: draft.id,
+      sport: draft.sport.trim(),
+      name: draft.name.trim(),
+      kind: draft.kind,
+      url: draft.url.trim(),
+      ...(mapping ? { mapping } : {}),
+    };
+    Object.assign(next, validateLeague(league, userLeagues), next);
+    setErrors(next);
+    if (Object.keys(next).length) return;
+    onSave(league);
+    setDraft(emptyLeagueDraft);
+  }
+
+  const set = (field) => (e) => setDraft((d) => ({ ...d, [field]: e.target.value }));
+
+  return (
+    <div className="p-4 grid grid-cols-1 md:grid-cols-2 gap-4 text-sm">
+      <div>
+        <div className="font-medium mb-2">Your leagues</div>
+        {userLeagues.length === 0 ? (
+          <div className="text-zinc-600">None yet. Add a JSON feed (or any registered source type) for any sport.</div>
+        ) : (
+          <div className="flex flex-col gap-1.5">
+            {userLeagues.map((l) => (
+              <div key={l.id} className="flex items-center justify-between gap-2 rounded-2xl border border-zinc-200 px-3 py-1.5">
+                <div className="min-w-0">
+                  <div className="truncate">
+                    {l.name} <span className="text-zinc-500">· {l.sport}</span>
+                  </div>
+                  <div className="text-xs text-zinc-500 truncate">
+                    {kinds.find((k) => k.kind === l.kind)?.label ?? l.kind} · {l.url}
+                  </div>
+                </div>
+                <div className="flex items-center gap-1">
+                  <button
+                    onClick={() => edit(l)}
+                    className="p-1 rounded-full hover:bg-zinc-100"
+                    title="Edit"
+                    aria-label={`Edit ${l.name}`}
+                  >
+                    <Pencil className="w-3.5 h-3.5" aria-hidden="true" />
+                  </button>
+                  <button
+                    onClick={() => onRemove(l.id)}
+                    className="p-1 rounded-full hover:bg-zinc-100"
+                    title="Remove"
+                    aria-label={`Remove ${l.name}`}
+                  >
+                    <Trash2 className="w-3.5 h-3.5" aria-hidden="true" />
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <div className="flex flex-col gap-2">
+        <div className="font-medium">{draft.id ? "Edit league" : "Add a league"}</div>
+        <div className="grid grid-cols-2 gap-2">
+          <div>
+            <input
+              value={draft.sport}
+              onChange={set("sport")}
+              list="sww-sports"
+              placeholder="Sport"
+              aria-label="Sport"
+              aria-invalid={!!errors.sport}
+              className={inputClass + " w-full"}
+            />
+            <datalist id="sww-sports">
+              {sportNames.map((n) => (
+                <option key={n} value={n} />
+              ))}
+            </datalist>
+            <FieldError message={errors.sport} />
+          </div>
+          <div>
+            <input
+              value={draft.name}
+              onChange={set("name")}
+              placeholder="League name"
+              aria-label="League name"
+              aria-invalid={!!errors.name}
+              className={inputClass + " w-full"}
+            />
+            <FieldError message={errors.name} />
+          </div>
+        </div>
+        <div>
+          <select value={draft.kind} onChange={set("kind")} aria-label="Source type" className={inputClass + " w-full"}>
+            {kinds.map((k) => (
+              <option key={k.kind} value={k.kind}>
+                {k.label}
+              </option>
+            ))}
+          </select>
+          <FieldError message={errors.kind} />
+        </div>
+        <div>
+          <input
+            value={draft.url}
+            onChange={set("url")}
+            placeholder={hint || "https://…"}
+            aria-label="Feed URL"
+            aria-invalid={!!errors.url}
+            className={inputClass + " w-full"}
+          />
+          <FieldError message={errors.url} />
+        </div>
+        {(draft.kind === "json" || draft.kind === "cricket") && (
+          <div>
+            <textarea
+              value={draft.mappingText}
+              onChange={set("mappingText")}
+              rows={3}
+              aria-label="Field mapping"
+              aria-invalid={!!errors.mapping}
+              placeholder={'Optional field mapping, e.g. {"items": "data.matches", "startTime": "kickoff"}'}
+              className={inputClass + " w-full font-mono text-xs"}
+            />
+            <div className="text-xs text-zinc-500">
+              Fields: items, {(draft.kind === "cricket" ? [...JSON_FIELDS, ...CRICKET_JSON_FIELDS] : JSON_FIELDS).join(", ")}.
+            </div>
+            <FieldError message={errors.mapping} />
+          </div>
+        )}
+        <div className="flex gap-2">
+          <button
+            onClick={save}
+            className="inline-flex items-center gap-1.5 rounded-2xl border border-zinc-200 bg-white px-3 py-1.5 shadow-sm hover:shadow"
+          >
+            {draft.id ? <Pencil className="w-4 h-4" aria-hidden="true" /> : <Plus className="w-4 h-4" aria-hidden="true" />}
+            {draft.id ? "Save league" : "Add league"}
+          </button>
+          {draft.id && (
+            <button
+              onClick={() => {
+                setDraft(emptyLeagueDraft);
+                setErrors({});
+              }}
+              className="rounded-2xl border border-zinc-200 bg-white px-3 py-1.5"
+            >
+              Cancel
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+const PLAN_STYLES = {
+  primary: "border-black bg-black text-white",
+  tentative: "border-zinc-200 text-zinc-500",
+  clash: "border-amber-200 bg-amber-50 text-amber-700",
+};
+
+const PLAN_LABELS = { primary: "Watching", tentative: "Tentative", clash: "Clash" };
+
+// Minutes since midnight of `ts` on clocks in `zone` (undefined = the viewer's).
+function minutesIntoDay(ts, zone) {
+  if (!zone) {
+    const d = new Date(ts);
+    return d.getHours() * 60 + d.getMinutes();
+  }
+  const w = wallTimeIn(zone, ts);
+  return w.h * 60 + w.mi;
+}
+
+// One day of the planner: each match as a bar on a 24h axis, then that day's clashes with a
+// "Watch" choice per match.
+function PlannerDay({ day, events, slots, primaryIds, statusOf, onPickPrimary, displayZone }) {
+  const ids = new Set(events.map((e) => e.id));
+  const daySlots = slots.filter((slot) => slot.events.some((e) => ids.has(e.id)));
+  const dayMinutes = 24 * 60;
+  return (
+    <div>
+      <h3 className="text-sm font-semibold mb-2">{fmtDayKey(day)}</h3>
+      <div className="rounded-2xl border border-zinc-200 bg-white p-3">
+        <div className="relative h-4 text-[10px] text-zinc-500">
+          {[0, 6, 12, 18].map((h) => (
+            <span key={h} className="absolute" style={{ left: `${(h / 24) * 100}%` }}>
+              {String(h).padStart(2, "0")}:00
+            </span>
+          ))}
+        </div>
+        <div className="flex flex-col gap-1 mt-1">
+          {events.map((e) => {
+            const zone = eventZone(e, displayZone);
+            const window = e.playDays ? playingWindows(e)[e.playDay - 1] : null;
+            const start = e.allDay ? 0 : minutesIntoDay(e.dayStartTime ?? e.startTime, zone);
+            const length = e.allDay ? dayMinutes : (window ? window.end - window.start : expectedDurationMs(e)) / 60000;
+            const width = Math.max(2, (Math.min(length, dayMinutes - start) / dayMinutes) * 100);
+            const status = statusOf(e);
+            return (
+              <div key={e.id} className="relative h-6 rounded-lg bg-zinc-50">
+                <div
+                  className={
+                    "absolute inset-y-0 rounded-lg border px-2 text-[11px] leading-6 truncate " +
+                    (status ? PLAN_STYLES[status] : "border-zinc-300 bg-zinc-100 text-zinc-700")
+                  }
+                  style={{ left: `${(start / dayMinutes) * 100}%`, width: `${width}%` }}
+                  title={`${e.allDay ? "All day" : fmtTime(e.dayStartTime ?? e.startTime, zone)} · ${e.title}`}
+                >
+                  {e.title}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+        {daySlots.length ? (
+          <div className="mt-3 flex flex-col gap-2">
+            {daySlots.map((slot) => {
+              const primary = primaryOf(slot, primaryIds);
+              return (
+                <div key={slot.key} className="rounded-xl border border-amber-200 bg-amber-50 p-2 text-sm">
+                  <div className="text-xs font-medium text-amber-800">
+                    {slot.events.length} matches overlap {fmtTime(slot.start, viewZone(displayZone))} –{" "}
+                    {fmtTime(slot.end, viewZone(displayZone))}
+                    {primary ? "" : " · pick one to watch"}
+                  </div>
+                  <div className="mt-1 flex flex-wrap gap-2">
+                    {slot.events.map((e) => {
+                      const isPrimary = primary?.id === e.id;
+                      return (
+                        <button
+                          key={e.id}
+                          onClick={() => onPickPrimary(slot, e.id)}
+                          aria-pressed={isPrimary}
+                          className={
+                            "inline-flex items-center gap-1.5 px-2 py-1 rounded-2xl border text-xs transition " +
+                            (isPrimary ? "border-black bg-black text-white" : "border-zinc-200 bg-white hover:border-zinc-400")
+                          }
+                          title={isPrimary ? "Clear the choice for this slot" : "Watch this one; the others become tentative"}
+                        >
+                          <Star className={"w-3.5 h-3.5 " + (isPrimary ? "fill-current" : "")} aria-hidden="true" />
+                          {e.title}
+                        </button>
+                      );
+                    })}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        ) : null}
+      </div>
+    </div>
+  );
+}
+
+// Search input with completions for the query language (query.js): ↑/↓ pick, Enter accepts the
+// picked one (and only closes the list when nothing is picked, so what was typed stays), Esc
+// closes. Tab is left alone so focus can always leave the box.
+// Announced as a combobox with the completions as its listbox.
+function SearchBox({ query, onChange, events, inputRef }) {
+  const [open, setOpen] = useState(false);
+  // Index of the suggestion picked with ↑/↓; -1 until one is.
+  const [active, setActive] = useState(-1);
+  const suggestions = useMemo(() => (open ? suggest(query, events) : []), [open, query, events]);
+  const picked = Math.min(active, suggestions.length - 1);
+
+  function accept(value) {
+    onChange(value);
+    setActive(-1);
+  }
+
+  function onKeyDown(ev) {
+    if (!suggestions.length) return;
+    if (ev.key === "ArrowDown" || ev.key === "ArrowUp") {
+      ev.preventDefault();
+      const n = suggestions.length;
+      setActive((i) => (i < 0 ? (ev.key === "ArrowDown" ? 0 : n - 1) : (i + (ev.key === "ArrowDown" ? 1 : -1) + n) % n));
+    } else if (ev.key === "Enter") {
+      if (picked < 0) {
+        setOpen(false);
+        return;
+      }
+      ev.preventDefault();
+      accept(suggestions[picked]);
+    } else if (ev.key === "Escape") {
+      setOpen(false);
+    }
+  }
+
+  const listId = "sww-search-suggestions";
+  const optionId = (i) => `${listId}-${i}`;
+  const expanded = suggestions.length > 0;
+  return (
+    <div className="relative w-full">
+      <Search className="w-4 h-4 absolute left-3 top-1/2 -translate-y-1/2 text-zinc-500" aria-hidden="true" />
+      <input
+        ref={inputRef}
+        type="search"
+        role="combobox"
+        aria-label="Search matches"
+        aria-keyshortcuts="/"
+        aria-autocomplete="list"
+        aria-expanded={expanded}
+        aria-controls={expanded ? listId : undefined}
+        aria-activedescendant={expanded && picked >= 0 ? optionId(picked) : undefined}
+        value={query}
+        onChange={(e) => {
+          onChange(e.target.value);
+          setOpen(true);
+          setActive(-1);
+        }}
+        onFocus={() => setOpen(true)}
+        onBlur={() => setOpen(false)}
+        onKeyDown={onKeyDown}
+        placeholder="Search… e.g. team:arsenal day:sat after:18:00 -status:final"
+        className="w-full rounded-2xl border border-zinc-200 bg-white pl-9 pr-3 py-2 text-sm outline-none focus:ring-2 focus:ring-black/10"
+      />
+      {expanded && (
+        <div
+          id={listId}
+          role="listbox"
+          aria-label="Search suggestions"
+          className="absolute z-10 mt-1 w-full overflow-hidden rounded-2xl border border-zinc-200 bg-white text-sm shadow"
+        >
+          {suggestions.map((sug, i) => (
+            <div
+              key={sug}
+              id={optionId(i)}
+              role="option"
+              aria-selected={i === picked}
+              // mousedown, not click: the input's blur would close the list first.
+              onMouseDown={(ev) => {
+                ev.preventDefault();
+                accept(sug);
+              }}
+              className={"block w-full cursor-pointer px-3 py-1.5 text-left " + (i === picked ? "bg-zinc-100" : "hover:bg-zinc-50")}
+            >
+              {sug}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Week grid: league colors are picked by hashing the league id, so a league keeps its color
+// across reloads without anyone assigning one.
+const LEAGUE_COLORS = [
+  "border-sky-200 bg-sky-50 text-sky-900",
+  "border-emerald-200 bg-emerald-50 text-emerald-900",
+  "border-violet-200 bg-violet-50 text-violet-900",
+  "border-amber-200 bg-amber-50 text-amber-900",
+  "border-rose-200 bg-rose-50 text-rose-900",
+  "border-teal-200 bg-teal-50 text-teal-900",
+  "border-orange-200 bg-orange-50 text-orange-900",
+  "border-indigo-200 bg-indigo-50 text-indigo-900",
+];
+
+function leagueColor(leagueId) {
+  let h = 0;
+  for (const ch of String(leagueId)) h = (h * 31 + ch.charCodeAt(0)) >>> 0;
+  return LEAGUE_COLORS[h % LEAGUE_COLORS.length];
+}
+
+const WEEK_DAYS = 7;
+
+// Days as columns, hours as rows (only hours with a match, so a sparse week stays short).
+// Arrow keys move between days, PageUp/PageDown (or Shift+arrows) between weeks,
+// Home/End to the ends of the range.
+function WeekGrid({ rangeStart, rangeDays, grouped, displayZone }) {
+  const [focusedDay, setFocusedDay] = useState(0);
+  const headerRefs = useRef([]);
+  const days = useMemo(
+    () => Array.from({ length: rangeDays }, (_, i) => localDayKey(addDays(rangeStart, i))),
+    [rangeStart, rangeDays]
+  );
+  const current = Math.min(focusedDay, rangeDays - 1);
+  const page = Math.floor(current / WEEK_DAYS);
+  const pageDays = days.slice(page * WEEK_DAYS, page * WEEK_DAYS + WEEK_DAYS);
+  const byDay = new Map(grouped.map((g) => [g.day, g.events]));
+
+  const hourOf = (e) =>
+    e.allDay ? -1 : Math.floor(minutesIntoDay(e.dayStartTime ?? e.startTime, eventZone(e, displayZone)) / 60);
+  const hours = [...new Set(pageDays.flatMap((d) => (byDay.get(d) ?? []).map(hourOf)))].sort((a, b) => a - b);
+
+  function moveTo(index) {
+    const next = Math.max(0, Math.min(rangeDays - 1, index));
+    setFocusedDay(next);
+    // The target header may be on a page that isn't rendered yet.
+    requestAnimationFrame(() => headerRefs.current[next]?.focus());
+  }
+
+  function onKeyDown(ev) {
+    const week = ev.shiftKey ? WEEK_DAYS : 1;
+    const moves = {
+      ArrowLeft: current - week,
+      ArrowRight: current + week,
+      PageUp: current - WEEK_DAYS,
+      PageDown: current + WEEK_DAYS,
+      Home: 0,
+      End: rangeDays - 1,
+    };
+    if (!(ev.key in moves)) return;
+    ev.preventDefault();
+    moveTo(moves[ev.key]);
+  }
+
+  const label = (h) => (h < 0 ? "All day" : fmtTime(new Date(2000, 0, 1, h)));
+
+  return (
+    <div onKeyDown={onKeyDown}>
+      <div className="flex items-center justify-between mb-2 text-xs text-zinc-600">
+        <button
+          onClick={() => moveTo((page - 1) * WEEK_DAYS)}
+          disabled={page === 0}
+          className="rounded-2xl border border-zinc-200 bg-white px-2.5 py-1 disabled:opacity-40"
+        >
+          ← Previous week
+        </button>
+        <span>←/→ days · PgUp/PgDn weeks</span>
+        <button
+          onClick={() => moveTo((page + 1) * WEEK_DAYS)}
+          disabled={(page + 1) * WEEK_DAYS >= rangeDays}
+          className="rounded-2xl border border-zinc-200 bg-white px-2.5 py-1 disabled:opacity-40"
+        >
+          Next week →
+        </button>
+      </div>
+      <div className="overflow-x-auto">
+        <div
+          className="grid gap-1 min-w-[640px]"
+          style={{ gridTemplateColumns: `4rem repeat(${pageDays.length}, minmax(0, 1fr))` }}
+        >
+          <div />
+          {pageDays.map((d, i) => {
+            const index = page * WEEK_DAYS + i;
+            const isFocused = index === current;
+            return (
+              <button
+                key={d}
+                ref={(el) => (headerRefs.current[index] = el)}
+                tabIndex={isFocused ? 0 : -1}
+                aria-pressed={isFocused}
+                onClick={() => setFocusedDay(index)}
+                className={
+                  "rounded-xl px-2 py-1.5 text-xs font-semibold text-left outline-none focus:ring-2 focus:ring-black/20 " +
+                  (isFocused ? "bg-black text-white" : "bg-zinc-100 text-zinc-700")
+                }
+              >
+                {fmtDayKey(d)}
+              </button>
+            );
+          })}
+
+          {hours.length === 0 ? (
+            <div className="col-span-full py-6 text-center text-sm text-zinc-600">No matches this week.</div>
+          ) : (
+            hours.map((h) => (
+              <React.Fragment key={h}>
+                <div className="pt-1 text-[11px] text-zinc-500">{label(h)}</div>
+                {pageDays.map((d, i) => (
+                  <div
+                    key={d}
+                    className={
+                      "min-h-[2.5rem] rounded-xl border p-1 flex flex-col gap-1 " +
+                      (page * WEEK_DAYS + i === current ? "border-zinc-300" : "border-zinc-100")
+                    }
+                  >
+                    {(byDay.get(d) ?? [])
+                      .filter((e) => hourOf(e) === h)
+                      .map((e) => (
+                        <div
+                          key={e.id}
+                          className={"rounded-lg border px-1.5 py-1 text-[11px] leading-tight " + leagueColor(e.leagueId)}
+                          title={`${e.league} · ${e.title}${e.venue ? ` · ${e.venue}` : ""}`}
+                        >
+                          <div className="font-medium">
+                            {e.allDay ? "All day" : fmtTime(e.dayStartTime ?? e.startTime, eventZone(e, displayZone))}
+                            {e.playDays ? ` · Day ${e.playDay}` : ""}
+                          </div>
+                          <div className="truncate">{e.title}</div>
+                        </div>
+                      ))}
+                  </div>
+                ))}
+              </React.Fragment>
+            ))
+          )}
+        </div>
+      </div>
+      <div className="mt-3 flex flex-wrap gap-2 text-[11px]">
+        {[...new Map(grouped.flatMap((g) => g.events).map((e) => [e.leagueId, e.league])).entries()].map(([id, name]) => (
+          <span key={id} className={"rounded-full border px-2 py-0.5 " + leagueColor(id)}>
+            {name}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
 }
 
 export default function SportsWeekWatchlistApp() {
-  const [activeSport, setActiveSport] = useState("basketball");
-  const [enabled, setEnabled] = useState(() => {
-    const saved = localStorage.getItem("sww_enabled");
-    return saved ? JSON.parse(saved) : defaultEnabled;
+  const [saved] = useState(loadSettings);
+  const [userLeagues, setUserLeagues] = useState(saved.settings.leagues);
+  const sports = useMemo(() => buildSports(userLeagues), [userLeagues]);
+  // A shared link's view (sport, dates, search) applies straight away; its leagues and teams
+  // would overwrite the recipient's saved settings, so those wait for the banner below.
+  const [sharedAtLoad] = useState(() => decodeShareState(window.location.search));
+  const [activeSport, setActiveSport] = useState(() => {
+    const valid = (key) => key === ALL_SPORTS || Boolean(buildSports(userLeagues)[key]);
+    if (valid(sharedAtLoad?.activeSport)) return sharedAtLoad.activeSport;
+    return valid(saved.settings.activeSport) ? saved.settings.activeSport : "basketball";
   });
-  const [favorites, setFavorites] = useState(() => {
-    const saved = localStorage.getItem("sww_favorites");
-    return saved ? JSON.parse(saved) : [];
+  const [enabled, setEnabled] = useState(saved.settings.enabled);
+  const [seenDefaults, setSeenDefaults] = useState(saved.settings.seenDefaults);
+  const [favoriteTeams, setFavoriteTeams] = useState(saved.settings.teams);
+  const [hideScores, setHideScores] = useState(saved.settings.hideScores);
+  const [myTeamsOnly, setMyTeamsOnly] = useState(() => (sharedAtLoad ? sharedAtLoad.myTeamsOnly : saved.settings.myTeamsOnly));
+  // Shown when stored settings were unreadable or partly reset (see settings.js).
+  const [settingsNotice, setSettingsNotice] = useState(() => {
+    if (saved.recovered) return "Your saved settings couldn’t be read, so the defaults are back. A copy of the old data was kept.";
+    if (saved.problems.length) return `Some saved settings were invalid and have been reset: ${saved.problems.join(", ")}.`;
+    return "";
   });
-  const [customCricketUrl, setCustomCricketUrl] = useState(() => localStorage.getItem("sww_cricket_url") ?? "");
+  const [pendingShare, setPendingShare] = useState(() =>
+    sharedAtLoad && shareDiffers(sharedAtLoad, enabled, favoriteTeams) ? sharedAtLoad : null
+  );
 
-  const [rangeStart, setRangeStart] = useState(() => startOfToday());
-  const [rangeDays, setRangeDays] = useState(7);
+  const [displayZone, setDisplayZone] = useState(saved.settings.displayZone);
+  const [primaryIds, setPrimaryIds] = useState(saved.settings.primaryIds);
+  const [view, setView] = useState(saved.settings.view);
+  const [showContext, setShowContext] = useState(saved.settings.showContext);
+  const [sortMode, setSortMode] = useState(saved.settings.sortMode);
+  const [watch, setWatch] = useState(saved.settings.watch);
+  const [watchOnly, setWatchOnly] = useState(saved.settings.watchOnly);
+  const [savedViews, setSavedViews] = useState(saved.settings.savedViews);
+  const [rangeStart, setRangeStart] = useState(() => sharedAtLoad?.rangeStart ?? startOfToday(viewZone(displayZone)));
+  const [rangeDays, setRangeDays] = useState(() => sharedAtLoad?.rangeDays ?? 7);
 
-  const [query, setQuery] = useState("");
-  const [loading, setLoading] = useState(false);
-  const [error, setError] = useState("");
-  const [events, setEvents] = useState([]);
+  const [query, setQuery] = useState(() => sharedAtLoad?.query ?? "");
+  // { [leagueId]: { status: "ok" | "failed" | "stale", events, error, updatedAt } }
+  const [leagueResults, setLeagueResults] = useState({});
+  const [inFlight, setInFlight] = useState(0);
+  const [reminderRules, setReminderRules] = useState(saved.settings.reminderRules);
+  const [reminderLead, setReminderLead] = useState(saved.settings.reminderLead);
+  const [quietHours, setQuietHours] = useState(saved.settings.quietHours);
+  const [notificationPermission, setNotificationPermission] = useState(() =>
+    supportsNotifications() ? Notification.permission : "unsupported"
+  );
+  const fetchSeq = useRef({});
+  const loading = inFlight > 0;
+  // Change log (changes.js); null until read from IndexedDB.
+  const [changeLog, setChangeLog] = useState(null);
+  const changeLogLoaded = useRef(false);
+  // Keyboard navigation (shortcuts.js): the search box "/" focuses, the match row holding the
+  // list's tab stop ("day|id"), and what the last shortcut did, for screen readers.
+  const searchRef = useRef(null);
+  const profileInputRef = useRef(null);
+  const [currentRow, setCurrentRow] = useState(null);
+  const [announcement, setAnnouncement] = useState("");
 
-  const sport = PROVIDERS[activeSport];
+  const isAllSports = activeSport === ALL_SPORTS;
+  const sportKeys = sportKeysFor(activeSport, sports);
 
   // Persist
+  const currentSettings = useMemo(
+    () => ({
+      activeSport,
+      enabled,
+      seenDefaults,
+      teams: favoriteTeams,
+      myTeamsOnly,
+      hideScores,
+      leagues: userLeagues,
+      reminderRules,
+      reminderLead,
+      quietHours,
+      displayZone,
+      primaryIds,
+      view,
+      showContext,
+      sortMode,
+      watch,
+      watchOnly,
+      savedViews,
+    }),
+    [
+      activeSport,
+      enabled,
+      seenDefaults,
+      favoriteTeams,
+      myTeamsOnly,
+      hideScores,
+      userLeagues,
+      reminderRules,
+      reminderLead,
+      quietHours,
+      displayZone,
+      primaryIds,
+      view,
+      showContext,
+      sortMode,
+      watch,
+      watchOnly,
+      savedViews,
+    ]
+  );
   useEffect(() => {
-    localStorage.setItem("sww_enabled", JSON.stringify(enabled));
-  }, [enabled]);
-  useEffect(() => {
-    localStorage.setItem("sww_favorites", JSON.stringify(favorites));
-  }, [favorites]);
+    saveSettings(currentSettings);
+  }, [currentSettings]);
   useEffect(() => {
-    localStorage.setItem("sww_cricket_url", customCricketUrl);
-  }, [customCricketUrl]);
+    // The sport tab disappears when its last user league is removed.
+    if (activeSport !== ALL_SPORTS && !sports[activeSport]) setActiveSport(ALL_SPORTS);
+  }, [activeSport, sports]);
 
-  async function refresh() {
-    setLoading(true);
-    setError("");
-    try {
-      const end = addDays(rangeStart, rangeDays);
-      const enabledIds = enabled[activeSport] ?? [];
+  const chosenLeagues = useMemo(
+    () =>
+      sportKeysFor(activeSport, sports).flatMap((key) => {
+        const enabledIds = enabled[key] ?? [];
+        return (sports[key].leagues ?? [])
+          .filter((l) => enabledIds.includes(l.id))
+          .map((l) => ({ league: l, sportName: sports[key].name }));
+      }),
+    [activeSport, enabled, sports]
+  );
 
-      const leagues = (sport.leagues ?? []).map((l) => {
-        if (activeSport === "cricket" && l.kind === "custom") {
-          return { ...l, url: customCricketUrl };
+  // Fetch leagues concurrently; each settles on its own so one bad endpoint doesn't blank the rest.
+  // Cached data renders first (stale-while-revalidate); the network is skipped while the cache
+  // entry is fresh unless `force` is set (manual refresh / retry).
+  async function loadLeagues(entries, { force = false } = {}) {
+    if (entries.length === 0) return;
+    const range = { start: rangeStart, days: rangeDays };
+    setInFlight((n) => n + 1);
+    await Promise.allSettled(
+      entries.map(async ({ league, sportName }) => {
+        const seq = (fetchSeq.current[league.id] ?? 0) + 1;
+        fetchSeq.current[league.id] = seq;
+        const apply = (update) => {
+          if (fetchSeq.current[league.id] !== seq) return; // a newer fetch owns this league
+          setLeagueResults((prev) => ({ ...prev, [league.id]: update(prev[league.id]) }));
+        };
+
+        const key = cacheKey(league, range);
+        const cached = await readCache(key);
+        if (cached) {
+          apply(() => ({ status: "ok", events: cached.events, error: "", updatedAt: cached.fetchedAt, cached: true }));
+          if (!force && cached.expiresAt > Date.now()) return;
         }
-        return l;
-      });
-
-      const chosen = leagues.filter((l) => enabledIds.includes(l.id));
-      const all = [];
-      for (const league of chosen) {
-        const list = await loadEventsForLeague(league, sport.name);
-        all.push(...list);
-      }
 
-      const filtered = all.filter((e) => {
-        const t = new Date(e.startTime).getTime();
-        return t >= rangeStart.getTime() && t < end.getTime();
-      });
+        try {
+          const list = (await loadEventsForLeague(league, sportName, range)).map((e) => ({ ...e, leagueId: league.id }));
+          const now = Date.now();
+          // The cached copy is the previous snapshot of this league and range.
+          const changes = cached ? diffEvents(cached.events, list, now) : [];
+          if (changes.length) setChangeLog((log) => recordChanges(log ?? emptyChangeLog(), changes));
+          apply(() => ({ status: "ok", events: list, error: "", updatedAt: now, cached: false }));
+          await writeCache(key, list, now);
+        } catch (err) {
+          const error = err?.message ?? "Failed to load";
+          apply((before) =>
+            before?.events?.length
+              ? { ...before, status: "stale", error }
+              : { status: "failed", events: [], error, updatedAt: before?.updatedAt ?? null, cached: false }
+          );
+        }
+      })
+    );
+    setInFlight((n) => n - 1);
+  }
+
+  function refresh() {
+    return loadLeagues(chosenLeagues, { force: true });
+  }
 
-      setEvents(filtered);
-    } catch (e) {
-      setError(e?.message ?? "Failed to load matches");
-    } finally {
-      setLoading(false);
-    }
+  async function clearScheduleCache() {
+    await clearCache();
+    // The change log shares the store; keep it.
+    if (changeLog) await writeChangeLog(changeLog);
+    setLeagueResults({});
+    return refresh();
   }
 
+  function retryFailed() {
+    return loadLeagues(
+      chosenLeagues.filter(({ league }) => leagueResults[league.id]?.status !== "ok"),
+      { force: true }
+    );
+  }
+
+  useEffect(() => {
+    loadLeagues(chosenLeagues);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [chosenLeagues, rangeStart, rangeDays]);
+
+  // Changes spotted before the stored log finished loading are replayed onto it, oldest first.
+  useEffect(() => {
+    readChangeLog().then((stored) => {
+      changeLogLoaded.current = true;
+      setChangeLog((current) => (current ? recordChanges(stored, [...current.entries].reverse()) : stored));
+    });
+  }, []);
+  useEffect(() => {
+    if (changeLog && changeLogLoaded.current) writeChangeLog(changeLog);
+  }, [changeLog]);
+  // Every known league by id, enabled or not: { [id]: { league, sportName } }.
+  const leaguesById = useMemo(
+    () =>
+      Object.fromEntries(
+        Object.values(sports).flatMap((s) => s.leagues.map((league) => [league.id, { league, sportName: s.name }]))
+      ),
+    [sports]
+  );
+  const leagueNames = useMemo(
+    () => Object.fromEntries(Object.entries(leaguesById).map(([id, { league }]) => [id, league.name])),
+    [leaguesById]
+  );
+  const eventChanges = useMemo(() => changesByEvent(changeLog ?? emptyChangeLog()), [changeLog]);
+
+  // The range is calendar days, compared in each event's display zone.
+  const events = useMemo(() => {
+    const all = chosenLeagues.flatMap(({ league }) => leagueResults[league.id]?.events ?? []);
+    return eventsInRange(all, rangeDayKeys(rangeStart, rangeDays), displayZone);
+  }, [chosenLeagues, leagueResults, rangeStart, rangeDays, displayZone]);
+
+  // Leagues with a game underway get re-fetched every LIVE_POLL_MS while the tab is visible;
+  // the rest stay on their cache TTL.
+  const liveLeagueKey = useMemo(
+    () => [...new Set(events.filter((e) => isInProgress(e)).map((e) => e.leagueId))].sort().join(","),
+    [events]
+  );
+
+  useEffect(() => {
+    if (!liveLeagueKey) return undefined;
+    const ids = liveLeagueKey.split(",");
+    const timer = setInterval(() => {
+      if (document.visibilityState !== "visible") return;
+      loadLeagues(
+        chosenLeagues.filter(({ league }) => ids.includes(league.id)),
+        { force: true }
+      );
+    }, LIVE_POLL_MS);
+    return () => clearInterval(timer);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [liveLeagueKey, chosenLeagues, rangeStart, rangeDays]);
+
+  // Standings and form per league (standings.js), fetched only while something shows them.
+  // Cache-first like schedules, but best-effort: a league without context just shows none.
+  const [leagueContext, setLeagueContext] = useState({});
+  const wantsContext = showContext || sortMode === "big";
   useEffect(() => {
-    refresh();
+    if (!wantsContext) return undefined;
+    let cancelled = false;
+    for (const { league, sportName } of chosenLeagues) {
+      if (leagueContext[league.id]) continue;
+      (async () => {
+        const cached = await readContextCache(league);
+        let context = cached && cached.expiresAt > Date.now() ? cached.context : null;
+        if (!context) {
+          try {
+            context = await loadContextForLeague(league, sportName);
+            if (context) await writeContextCache(league, context);
+          } catch {
+            context = cached?.context ?? null;
+          }
+        }
+        if (!cancelled && context) setLeagueContext((prev) => ({ ...prev, [league.id]: context }));
+      })();
+    }
+    return () => {
+      cancelled = true;
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [wantsContext, chosenLeagues]);
+
+  // Team page: the season of one team, opened from a team name in a match row. It covers every
+  // loaded league the team was seen in (Arsenal in the Premier League and the Champions League),
+  // cache-first like schedules. teamPage: { team, sport, leagueIds } | null
+  const [teamPage, setTeamPage] = useState(null);
+  const [teamSchedule, setTeamSchedule] = useState(null);
+  const teamCardRef = useRef(null);
+  const teamOpener = useRef(null);
+  useEffect(() => {
+    if (!teamPage) return undefined;
+    let cancelled = false;
+    const { team, leagueIds } = teamPage;
+    const entries = leagueIds.map((id) => leaguesById[id]).filter(Boolean);
+    setTeamSchedule({ loading: true, events: [], errors: [] });
+    teamCardRef.current?.scrollIntoView?.({ block: "start", behavior: "smooth" });
+    teamCardRef.current?.focus({ preventScroll: true });
+    Promise.all(
+      entries.map(async ({ league, sportName }) => {
+        const cached = await readTeamCache(league, team);
+        if (cached && cached.expiresAt > Date.now()) return { events: cached.events };
+        try {
+          const list = await loadTeamSchedule(league, sportName, team);
+          await writeTeamCache(league, team, list);
+          return { events: list };
+        } catch (err) {
+          return { events: cached?.events ?? [], error: { leagueId: league.id, error: err?.message ?? "Failed to load" } };
+        }
+      })
+    ).then((results) => {
+      if (cancelled) return;
+      const events = [...new Map(results.flatMap((r) => r.events).map((e) => [e.id, e])).values()].sort(
+        (a, b) => new Date(a.startTime) - new Date(b.startTime)
+      );
+      setTeamSchedule({ loading: false, events, errors: results.map((r) => r.error).filter(Boolean) });
+      setAnnouncement(`${team.name}: ${events.length} ${events.length === 1 ? "fixture" : "fixtures"} loaded`);
+    });
+    return () => {
+      cancelled = true;
+    };
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [activeSport, enabled, rangeStart, rangeDays, customCricketUrl]);
+  }, [teamPage]);
+
+  function openTeam(team, e) {
+    const seenIn = events.filter((x) => eventTeams(x).some((t) => t.key === team.key)).map((x) => x.leagueId);
+    teamOpener.current = document.activeElement;
+    setTeamPage({ team, sport: e.sport, leagueIds: [...new Set([e.leagueId, ...seenIn])] });
+  }
+
+  // Focus goes back to the team name that opened the page, if it's still on screen.
+  function closeTeam() {
+    setTeamPage(null);
+    if (teamOpener.current?.isConnected) teamOpener.current.focus();
+    teamOpener.current = null;
+  }
+
+  // Build-time calendar feeds (scripts/build-feeds.js) only exist in the deployed app.
+  const [feedIndex, setFeedIndex] = useState(null);
+  useEffect(() => {
+    if (!import.meta.env.PROD) return;
+    fetchJson(`${import.meta.env.BASE_URL}${FEEDS_DIR}/index.json`)
+      .then(setFeedIndex)
+      .catch(() => setFeedIndex(null));
+  }, []);
+
+  const lastUpdated = chosenLeagues.reduce((min, { league }) => {
+    const t = leagueResults[league.id]?.updatedAt;
+    return t && (!min || t < min) ? t : min;
+  }, null);
+
+  const failedLeagues = chosenLeagues.filter(({ league }) => {
+    const status = leagueResults[league.id]?.status;
+    return status === "failed" || status === "stale";
+  });
+
+  useEffect(() => {
+    setFavoriteTeams((prev) => reconcileFavoriteTeams(prev, events));
+  }, [events]);
+
+  const favoriteKeys = useMemo(() => new Set(favoriteTeams.map((t) => t.key)), [favoriteTeams]);
+
+  const subscribeLinks = useMemo(() => {
+    if (!feedIndex) return [];
+    const base = `webcal://${window.location.host}${import.meta.env.BASE_URL}${FEEDS_DIR}/`;
+    const chosenIds = new Set(chosenLeagues.map(({ league }) => league.id));
+    return [
+      ...feedIndex.leagues.filter((l) => chosenIds.has(l.id)),
+      ...feedIndex.teams.filter((t) => favoriteKeys.has(t.key)),
+    ].map((f) => ({ name: f.name, href: base + f.path }));
+  }, [feedIndex, chosenLeagues, favoriteKeys]);
+
+  const knownTeams = useMemo(() => {
+    const map = new Map();
+    for (const e of events) {
+      for (const t of eventTeams(e)) map.set(t.key, { key: t.key, name: t.name, sport: e.sport });
+    }
+    return [...map.values()].sort((a, b) => a.name.localeCompare(b.name));
+  }, [events]);
 
   const visibleEvents = useMemo(() => {
-    const q = query.trim().toLowerCase();
+    const parsed = parseQuery(query);
+    const ctx = { favoriteKeys, zoneOf: (e) => eventZone(e, displayZone), now: Date.now() };
+    const isMine = (e) => eventTeams(e).some((t) => favoriteKeys.has(t.key));
     const list = events.filter((e) => {
-      if (!q) return true;
-      return (
-        (e.title ?? "").toLowerCase().includes(q) ||
-        (e.league ?? "").toLowerCase().includes(q) ||
-        (e.venue ?? "").toLowerCase().includes(q)
-      );
+      if (myTeamsOnly && !isMine(e)) return false;
+      if (watchOnly && !onMyServices(e, watch)) return false;
+      return matchesQuery(parsed, e, ctx);
     });
 
-    // If favorites are set, prefer showing those first
-    const favSet = new Set(favorites);
+    // Matches involving a favorite team float to the top
     return list.sort((a, b) => {
-      const af = favSet.has(a.title) ? 1 : 0;
-      const bf = favSet.has(b.title) ? 1 : 0;
+      const af = isMine(a) ? 1 : 0;
+      const bf = isMine(b) ? 1 : 0;
       if (af !== bf) return bf - af;
       return new Date(a.startTime) - new Date(b.startTime);
     });
-  }, [events, query, favorites]);
+  }, [events, query, favoriteKeys, myTeamsOnly, watchOnly, watch, displayZone]);
+
+  function saveView() {
+    const name = window.prompt("Name this view:", "")?.trim();
+    if (!name) return;
+    setSavedViews((prev) => [...prev.filter((v) => v.name !== name), { id: crypto.randomUUID(), name, query: query.trim() }]);
+  }
+
+  const localZoneName = Intl.DateTimeFormat().resolvedOptions().timeZone;
+  const zoneOptions = useMemo(() => {
+    const zones = Intl.supportedValuesOf?.("timeZone") ?? [];
+    const current = viewZone(displayZone);
+    return current && !zones.includes(current) ? [current, ...zones] : zones;
+  }, [displayZone]);
+
+  // rangeStart is local midnight standing for a day in the display zone: label it by that day's
+  // key, since formatting the instant in another zone can land on the day before.
+  const firstDayLabel = fmtDayKey(localDayKey(rangeStart));
+  const lastDayLabel = fmtDayKey(localDayKey(addDays(rangeStart, rangeDays - 1)));
+
+  const grouped = useMemo(() => {
+    const days = groupByDay(visibleEvents, displayZone, rangeDayKeys(rangeStart, rangeDays));
+    if (sortMode !== "big") return days;
+    const score = (e) => bigGameScore(e, leagueContext[e.leagueId] ?? {});
+    return days.map(({ day, events }) => ({
+      day,
+      events: [...events].sort((a, b) => score(a) - score(b) || new Date(a.startTime) - new Date(b.startTime)),
+    }));
+  }, [visibleEvents, displayZone, rangeStart, rangeDays, sortMode, leagueContext]);
+
+  // Planner: clashes among the matches on screen and the user's pick per clash (planner.js).
+  const clashes = useMemo(() => findClashes(visibleEvents), [visibleEvents]);
+  const tentative = useMemo(() => tentativeIds(clashes, primaryIds), [clashes, primaryIds]);
+  const planStatusOf = (e) => {
+    const slot = clashes.find((s) => s.events.some((x) => x.id === e.id));
+    if (!slot) return undefined;
+    const primary = primaryOf(slot, primaryIds);
+    if (!primary) return "clash";
+    return primary.id === e.id ? "primary" : "tentative";
+  };
+
+  const myServices = watch.services[watch.region] ?? [];
+
+  function setMyServices(names) {
+    setWatch((w) => ({ ...w, services: { ...w.services, [w.region]: names } }));
+  }
 
-  const grouped = useMemo(() => groupByDay(visibleEvents), [visibleEvents]);
+  function pickPrimary(slot, eventId) {
+    setPrimaryIds((prev) => togglePrimary(prev, slot, eventId));
+  }
 
-  function toggleLeague(id) {
+  function toggleLeague(sportKey, id) {
     setEnabled((prev) => {
-      const cur = new Set(prev[activeSport] ?? []);
+      const cur = new Set(prev[sportKey] ?? []);
       if (cur.has(id)) cur.delete(id);
       else cur.add(id);
-      return { ...prev, [activeSport]: [...cur] };
+      return { ...prev, [sportKey]: [...cur] };
     });
   }
 
-  function toggleFavorite(title) {
-    setFavorites((prev) => {
-      const s = new Set(prev);
-      if (s.has(title)) s.delete(title);
-      else s.add(title);
-      return [...s];
+  // Saving moves the league's "enabled" flag to its (possibly new) sport; new leagues start enabled.
+  function saveUserLeague(league) {
+    const isNew = !league.id;
+    const saved = isNew ? { ...league, id: `user-${crypto.randomUUID().slice(0, 8)}` } : league;
+    setUserLeagues((prev) => (isNew ? [...prev, saved] : prev.map((l) => (l.id === saved.id ? saved : l))));
+    setEnabled((prev) => {
+      const wasOn = isNew || Object.values(prev).some((ids) => ids.includes(saved.id));
+      const next = Object.fromEntries(Object.entries(prev).map(([k, ids]) => [k, ids.filter((id) => id !== saved.id)]));
+      const key = sportKeyFor(saved.sport);
+      if (wasOn) next[key] = [...(next[key] ?? []), saved.id];
+      return next;
+    });
+  }
+
+  function removeUserLeague(id) {
+    setUserLeagues((prev) => prev.filter((l) => l.id !== id));
+    setEnabled((prev) => Object.fromEntries(Object.entries(prev).map(([k, ids]) => [k, ids.filter((x) => x !== id)])));
+  }
+
+  function toggleFavoriteTeam(team, sportLabel) {
+    setFavoriteTeams((prev) => {
+      if (prev.some((t) => t.key === team.key)) return prev.filter((t) => t.key !== team.key);
+      return [...prev, { key: team.key, name: team.name, sport: sportLabel }];
     });
   }
 
+  // "f" on a match: follow its teams, or unfollow them when all of them are followed already.
+  function toggleMatchTeams(e) {
+    const teams = eventTeams(e);
+    if (!teams.length) return;
+    const following = teams.every((t) => favoriteKeys.has(t.key));
+    setFavoriteTeams((prev) =>
+      following
+        ? prev.filter((t) => !teams.some((x) => x.key === t.key))
+        : [
+            ...prev,
+            ...teams
+              .filter((t) => !prev.some((p) => p.key === t.key))
+              .map((t) => ({ key: t.key, name: t.name, sport: e.sport })),
+          ]
+    );
+    setAnnouncement(`${following ? "Unfollowed" : "Following"} ${teams.map((t) => t.name).join(" and ")}`);
+  }
+
+  // Re-attached every render so the handler sees current state.
+  useEffect(() => {
+    function onKeyDown(ev) {
+      const action = shortcutFor(ev);
+      if (!action) return;
+      const row = document.activeElement?.closest?.("[data-match-row]");
+      if (action === "search") {
+        searchRef.current?.focus();
+      } else if (action === "refresh") {
+        refresh();
+      } else if (action === "follow") {
+        const e = row && visibleEvents.find((x) => x.id === row.dataset.matchId);
+        if (!e) return;
+        toggleMatchTeams(e);
+      } else {
+        // Arrows only move between matches once one has focus; elsewhere they scroll as usual.
+        if (!row) return;
+        rowTarget([...document.querySelectorAll("[data-match-row]")], row, action)?.focus();
+      }
+      ev.preventDefault();
+    }
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  });
+
+  // Shareable URL. Each discrete change pushes a history entry so Back undoes it; typing in the
+  // search box replaces the current one. Nothing is written while a link still awaits a choice,
+  // so reloading doesn't lose it.
+  const shareSearch = useMemo(
+    () =>
+      encodeShareState({
+        activeSport,
+        leagueIds: enabledToLeagueIds(enabled),
+        rangeStart,
+        rangeDays,
+        query,
+        teams: favoriteTeams,
+        myTeamsOnly,
+      }),
+    [activeSport, enabled, rangeStart, rangeDays, query, favoriteTeams, myTeamsOnly]
+  );
+  const lastSearch = useRef(null);
+  const restoringHistory = useRef(false);
+  const [linkCopied, setLinkCopied] = useState(false);
+
+  useEffect(() => {
+    if (pendingShare) return;
+    const previous = lastSearch.current;
+    lastSearch.current = shareSearch;
+    if (shareSearch === window.location.search) return;
+    const withoutQuery = (search) => {
+      const p = new URLSearchParams(search);
+      p.delete("q");
+      return p.toString();
+    };
+    const url = `${window.location.pathname}${shareSearch}${window.location.hash}`;
+    const replace = previous === null || restoringHistory.current || withoutQuery(previous) === withoutQuery(shareSearch);
+    restoringHistory.current = false;
+    if (replace) window.history.replaceState(null, "", url);
+    else window.history.pushState(null, "", url);
+  }, [shareSearch, pendingShare]);
+
+  useEffect(() => {
+    function onPopState() {
+      const shared = decodeShareState(window.location.search);
+      if (!shared) return;
+      // The state we land on already has its own history entry; don't push another.
+      restoringHistory.current = true;
+      if (shared.activeSport === ALL_SPORTS || sports[shared.activeSport]) setActiveSport(shared.activeSport);
+      if (shared.rangeStart) setRangeStart(shared.rangeStart);
+      if (shared.rangeDays) setRangeDays(shared.rangeDays);
+      setQuery(shared.query ?? "");
+      setMyTeamsOnly(shared.myTeamsOnly);
+      // Our entries are written whole, so no `lg` / `t` means no leagues / teams at that point.
+      setEnabled(leagueIdsToEnabled(shared.leagueIds ?? [], sports));
+      const teams = shared.teams ?? [];
+      // Keep the full team records (sport, abbreviation) for teams still followed.
+      setFavoriteTeams((prev) => teams.map((t) => prev.find((p) => p.key === t.key) ?? t));
+    }
+    window.addEventListener("popstate", onPopState);
+    return () => window.removeEventListener("popstate", onPopState);
+  }, [sports]);
+
+  function resolveShare(mode) {
+    const shared = pendingShare;
+    setPendingShare(null);
+    if (mode === "ignore") return;
+    if (shared.leagueIds) {
+      const incoming = leagueIdsToEnabled(shared.leagueIds, sports);
+      setEnabled((prev) =>
+        mode === "replace"
+          ? incoming
+          : Object.fromEntries(
+              Object.keys(sports).map((k) => [k, [...new Set([...(prev[k] ?? []), ...incoming[k]])]])
+            )
+      );
+    }
+    if (shared.teams) {
+      setFavoriteTeams((prev) =>
+        mode === "replace" ? shared.teams : [...prev, ...shared.teams.filter((t) => !prev.some((p) => p.key === t.key))]
+      );
+    }
+  }
+
+  function downloadProfile() {
+    const blob = new Blob([exportProfile(currentSettings)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = "sports-week-watchlist-profile.json";
+    a.click();
+    URL.revokeObjectURL(url);
+  }
+
+  async function uploadProfile(file) {
+    if (!file) return;
+    try {
+      const { settings, problems } = importProfile(await file.text());
+      if (!window.confirm("Replace your leagues, teams, sources and reminders with this profile?")) return;
+      setUserLeagues(settings.leagues);
+      setActiveSport(settings.activeSport);
+      setEnabled(settings.enabled);
+      setSeenDefaults(settings.seenDefaults);
+      setFavoriteTeams(settings.teams);
+      setMyTeamsOnly(settings.myTeamsOnly);
+      setHideScores(settings.hideScores);
+      setReminderRules(settings.reminderRules);
+      setReminderLead(settings.reminderLead);
+      setQuietHours(settings.quietHours);
+      setDisplayZone(settings.displayZone);
+      setPrimaryIds(settings.primaryIds);
+      setView(settings.view);
+      setShowContext(settings.showContext);
+      setSortMode(settings.sortMode);
+      setWatch(settings.watch);
+      setWatchOnly(settings.watchOnly);
+      setSavedViews(settings.savedViews);
+      setSettingsNotice(
+        problems.length ? `Profile imported; some settings were invalid and kept their defaults: ${problems.join(", ")}.` : ""
+      );
+    } catch (err) {
+      alert(err.message);
+    }
+  }
+
+  async function copyShareLink() {
+    const url = `${window.location.origin}${window.location.pathname}${shareSearch}`;
+    try {
+      await navigator.clipboard.writeText(url);
+      setLinkCopied(true);
+      setTimeout(() => setLinkCopied(false), 2000);
+    } catch {
+      window.prompt("Copy this link:", url);
+    }
+  }
+
   async function enableNotifications() {
     try {
-      if (!("Notification" in window)) {
+      if (!supportsNotifications()) {
         alert("Notifications not supported in this browser.");
         return;
       }
       const perm = await Notification.requestPermission();
+      setNotificationPermission(perm);
       if (perm !== "granted") return;
-      new Notification("Sports Watchlist", { body: "Notifications enabled. You'll still need the app open for reminders." });
+      const body = supportsTriggers()
+        ? "Notifications enabled. Reminders will arrive even when the app is closed."
+        : "Notifications enabled. Install the app (Add to Home Screen) or keep it open for reminders to arrive on time.";
+      new Notification("Sports Watchlist", { body });
     } catch {
       // ignore
     }
   }
 
-  function exportWeekIcs() {
-    const ics = buildIcs(visibleEvents, "My Sports (Next 7 Days)");
+  // Shared by the week and team-season exports.
+  function downloadIcs(list, { calendarName, fileName }) {
+    const planned = list.map((e) => ({
+      ...e,
+      broadcasts: broadcastsIn(e, watch.region),
+      tentative: tentative.has(e.id),
+      // Bumped on every move or cancellation so calendars replace the copy they imported.
+      sequence: changeLog?.revisions[e.id],
+    }));
+    const ics = buildIcs(planned, {
+      calendarName,
+      alarmsFor: (e) => (e.tentative ? [] : alarmMinutesFor(e, reminderRules, { favoriteKeys, quietHours })),
+    });
     const blob = new Blob([ics], { type: "text/calendar;charset=utf-8" });
     const url = URL.createObjectURL(blob);
     const a = document.createElement("a");
     a.href = url;
-    a.download = "my-sports-next-7-days.ics";
+    a.download = fileName;
     a.click();
     URL.revokeObjectURL(url);
+    setChangeLog((log) => markExported(log ?? emptyChangeLog(), planned));
   }
 
-  // Lightweight in-app reminders (works only while page is open)
-  useEffect(() => {
-    const timers = [];
-    if (Notification?.permission === "granted") {
-      for (const e of visibleEvents) {
-        const start = new Date(e.startTime).getTime();
-        const notifyAt = start - 15 * 60 * 1000; // 15 minutes before
-        const delay = notifyAt - Date.now();
-        if (delay > 0 && delay < 7 * DAY_MS) {
-          const t = setTimeout(() => {
-            new Notification("Match starting soon", { body: `${e.title} • ${fmtTime(e.startTime)}` });
-          }, delay);
-          timers.push(t);
+  function exportWeekIcs() {
+    downloadIcs(visibleEvents, {
+      calendarName: `My Sports (Next ${rangeDays} Days)`,
+      fileName: `my-sports-next-${rangeDays}-days.ics`,
+    });
+  }
+
+  function exportTeamIcs() {
+    const { team, sport } = teamPage;
+    downloadIcs(teamSchedule?.events ?? [], {
+      calendarName: `${team.name} (${sport})`,
+      fileName: `${slugify(team.name)}-season.ics`,
+    });
+  }
+
+  // Reminders come from the rules (reminderRules.js) over every loaded match, not just the
+  // search results, and are queued in IndexedDB for the service worker so they survive the tab
+  // closing. Page timers still run while open: they wake the worker (or notify directly without one).
+  const reminderPreview = useMemo(
+    () =>
+      // Matches set aside in the planner don't remind.
+      buildReminders(
+        events.filter((e) => !tentative.has(e.id)),
+        reminderRules,
+        {
+          favoriteKeys,
+          quietHours,
+          horizonMs: 7 * DAY_MS,
+          formatTime: (ts, e) => {
+            const zone = eventZone(e, displayZone);
+            return `${fmtDate(new Date(ts), zone)} ${fmtTime(ts, zone)}`;
+          },
+          changes: eventChanges,
         }
-      }
-    }
+      ),
+    [events, tentative, reminderRules, favoriteKeys, quietHours, eventChanges, displayZone]
+  );
+
+  useEffect(() => {
+    if (notificationPermission !== "granted") return undefined;
+    const now = Date.now();
+    const reminders = reminderPreview.filter((r) => !r.quiet && r.fireAt > now);
+    syncReminders(reminders);
+    const timers = reminders.map((r) => setTimeout(() => deliverDueReminders(r), r.fireAt - now));
     return () => timers.forEach(clearTimeout);
-  }, [visibleEvents]);
+  }, [reminderPreview, notificationPermission]);
+
+  // Match id -> lead minutes of its one-off reminder.
+  const matchRuleLeads = useMemo(
+    () => new Map(reminderRules.filter((r) => r.scope === "match").map((r) => [r.target, r.leadMinutes])),
+    [reminderRules]
+  );
+
+  function toggleMatchReminder(e) {
+    setReminderRules((prev) =>
+      matchRuleLeads.has(e.id)
+        ? prev.filter((r) => !(r.scope === "match" && r.target === e.id))
+        : [...prev, { id: crypto.randomUUID(), scope: "match", target: e.id, targetName: e.title, leadMinutes: reminderLead }]
+    );
+  }
 
   const end = addDays(rangeStart, rangeDays);
+  const rowKeys = view === "list" ? grouped.flatMap(({ day, events }) => events.map((e) => `${day}|${e.id}`)) : [];
+  const tabRow = rowKeys.includes(currentRow) ? currentRow : rowKeys[0];
 
   return (
     <div className="min-h-screen bg-zinc-50 text-zinc-900">
       <div className="max-w-5xl mx-auto px-4 py-6">
-        <div className="flex flex-col gap-4">
-          <div className="flex items-start justify-between gap-3">
+        <main className="flex flex-col gap-4">
+          <header className="flex items-start justify-between gap-3">
             <div>
-              <div className="text-2xl font-semibold tracking-tight">Sports Week Watchlist</div>
+              <h1 className="text-2xl font-semibold tracking-tight">Sports Week Watchlist</h1>
               <div className="text-sm text-zinc-600">See upcoming top-level matches for the next week so you don’t miss anything.</div>
             </div>
             <div className="flex items-center gap-2">
@@ -421,17 +2073,69 @@ export default function SportsWeekWatchlistApp() {
               </button>
               <button
                 onClick={refresh}
+                aria-keyshortcuts="r"
                 className="inline-flex items-center gap-2 rounded-2xl border border-zinc-200 bg-white px-3 py-2 text-sm shadow-sm hover:shadow"
               >
                 <RefreshCw className={"w-4 h-4 " + (loading ? "animate-spin" : "")} /> Refresh
               </button>
+              <button
+                onClick={copyShareLink}
+                className="inline-flex items-center gap-2 rounded-2xl border border-zinc-200 bg-white px-3 py-2 text-sm shadow-sm hover:shadow"
+              >
+                <Link className="w-4 h-4" aria-hidden="true" /> {linkCopied ? "Copied" : "Copy link"}
+              </button>
             </div>
-          </div>
+          </header>
+
+          {settingsNotice ? (
+            <div className="flex items-start justify-between gap-3 rounded-2xl border border-amber-200 bg-amber-50 px-4 py-3 text-sm text-amber-900">
+              <div>{settingsNotice}</div>
+              <button
+                onClick={() => setSettingsNotice("")}
+                className="p-1 rounded-full hover:bg-amber-100"
+                title="Dismiss"
+                aria-label="Dismiss notice"
+              >
+                <X className="w-4 h-4" aria-hidden="true" />
+              </button>
+            </div>
+          ) : null}
+
+          {pendingShare ? (
+            <div className="flex flex-wrap items-center justify-between gap-3 rounded-2xl border border-amber-200 bg-amber-50 px-4 py-3 text-sm text-amber-900">
+              <div>
+                This link comes with its own
+                {pendingShare.leagueIds ? ` leagues (${pendingShare.leagueIds.length})` : ""}
+                {pendingShare.leagueIds && pendingShare.teams ? " and" : ""}
+                {pendingShare.teams ? ` teams (${pendingShare.teams.map((t) => t.name).join(", ") || "none"})` : ""}.
+              </div>
+              <div className="flex items-center gap-2">
+                <button
+                  onClick={() => resolveShare("merge")}
+                  className="inline-flex items-center gap-1.5 rounded-2xl border border-zinc-200 bg-white px-3 py-1.5 shadow-sm hover:shadow"
+                >
+                  Merge into mine
+                </button>
+                <button
+                  onClick={() => resolveShare("replace")}
+                  className="inline-flex items-center gap-1.5 rounded-2xl border border-zinc-200 bg-white px-3 py-1.5 shadow-sm hover:shadow"
+                >
+                  Replace mine
+                </button>
+                <button onClick={() => resolveShare("ignore")} className="rounded-2xl px-3 py-1.5 hover:bg-amber-100">
+                  Ignore
+                </button>
+              </div>
+            </div>
+          ) : null}
 
           <Card>
             <div className="p-4 flex flex-col gap-4">
-              <div className="flex flex-wrap items-center gap-2">
-                {Object.entries(PROVIDERS).map(([key, val]) => (
+              <div role="group" aria-label="Sport" className="flex flex-wrap items-center gap-2">
+                <Pill active={isAllSports} onClick={() => setActiveSport(ALL_SPORTS)}>
+                  All sports
+                </Pill>
+                {Object.entries(sports).map(([key, val]) => (
                   <Pill key={key} active={activeSport === key} onClick={() => setActiveSport(key)}>
                     {val.name}
                   </Pill>
@@ -441,38 +2145,32 @@ export default function SportsWeekWatchlistApp() {
               <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
                 <div className="md:col-span-2">
                   <div className="text-sm font-medium mb-2">Leagues</div>
-                  <div className="flex flex-wrap gap-2">
-                    {sport.leagues.map((l) => {
-                      const isOn = (enabled[activeSport] ?? []).includes(l.id);
-                      return (
-                        <Pill key={l.id} active={isOn} onClick={() => toggleLeague(l.id)}>
-                          {l.name}
-                        </Pill>
-                      );
-                    })}
-                  </div>
-                  {activeSport === "cricket" && (
-                    <div className="mt-3">
-                      <div className="text-xs text-zinc-600 mb-1">Cricket provider URL (JSON feed). Example format in code comments.</div>
-                      <div className="flex items-center gap-2">
-                        <input
-                          value={customCricketUrl}
-                          onChange={(e) => setCustomCricketUrl(e.target.value)}
-                          placeholder="https://your-domain.com/cricket.json"
-                          className="w-full rounded-2xl border border-zinc-200 bg-white px-3 py-2 text-sm outline-none focus:ring-2 focus:ring-black/10"
-                        />
-                        {customCricketUrl && (
-                          <button
-                            onClick={() => setCustomCricketUrl("")}
-                            className="p-2 rounded-2xl border border-zinc-200 bg-white"
-                            title="Clear"
-                          >
-                            <X className="w-4 h-4" />
-                          </button>
+                  <div className="flex flex-col gap-2">
+                    {sportKeys.map((key) => (
+                      <div
+                        key={key}
+                        role="group"
+                        aria-label={`${sports[key].name} leagues`}
+                        className="flex flex-wrap items-center gap-2"
+                      >
+                        {isAllSports && <div className="text-xs text-zinc-600 w-20">{sports[key].name}</div>}
+                        {sports[key].leagues.length === 0 && (
+                          <div className="text-xs text-zinc-600">No {sports[key].name.toLowerCase()} sources yet. Add one under Sources.</div>
                         )}
+                        {sports[key].leagues.map((l) => {
+                          const isOn = (enabled[key] ?? []).includes(l.id);
+                          return (
+                            <span key={l.id} className="inline-flex items-center gap-1.5">
+                              <Pill active={isOn} onClick={() => toggleLeague(key, l.id)}>
+                                {l.name}
+                              </Pill>
+                              {isOn && <LeagueStatusChip result={leagueResults[l.id]} zone={viewZone(displayZone)} />}
+                            </span>
+                          );
+                        })}
                       </div>
-                    </div>
-                  )}
+                    ))}
+                  </div>
                 </div>
 
                 <div>
@@ -480,14 +2178,16 @@ export default function SportsWeekWatchlistApp() {
                   <div className="grid grid-cols-2 gap-2">
                     <input
                       type="date"
-                      value={new Date(rangeStart).toISOString().slice(0, 10)}
+                      aria-label="First day"
+                      value={localDayKey(rangeStart)}
                       onChange={(e) => {
-                        const d = new Date(e.target.value + "T00:00:00");
-                        setRangeStart(d);
+                        const d = localDateFromKey(e.target.value);
+                        if (d) setRangeStart(d);
                       }}
                       className="rounded-2xl border border-zinc-200 bg-white px-3 py-2 text-sm outline-none focus:ring-2 focus:ring-black/10"
                     />
                     <select
+                      aria-label="Number of days"
                       value={rangeDays}
                       onChange={(e) => setRangeDays(Number(e.target.value))}
                       className="rounded-2xl border border-zinc-200 bg-white px-3 py-2 text-sm outline-none focus:ring-2 focus:ring-black/10"
@@ -498,8 +2198,26 @@ export default function SportsWeekWatchlistApp() {
                     </select>
                   </div>
                   <div className="text-xs text-zinc-600 mt-2 flex items-center gap-2">
-                    <Calendar className="w-4 h-4" /> {fmtDate(rangeStart)} → {fmtDate(addDays(rangeStart, rangeDays - 1))}
+                    <Calendar className="w-4 h-4" /> {firstDayLabel} → {lastDayLabel}
                   </div>
+                  <label className="mt-2 flex items-center gap-2 text-xs text-zinc-600">
+                    Times in
+                    <select
+                      value={displayZone}
+                      onChange={(e) => setDisplayZone(e.target.value)}
+                      className="min-w-0 flex-1 rounded-2xl border border-zinc-200 bg-white px-3 py-1.5 text-sm outline-none focus:ring-2 focus:ring-black/10"
+                    >
+                      <option value="local">My time zone ({localZoneName})</option>
+                      <option value="venue">Venue local time</option>
+                      <optgroup label="Other zone">
+                        {zoneOptions.map((z) => (
+                          <option key={z} value={z}>
+                            {z.replace(/_/g, " ")}
+                          </option>
+                        ))}
+                      </optgroup>
+                    </select>
+                  </label>
                   <div className="mt-3 flex gap-2">
                     <button
                       onClick={exportWeekIcs}
@@ -507,125 +2225,466 @@ export default function SportsWeekWatchlistApp() {
                     >
                       <Calendar className="w-4 h-4" /> Export .ics
                     </button>
+                    <button
+                      onClick={clearScheduleCache}
+                      className="inline-flex items-center justify-center gap-2 rounded-2xl border border-zinc-200 bg-white px-3 py-2 text-sm shadow-sm hover:shadow"
+                      title="Clear cached schedules and reload"
+                      aria-label="Clear cached schedules and reload"
+                    >
+                      <Trash2 className="w-4 h-4" aria-hidden="true" />
+                    </button>
                   </div>
                 </div>
               </div>
 
               <div className="flex items-center gap-2">
-                <div className="relative w-full">
-                  <Search className="w-4 h-4 absolute left-3 top-1/2 -translate-y-1/2 text-zinc-500" />
+                <SearchBox query={query} onChange={setQuery} events={events} inputRef={searchRef} />
+                {query.trim() ? (
+                  <button
+                    onClick={saveView}
+                    className="inline-flex items-center gap-1.5 whitespace-nowrap rounded-2xl border border-zinc-200 bg-white px-3 py-2 text-sm shadow-sm hover:shadow"
+                    title="Save this search as a view"
+                  >
+                    <Plus className="w-4 h-4" /> Save view
+                  </button>
+                ) : null}
+                <div className="text-xs text-zinc-600 whitespace-nowrap">
+                  {visibleEvents.length} matches
+                  {lastUpdated ? ` · updated ${fmtTime(lastUpdated, viewZone(displayZone))}` : ""}
+                </div>
+              </div>
+              {savedViews.length > 0 && (
+                <div className="-mt-2 flex flex-wrap items-center gap-2">
+                  {savedViews.map((v) => (
+                    <span
+                      key={v.id}
+                      className={
+                        "inline-flex items-center gap-1 rounded-full border pl-3 pr-1 py-1 text-sm " +
+                        (query === v.query ? "border-black bg-black text-white" : "border-zinc-200 bg-white")
+                      }
+                    >
+                      <button
+                        onClick={() => setQuery(query === v.query ? "" : v.query)}
+                        aria-pressed={query === v.query}
+                        title={v.query}
+                      >
+                        {v.name}
+                      </button>
+                      <button
+                        onClick={() => setSavedViews((prev) => prev.filter((x) => x.id !== v.id))}
+                        className="p-0.5 rounded-full hover:bg-zinc-500/20"
+                        title={`Delete view ${v.name}`}
+                        aria-label={`Delete view ${v.name}`}
+                      >
+                        <X className="w-3.5 h-3.5" aria-hidden="true" />
+                      </button>
+                    </span>
+                  ))}
+                </div>
+              )}
+
+              <div>
+                <div className="text-sm font-medium mb-2">My teams</div>
+                <div className="flex flex-wrap items-center gap-2">
+                  {favoriteTeams.map((t) => (
+                    <span
+                      key={t.key}
+                      className="inline-flex items-center gap-1 rounded-full border border-black bg-black text-white pl-3 pr-1 py-1 text-sm"
+                    >
+                      {t.name}
+                      <button
+                        onClick={() => toggleFavoriteTeam(t, t.sport)}
+                        className="p-0.5 rounded-full hover:bg-white/20"
+                        title={`Remove ${t.name}`}
+                        aria-label={`Remove ${t.name}`}
+                      >
+                        <X className="w-3.5 h-3.5" aria-hidden="true" />
+                      </button>
+                    </span>
+                  ))}
+                  <select
+                    value=""
+                    aria-label="Add a team"
+                    onChange={(ev) => {
+                      const t = knownTeams.find((k) => k.key === ev.target.value);
+                      if (t) toggleFavoriteTeam(t, t.sport);
+                    }}
+                    className="rounded-2xl border border-zinc-200 bg-white px-3 py-1.5 text-sm outline-none focus:ring-2 focus:ring-black/10"
+                  >
+                    <option value="">Add a team…</option>
+                    {knownTeams
+                      .filter((t) => !favoriteKeys.has(t.key))
+                      .map((t) => (
+                        <option key={t.key} value={t.key}>
+                          {t.name}
+                        </option>
+                      ))}
+                  </select>
+                  <Pill active={myTeamsOnly} onClick={() => setMyTeamsOnly((v) => !v)}>
+                    My teams only
+                  </Pill>
+                </div>
+              </div>
+
+              <div>
+                <div className="text-sm font-medium mb-2">Where to watch</div>
+                <div className="flex flex-wrap items-center gap-2">
+                  <select
+                    value={watch.region}
+                    aria-label="Region"
+                    onChange={(ev) => setWatch((w) => ({ ...w, region: ev.target.value }))}
+                    className="rounded-2xl border border-zinc-200 bg-white px-3 py-1.5 text-sm outline-none focus:ring-2 focus:ring-black/10"
+                  >
+                    {WATCH_REGIONS.map((r) => (
+                      <option key={r.id} value={r.id}>
+                        {r.label}
+                      </option>
+                    ))}
+                  </select>
+                  {myServices.map((name) => (
+                    <span
+                      key={name}
+                      className="inline-flex items-center gap-1 rounded-full border border-black bg-black text-white pl-3 pr-1 py-1 text-sm"
+                    >
+                      {name}
+                      <button
+                        onClick={() => setMyServices(myServices.filter((n) => n !== name))}
+                        className="p-0.5 rounded-full hover:bg-white/20"
+                        title={`Remove ${name}`}
+                        aria-label={`Remove ${name}`}
+                      >
+                        <X className="w-3.5 h-3.5" aria-hidden="true" />
+                      </button>
+                    </span>
+                  ))}
                   <input
-                    value={query}
-                    onChange={(e) => setQuery(e.target.value)}
-                    placeholder="Search team, league, venue…"
-                    className="w-full rounded-2xl border border-zinc-200 bg-white pl-9 pr-3 py-2 text-sm outline-none focus:ring-2 focus:ring-black/10"
+                    list="sww-services"
+                    placeholder="Add a service…"
+                    aria-label="Add a streaming service"
+                    onKeyDown={(ev) => {
+                      if (ev.key !== "Enter") return;
+                      const name = ev.currentTarget.value.trim();
+                      if (name && !myServices.some((n) => n.toLowerCase() === name.toLowerCase())) {
+                        setMyServices([...myServices, name]);
+                      }
+                      ev.currentTarget.value = "";
+                    }}
+                    className="w-40 rounded-2xl border border-zinc-200 bg-white px-3 py-1.5 text-sm outline-none focus:ring-2 focus:ring-black/10"
                   />
+                  <datalist id="sww-services">
+                    {knownServices(events, watch.region)
+                      .filter((n) => !myServices.includes(n))
+                      .map((n) => (
+                        <option key={n} value={n} />
+                      ))}
+                  </datalist>
+                  <Pill active={watchOnly} onClick={() => setWatchOnly((v) => !v)}>
+                    On my services only
+                  </Pill>
                 </div>
-                <div className="text-xs text-zinc-600 whitespace-nowrap">{visibleEvents.length} matches</div>
               </div>
 
-              {error && <div className="text-sm text-red-600">{error}</div>}
-              {loading && <div className="text-sm text-zinc-600">Loading…</div>}
+              {failedLeagues.length > 0 && (
+                <div role="alert" className="flex flex-wrap items-center gap-2 text-sm text-red-600">
+                  {failedLeagues.length} of {chosenLeagues.length} leagues failed to load:{" "}
+                  {failedLeagues.map(({ league }) => league.name).join(", ")}.
+                  <button
+                    onClick={retryFailed}
+                    disabled={loading}
+                    className="inline-flex items-center gap-1.5 rounded-2xl border border-red-200 bg-white px-2.5 py-1 text-xs text-red-700 hover:border-red-400 disabled:opacity-50"
+                  >
+                    <RefreshCw className="w-3.5 h-3.5" /> Retry failed
+                  </button>
+                </div>
+              )}
+              {/* Always rendered so screen readers pick up the change when a refresh finishes. */}
+              <div role="status" className={loading ? "text-sm text-zinc-600" : "sr-only"}>
+                {loading ? "Loading…" : lastUpdated ? `Schedules updated ${fmtTime(lastUpdated, viewZone(displayZone))}.` : ""}
+              </div>
             </div>
           </Card>
 
+          {changeLog?.entries.length > 0 && (
+            <Card>
+              <SectionTitle
+                icon={History}
+                title={`Changes (${changeLog.entries.length})`}
+                right={
+                  <button
+                    onClick={() => setChangeLog((log) => dismissChanges(log))}
+                    className="rounded-2xl border border-zinc-200 bg-white px-3 py-1 text-xs hover:bg-zinc-50"
+                  >
+                    Dismiss all
+                  </button>
+                }
+              />
+              <ChangesPanel
+                log={changeLog}
+                leagueNames={leagueNames}
+                displayZone={displayZone}
+                onDismiss={(ids) => setChangeLog((log) => dismissChanges(log, ids))}
+                onExport={exportWeekIcs}
+              />
+            </Card>
+          )}
+
+          {teamPage && (
+            <section
+              ref={teamCardRef}
+              tabIndex={-1}
+              aria-label={`${teamPage.team.name} season`}
+              onKeyDown={(ev) => ev.key === "Escape" && closeTeam()}
+              className="outline-none"
+            >
+              <Card>
+                <SectionTitle
+                  icon={Calendar}
+                  title={teamPage.team.name}
+                  right={
+                    <button
+                      onClick={closeTeam}
+                      aria-keyshortcuts="Escape"
+                      className="inline-flex items-center gap-1.5 rounded-2xl border border-zinc-200 bg-white px-3 py-1 text-xs hover:bg-zinc-50"
+                    >
+                      <X className="w-3.5 h-3.5" /> Close
+                    </button>
+                  }
+                />
+                <TeamPage
+                  team={teamPage.team}
+                  sport={teamPage.sport}
+                  schedule={teamSchedule}
+                  leagueNames={leagueNames}
+                  displayZone={displayZone}
+                  hideScores={hideScores}
+                  isFavorite={favoriteKeys.has(teamPage.team.key)}
+                  onToggleFavorite={() => toggleFavoriteTeam(teamPage.team, teamPage.sport)}
+                  onExport={exportTeamIcs}
+                />
+              </Card>
+            </section>
+          )}
+
           <Card>
             <SectionTitle
               icon={Star}
               title="Upcoming matches"
               right={
-                <div className="text-xs text-zinc-600">
-                  Tip: click ★ to favorite a matchup (favorites float to the top).
+                <div className="flex items-center gap-3 text-xs text-zinc-600">
+                  <span className="hidden md:inline">
+                    Tip: click ★ next to a team (or press f on a match) to follow it; their matches float to the top.
+                  </span>
+                  <div role="group" aria-label="Layout" className="inline-flex rounded-2xl border border-zinc-200 bg-white p-0.5">
+                    {[
+                      ["list", "List"],
+                      ["week", "Week"],
+                      ["planner", `Planner${clashes.length ? ` (${clashes.length})` : ""}`],
+                    ].map(([id, label]) => (
+                      <button
+                        key={id}
+                        onClick={() => setView(id)}
+                        aria-pressed={view === id}
+                        className={"rounded-2xl px-2.5 py-1 " + (view === id ? "bg-black text-white" : "hover:bg-zinc-100")}
+                      >
+                        {label}
+                      </button>
+                    ))}
+                  </div>
+                  <label className="inline-flex items-center gap-1.5 whitespace-nowrap">
+                    <input type="checkbox" checked={hideScores} onChange={(ev) => setHideScores(ev.target.checked)} />
+                    Hide scores
+                  </label>
+                  <label className="inline-flex items-center gap-1.5 whitespace-nowrap">
+                    <input type="checkbox" checked={showContext} onChange={(ev) => setShowContext(ev.target.checked)} />
+                    Standings
+                  </label>
+                  <select
+                    value={sortMode}
+                    aria-label="Sort matches"
+                    onChange={(ev) => setSortMode(ev.target.value)}
+                    className="rounded-2xl border border-zinc-200 bg-white px-2 py-1 outline-none focus:ring-2 focus:ring-black/10"
+                  >
+                    <option value="time">By kickoff</option>
+                    <option value="big">Big games first</option>
+                  </select>
                 </div>
               }
             />
 
             <div className="p-4">
               {grouped.length === 0 ? (
-                <div className="text-sm text-zinc-600">No matches found in this range. Try enabling more leagues.</div>
+                <div className="text-sm text-zinc-600">
+                  {myTeamsOnly
+                    ? "None of your teams play in this range. Add teams or turn off “My teams only”."
+                    : "No matches found in this range. Try enabling more leagues."}
+                </div>
               ) : (
                 <div className="flex flex-col gap-4">
-                  {grouped.map(({ day, events }) => (
-                    <div key={day.toISOString()}>
-                      <div className="text-sm font-semibold mb-2">{fmtDate(day)}</div>
-                      <div className="grid grid-cols-1 gap-2">
-                        {events.map((e) => {
-                          const isFav = favorites.includes(e.title);
-                          return (
-                            <div
+                  {view === "week" ? (
+                    <WeekGrid
+                      rangeStart={rangeStart}
+                      rangeDays={rangeDays}
+                      grouped={grouped}
+                      displayZone={displayZone}
+                    />
+                  ) : view === "planner" ? (
+                    <>
+                      <div className="text-xs text-zinc-600">
+                        {clashes.length
+                          ? "Overlapping matches are grouped below. Pick the one you’ll watch; the others are exported as tentative and don’t remind you."
+                          : "No overlapping matches in this range."}
+                      </div>
+                      {grouped.map(({ day, events }) => (
+                        <PlannerDay
+                          key={day}
+                          day={day}
+                          events={events}
+                          slots={clashes}
+                          primaryIds={primaryIds}
+                          statusOf={planStatusOf}
+                          onPickPrimary={pickPrimary}
+                          displayZone={displayZone}
+                        />
+                      ))}
+                    </>
+                  ) : (
+                    grouped.map(({ day, events }) => (
+                      <div key={day}>
+                        <h3 className="text-sm font-semibold mb-2">{fmtDayKey(day)}</h3>
+                        <div className="grid grid-cols-1 gap-2">
+                          {events.map((e) => (
+                            <MatchRow
                               key={e.id}
-                              className="rounded-2xl border border-zinc-200 bg-white px-3 py-3 flex items-start justify-between gap-3 hover:shadow-sm transition"
-                            >
-                              <div className="min-w-0">
-                                <div className="flex items-center gap-2">
-                                  <div className="font-medium truncate">{e.title}</div>
-                                  <div className="text-xs text-zinc-600">• {e.league}</div>
-                                </div>
-                                <div className="text-sm text-zinc-700 mt-1">
-                                  <span className="font-medium">{fmtTime(e.startTime)}</span>
-                                  <span className="text-zinc-500"> · </span>
-                                  <span className="text-zinc-600">{e.status}</span>
-                                  {e.venue ? (
-                                    <>
-                                      <span className="text-zinc-500"> · </span>
-                                      <span className="text-zinc-600 truncate">{e.venue}</span>
-                                    </>
-                                  ) : null}
-                                </div>
-                                {e.url ? (
-                                  <a
-                                    href={e.url}
-                                    target="_blank"
-                                    rel="noreferrer"
-                                    className="text-xs text-zinc-600 underline mt-1 inline-block"
-                                  >
-                                    Details
-                                  </a>
-                                ) : null}
-                              </div>
-
-                              <div className="flex items-center gap-2">
-                                <button
-                                  onClick={() => toggleFavorite(e.title)}
-                                  className={
-                                    "p-2 rounded-2xl border transition " +
-                                    (isFav ? "border-black bg-black text-white" : "border-zinc-200 bg-white hover:border-zinc-400")
-                                  }
-                                  title={isFav ? "Unfavorite" : "Favorite"}
-                                >
-                                  <Star className="w-4 h-4" />
-                                </button>
-                              </div>
-                            </div>
-                          );
-                        })}
+                              event={e}
+                              day={day}
+                              current={tabRow === `${day}|${e.id}`}
+                              onFocus={() => setCurrentRow(`${day}|${e.id}`)}
+                              showSport={isAllSports}
+                              favoriteKeys={favoriteKeys}
+                              onToggleTeam={toggleFavoriteTeam}
+                              hasReminder={matchRuleLeads.has(e.id)}
+                              reminderLead={matchRuleLeads.get(e.id) ?? reminderLead}
+                              onToggleReminder={toggleMatchReminder}
+                              hideScores={hideScores}
+                              displayZone={displayZone}
+                              planStatus={planStatusOf(e)}
+                              context={showContext ? leagueContext[e.leagueId] : null}
+                              watch={watch}
+                              change={eventChanges.get(e.id)}
+                              onOpenTeam={openTeam}
+                            />
+                          ))}
+                        </div>
                       </div>
-                    </div>
-                  ))}
+                    ))
+                  )}
                 </div>
               )}
 
               <div className="mt-5 text-xs text-zinc-500">
-                This app filters matches between {fmtDate(rangeStart)} and {fmtDate(addDays(rangeStart, rangeDays - 1))}. For
-                true always-on reminders, export the .ics to Google/Apple Calendar.
+                This app filters matches between {firstDayLabel} and {lastDayLabel}. For
+                true always-on reminders, export the .ics to Google/Apple Calendar
+                {subscribeLinks.length > 0 ? ", or subscribe to a feed that stays up to date: " : "."}
+                {subscribeLinks.map((l, i) => (
+                  <React.Fragment key={l.href}>
+                    {i > 0 && " · "}
+                    <a href={l.href} className="underline">
+                      {l.name}
+                    </a>
+                  </React.Fragment>
+                ))}
               </div>
             </div>
           </Card>
 
+          <Card>
+            <SectionTitle
+              icon={BellRing}
+              title="Reminders"
+              right={
+                notificationPermission !== "granted" && (
+                  <div className="text-xs text-zinc-600">Turn on Notifications to receive these.</div>
+                )
+              }
+            />
+            <ReminderSettings
+              rules={reminderRules}
+              onChangeRules={setReminderRules}
+              leadMinutes={reminderLead}
+              onChangeLeadMinutes={setReminderLead}
+              quietHours={quietHours}
+              onChangeQuietHours={setQuietHours}
+              teams={[...favoriteTeams, ...knownTeams.filter((t) => !favoriteKeys.has(t.key))]}
+              leagues={chosenLeagues.map(({ league }) => ({ id: league.id, name: league.name }))}
+              preview={reminderPreview}
+              zone={viewZone(displayZone)}
+            />
+          </Card>
+
+          <Card>
+            <SectionTitle icon={Database} title="Sources" />
+            <ProviderSettings
+              userLeagues={userLeagues}
+              sportNames={Object.values(sports).map((sp) => sp.name)}
+              onSave={saveUserLeague}
+              onRemove={removeUserLeague}
+            />
+          </Card>
+
           <Card>
             <SectionTitle icon={Bell} title="Make it yours" />
             <div className="p-4 text-sm text-zinc-700 space-y-2">
               <div>
-                <span className="font-medium">Cricket:</span> most reliable schedules need an API key. If you have one, host a
-                tiny JSON feed (or use any public JSON URL) and paste it into the Cricket provider field.
+                <span className="font-medium">Cricket:</span> add an ESPN cricket scoreboard under Sources with the Cricket
+                source type, or host a tiny JSON feed (any public JSON URL works) with optional format, days and sessions per
+                match. Tests and first-class games show up on each day of play. A plain JSON feed works for any other sport.
               </div>
               <div>
-                <span className="font-medium">Teams:</span> If you want team-level favorites (not just matchups), the next step
-                is adding a “favorite teams” list and filtering events by team name.
+                <span className="font-medium">Teams:</span> follow teams from a match row or the “My teams” picker, then switch on
+                “My teams only” to see just their games across every league you have enabled.
               </div>
               <div>
-                <span className="font-medium">Mobile:</span> Turn this into a PWA (Add to Home Screen) so it feels like a real
-                app and you can open it fast.
+                <span className="font-medium">Mobile:</span> install it (Add to Home Screen / Install app) to open it offline
+                like a real app; with notifications on, reminders keep arriving after you close it.
+              </div>
+              <div>
+                <span className="font-medium">Keyboard:</span>{" "}
+                {SHORTCUT_HELP.map(([keys, what], i) => (
+                  <React.Fragment key={keys}>
+                    {i > 0 && " · "}
+                    <kbd className="rounded border border-zinc-300 bg-zinc-50 px-1 font-mono text-xs">{keys}</kbd> {what}
+                  </React.Fragment>
+                ))}
+                . Arrows work once a match in the list has focus; in the week view they move between days.
+              </div>
+              <div className="flex flex-wrap items-center gap-2 pt-1">
+                <span className="font-medium">Profile:</span>
+                <button
+                  onClick={downloadProfile}
+                  className="inline-flex items-center gap-1.5 rounded-2xl border border-zinc-200 bg-white px-3 py-1.5 shadow-sm hover:shadow"
+                >
+                  <Download className="w-3.5 h-3.5" aria-hidden="true" /> Export
+                </button>
+                {/* A real button opens the picker; the file input itself stays out of the tab order. */}
+                <button
+                  onClick={() => profileInputRef.current?.click()}
+                  className="inline-flex items-center gap-1.5 rounded-2xl border border-zinc-200 bg-white px-3 py-1.5 shadow-sm hover:shadow"
+                >
+                  <Upload className="w-3.5 h-3.5" aria-hidden="true" /> Import
+                </button>
+                <input
+                  ref={profileInputRef}
+                  type="file"
+                  accept="application/json,.json"
+                  className="hidden"
+                  tabIndex={-1}
+                  aria-hidden="true"
+                  onChange={(e) => {
+                    uploadProfile(e.target.files?.[0]);
+                    e.target.value = "";
+                  }}
+                />
+                <span className="text-xs text-zinc-500">leagues, teams, sources and reminders in one file for another device</span>
               </div>
             </div>
           </Card>
@@ -634,7 +2693,10 @@ export default function SportsWeekWatchlistApp() {
             Data sources: configured providers. Basketball/Soccer/Hockey use example ESPN scoreboard endpoints; you can swap providers
             later without changing the UI.
           </div>
-        </div>
+          <div className="sr-only" aria-live="polite" aria-atomic="true">
+            {announcement}
+          </div>
+        </main>
       </div>
     </div>
   );
@@ -0,0 +1,91 @@
+import { safeGet } from "./util";
+
+// Where to watch. Events carry broadcasts: [{ name, region, market, type }] where `region` is a
+// lowercase country code ("us", "gb") or "" when a custom feed doesn't say, `market` is e.g.
+// "national" / "home" / "away", and `type` "TV" / "Streaming" / "Radio" when known.
+// Watch settings are per region: { region, services: { [region]: [service names] } }.
+
+export const WATCH_REGIONS = [
+  { id: "us", label: "United States" },
+  { id: "gb", label: "United Kingdom" },
+  { id: "ca", label: "Canada" },
+  { id: "au", label: "Australia" },
+  { id: "in", label: "India" },
+  { id: "ie", label: "Ireland" },
+  { id: "es", label: "Spain" },
+  { id: "de", label: "Germany" },
+];
+
+export const defaultWatch = { region: "us", services: {} };
+
+const key = (name) => String(name).trim().toLowerCase();
+
+// ESPN has two shapes on a competition: `broadcasts` ([{ market, names: [] }], US feed) and
+// `geoBroadcasts` ([{ type: { shortName }, market: { type }, media: { shortName }, region }]).
+// Team schedules use the second shape under the `broadcasts` key. Both come from ESPN's US
+// listings, so entries that don't name a region are US ones, not worldwide.
+const ESPN_REGION = "us";
+
+export function normalizeEspnBroadcasts(competition) {
+  const out = [];
+  const broadcasts = safeGet(competition, "broadcasts", []);
+  const geo = [...safeGet(competition, "geoBroadcasts", []), ...broadcasts.filter((b) => b?.media)];
+  for (const g of geo) {
+    const name = safeGet(g, "media.shortName", "") || safeGet(g, "media.name", "");
+    if (!name) continue;
+    out.push({
+      name,
+      region: key(g.region || ESPN_REGION),
+      market: key(safeGet(g, "market.type", "")),
+      type: safeGet(g, "type.shortName", ""),
+    });
+  }
+  for (const b of broadcasts) {
+    for (const name of Array.isArray(b?.names) ? b.names : []) {
+      if (name) out.push({ name, region: ESPN_REGION, market: key(b.market ?? ""), type: "" });
+    }
+  }
+  return dedupeBroadcasts(out);
+}
+
+// Custom feeds: "broadcasts" may be ["Sky Sports", …], "Sky Sports, TNT", or full objects.
+export function normalizeBroadcastList(value) {
+  const list = typeof value === "string" ? value.split(",") : Array.isArray(value) ? value : [];
+  return dedupeBroadcasts(
+    list
+      .map((b) =>
+        typeof b === "string"
+          ? { name: b.trim(), region: "", market: "", type: "" }
+          : { name: String(b?.name ?? "").trim(), region: key(b?.region ?? ""), market: key(b?.market ?? ""), type: b?.type ?? "" }
+      )
+      .filter((b) => b.name)
+  );
+}
+
+// geoBroadcasts and broadcasts often repeat each other; the regional entry is the one kept.
+function dedupeBroadcasts(list) {
+  const byName = new Map();
+  for (const b of list) {
+    const prev = byName.get(key(b.name));
+    if (!prev || (!prev.region && b.region)) byName.set(key(b.name), b);
+  }
+  return [...byName.values()];
+}
+
+// Broadcasts that apply in `region`; entries without a region (custom feeds that don't say)
+// apply everywhere.
+export function broadcastsIn(e, region) {
+  return (e.broadcasts ?? []).filter((b) => !b.region || b.region === region);
+}
+
+export function onMyServices(e, watch) {
+  const mine = new Set((watch.services[watch.region] ?? []).map(key));
+  return broadcastsIn(e, watch.region).some((b) => mine.has(key(b.name)));
+}
+
+// Broadcaster names seen in loaded events for the region, for the services picker.
+export function knownServices(events, region) {
+  const names = new Map();
+  for (const e of events) for (const b of broadcastsIn(e, region)) names.set(key(b.name), b.name);
+  return [...names.values()].sort((a, b) => a.localeCompare(b));
+}
@@ -0,0 +1,77 @@
+import { withStore } from "./db";
+
+// Persisted cache of normalized events, one entry per league + date window (plus per-league
+// standings context and per-team season schedules, further down).
+// Entries carry their own expiry so the UI can render them immediately and decide
+// whether a background revalidation is needed.
+
+const MINUTE_MS = 60 * 1000;
+const LIVE_TTL_MS = 1 * MINUTE_MS;
+const TODAY_TTL_MS = 10 * MINUTE_MS;
+const DEFAULT_TTL_MS = 60 * MINUTE_MS;
+const LIVE_WINDOW_MS = 5 * 60 * MINUTE_MS;
+
+export function cacheKey(league, range) {
+  const d = range.start;
+  const ymd = `${d.getFullYear()}-${d.getMonth() + 1}-${d.getDate()}`;
+  return `${league.id}|${league.url}|${ymd}|${range.days}`;
+}
+
+function isLikelyLive(e, now) {
+  if (e.state === "in") return true;
+  if (e.state === "post") return false;
+  const start = new Date(e.startTime).getTime();
+  if (start > now || now - start > LIVE_WINDOW_MS) return false;
+  return !/final|full time|postponed|cancel|abandon/i.test(e.status ?? "");
+}
+
+// Short TTLs while games are underway, medium when something kicks off today, long otherwise.
+export function ttlFor(events, now = Date.now()) {
+  if (events.some((e) => isLikelyLive(e, now))) return LIVE_TTL_MS;
+  const today = new Date(now).toDateString();
+  if (events.some((e) => new Date(e.startTime).toDateString() === today)) return TODAY_TTL_MS;
+  return DEFAULT_TTL_MS;
+}
+
+export function readCache(key) {
+  return withStore("schedules", "readonly", (store) => store.get(key));
+}
+
+export function writeCache(key, events, now = Date.now()) {
+  const entry = { key, events, fetchedAt: now, expiresAt: now + ttlFor(events, now) };
+  return withStore("schedules", "readwrite", (store) => store.put(entry));
+}
+
+// Standings and form (standings.js) move slowly; one entry per league, kept for a few hours.
+const CONTEXT_TTL_MS = 6 * 60 * MINUTE_MS;
+
+function contextKey(league) {
+  return `context|${league.id}|${league.url}`;
+}
+
+export function readContextCache(league) {
+  return withStore("schedules", "readonly", (store) => store.get(contextKey(league)));
+}
+
+export function writeContextCache(league, context, now = Date.now()) {
+  const entry = { key: contextKey(league), context, fetchedAt: now, expiresAt: now + CONTEXT_TTL_MS };
+  return withStore("schedules", "readwrite", (store) => store.put(entry));
+}
+
+// A team's season schedule (team page); one entry per league and team, expiring like schedules.
+function teamKey(league, team) {
+  return `team|${league.id}|${league.url}|${team.key}`;
+}
+
+export function readTeamCache(league, team) {
+  return withStore("schedules", "readonly", (store) => store.get(teamKey(league, team)));
+}
+
+export function writeTeamCache(league, team, events, now = Date.now()) {
+  const entry = { key: teamKey(league, team), events, fetchedAt: now, expiresAt: now + ttlFor(events, now) };
+  return withStore("schedules", "readwrite", (store) => store.put(entry));
+}
+
+export function clearCache() {
+  return withStore("schedules", "readwrite", (store) => store.clear());
+}
@@ -0,0 +1,103 @@
+import { withStore } from "./db";
+import { isCancelled } from "./ics";
+
+// Schedule changes between refreshes. Each successful fetch is diffed per event id against the
+// previous snapshot of the same league and range (the cached list), and what changed goes into
+// a change log kept alongside the schedule cache:
+//   { key: "changes", entries, revisions, exported }
+// entries    [{ id, eventId, leagueId, kind, title, before, after, at }], newest first, where
+//            kind is "moved" | "cancelled" | "added" and before/after are ISO start times
+// revisions  { [eventId]: n } times the event has been moved or cancelled; exported as the ICS
+//            SEQUENCE so calendars that imported an older copy replace it
+// exported   { [eventId]: time } of the last .ics export (week or team season) that included
+//            the event, to tell which entries in the user's calendar are now out of date
+// Entries stay until dismissed; revisions and the export record outlive them.
+
+const LOG_KEY = "changes";
+const MAX_ENTRIES = 100;
+const MAX_TRACKED = 2000;
+const MOVE_THRESHOLD_MS = 60 * 1000;
+
+export function emptyChangeLog() {
+  return { key: LOG_KEY, entries: [], revisions: {}, exported: {} };
+}
+
+// Changes from `before` to `after` (one league's event lists). Matches that only appear in
+// `after` are "added"; ones that drop out are ignored, since feeds trim finished games.
+export function diffEvents(before, after, now = Date.now()) {
+  const previous = new Map(before.map((e) => [e.id, e]));
+  const changes = [];
+  const push = (e, kind, was) =>
+    changes.push({
+      id: `${e.id}|${kind}|${now}`,
+      eventId: e.id,
+      leagueId: e.leagueId ?? "",
+      kind,
+      title: e.title,
+      before: was?.startTime ?? null,
+      after: e.startTime,
+      at: now,
+    });
+  for (const e of after) {
+    const was = previous.get(e.id);
+    if (!was) {
+      if (e.state === "pre" && !isCancelled(e)) push(e, "added", null);
+      continue;
+    }
+    if (isCancelled(e) && !isCancelled(was)) push(e, "cancelled", was);
+    else if (Math.abs(new Date(e.startTime) - new Date(was.startTime)) >= MOVE_THRESHOLD_MS) push(e, "moved", was);
+  }
+  return changes;
+}
+
+function trimMap(map) {
+  const keys = Object.keys(map);
+  return keys.length > MAX_TRACKED ? Object.fromEntries(keys.slice(-MAX_TRACKED).map((k) => [k, map[k]])) : map;
+}
+
+// Folds `changes` into the log. A second move of the same match replaces its earlier entry but
+// keeps the original "before" time, so the panel shows where it was first scheduled.
+export function recordChanges(log, changes) {
+  if (!changes.length) return log;
+  const revisions = { ...log.revisions };
+  let entries = log.entries;
+  for (const c of changes) {
+    if (c.kind !== "added") revisions[c.eventId] = (revisions[c.eventId] ?? 0) + 1;
+    const earlier = entries.find((x) => x.eventId === c.eventId);
+    const before = earlier && earlier.kind !== "added" ? earlier.before : c.before;
+    const kind = earlier?.kind === "added" && c.kind === "moved" ? "added" : c.kind;
+    entries = [{ ...c, kind, before: kind === "added" ? null : before }, ...entries.filter((x) => x.eventId !== c.eventId)];
+  }
+  return { ...log, entries: entries.slice(0, MAX_ENTRIES), revisions: trimMap(revisions) };
+}
+
+export function dismissChanges(log, ids = null) {
+  return { ...log, entries: ids ? log.entries.filter((c) => !ids.includes(c.id)) : [] };
+}
+
+// Latest change per event id, for flagging rows and reminders.
+export function changesByEvent(log) {
+  const map = new Map();
+  for (const c of log.entries) if (!map.has(c.eventId)) map.set(c.eventId, c);
+  return map;
+}
+
+export function markExported(log, events, now = Date.now()) {
+  const exported = { ...log.exported };
+  for (const e of events) exported[e.id] = now;
+  return { ...log, exported: trimMap(exported) };
+}
+
+// Log entries for matches that changed after they last went out in a calendar export.
+export function staleExports(log) {
+  return log.entries.filter((c) => c.kind !== "added" && c.at > (log.exported[c.eventId] ?? Infinity));
+}
+
+export async function readChangeLog() {
+  const stored = await withStore("schedules", "readonly", (store) => store.get(LOG_KEY));
+  return stored ? { ...emptyChangeLog(), ...stored } : emptyChangeLog();
+}
+
+export function writeChangeLog(log) {
+  return withStore("schedules", "readwrite", (store) => store.put({ ...log, key: LOG_KEY }));
+}
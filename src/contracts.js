@@ -0,0 +1,47 @@
+import { safeGet } from "./util";
+
+// What the normalizers rely on in a provider response. ESPN changes its payloads without
+// notice; checking the shape up front turns "the list is empty" into an error that names the
+// missing field. Each check returns a list of problems ("events[2].date is missing"), empty
+// when the response is usable.
+
+const STATES = ["pre", "in", "post"];
+
+function eventProblems(e, at) {
+  const problems = [];
+  if (e == null || typeof e !== "object") return [`${at} is not an object`];
+  if (e.id == null) problems.push(`${at}.id is missing`);
+  if (typeof e.date !== "string" || Number.isNaN(Date.parse(e.date))) problems.push(`${at}.date is missing or not a date`);
+  const competitors = safeGet(e, "competitions.0.competitors", null);
+  if (!Array.isArray(competitors)) {
+    problems.push(`${at}.competitions[0].competitors is missing`);
+  } else {
+    for (const side of ["home", "away"]) {
+      const c = competitors.find((x) => x?.homeAway === side);
+      if (!c) problems.push(`${at} has no ${side} competitor`);
+      else if (!safeGet(c, "team.displayName", "")) problems.push(`${at} ${side} competitor has no team.displayName`);
+    }
+  }
+  const state = safeGet(e, "status.type.state", null) ?? safeGet(e, "competitions.0.status.type.state", null);
+  if (state != null && !STATES.includes(state)) problems.push(`${at}.status.type.state is "${state}"`);
+  return problems;
+}
+
+// Scoreboard: { events: [{ id, date, status.type.state, competitions[0].competitors[home/away] }] }.
+// An empty `events` array is fine (an off week); a missing one is not.
+export function espnScoreboardProblems(json) {
+  if (json == null || typeof json !== "object") return ["response is not a JSON object"];
+  if (!Array.isArray(json.events)) return ["events is missing or not an array"];
+  return json.events.flatMap((e, i) => eventProblems(e, `events[${i}]`));
+}
+
+// Throws when nothing in the response would normalize; a few odd events (TBD fixtures without
+// a team yet) are tolerated and dropped or defaulted by the normalizer as before.
+export function assertEspnScoreboard(json, label = "ESPN scoreboard") {
+  const problems = espnScoreboardProblems(json);
+  if (!problems.length) return;
+  const events = Array.isArray(json?.events) ? json.events : [];
+  const broken = new Set(problems.map((p) => /^events\[(\d+)\]/.exec(p)?.[1]).filter(Boolean));
+  if (events.length && broken.size < events.length) return;
+  throw new Error(`${label} response changed: ${problems.slice(0, 3).join("; ")}`);
+}
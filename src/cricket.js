@@ -0,0 +1,66 @@
+import { safeGet, slugify } from "./util";
+
+// Cricket-specific fields, read off the raw feed item and merged onto the normalized event:
+//   format      "test" | "first-class" | "odi" | "t20" | … (see durations.cricketFormat)
+//   matchDays   scheduled days (5 for a Test)
+//   dayNumber   the day being played, while live
+//   sessions    [{ day, name, start, end }] ISO times, when the feed lists them
+//   endTime     scheduled close of play on the last day, when known
+// Multi-day display and export work off these through durations.playingWindows.
+
+// ESPN's competition.class names: "Test", "ODI", "T20I", "First-class", "List A", "Twenty20".
+function formatFromClass(name) {
+  const s = slugify(name);
+  if (!s) return "";
+  if (s === "test") return "test";
+  if (s === "odi" || s === "list-a" || s === "one-day") return "odi";
+  if (s.startsWith("t20") || s === "twenty20") return "t20";
+  if (s === "first-class" || s === "fc") return "first-class";
+  return s;
+}
+
+function dayFromStatus(detail) {
+  const m = /\bday\s+(\d+)\b/i.exec(String(detail ?? ""));
+  return m ? Number(m[1]) : null;
+}
+
+export function espnCricketFields(raw) {
+  const comp = safeGet(raw, "competitions.0", {});
+  const format = formatFromClass(
+    safeGet(comp, "class.generalClassCard", "") || safeGet(comp, "class.name", "") || safeGet(comp, "class.eventType", "")
+  );
+  const status = raw?.status ?? comp.status ?? {};
+  const live = safeGet(status, "type.state", "") === "in";
+  const days = Number(comp.numberOfDays ?? raw?.numberOfDays) || null;
+  const endTime = raw?.endDate ?? comp.endDate ?? null;
+  return {
+    format,
+    matchDays: days,
+    dayNumber: live ? dayFromStatus(safeGet(status, "type.detail", "")) ?? (days > 1 ? status.period ?? null : null) : null,
+    sessions: [],
+    endTime,
+  };
+}
+
+function normalizeSessions(list) {
+  return (Array.isArray(list) ? list : [])
+    .map((s, i) => ({ day: Number(s?.day) || i + 1, name: s?.name ?? "", start: s?.start, end: s?.end ?? null }))
+    .filter((s) => s.start);
+}
+
+// Custom JSON items: optional "format", "days", "dayNumber", "sessions" and "endTime" next to
+// the usual JSON feed fields (renameable through the league mapping like the rest).
+export const CRICKET_JSON_FIELDS = ["format", "days", "dayNumber", "sessions", "endTime"];
+
+export function jsonCricketFields(extra) {
+  const sessions = normalizeSessions(extra.sessions);
+  const days = Number(extra.days) || (sessions.length ? Math.max(...sessions.map((s) => s.day)) : null);
+  const lastEnd = sessions.length ? sessions[sessions.length - 1].end : null;
+  return {
+    format: formatFromClass(extra.format),
+    matchDays: days,
+    dayNumber: Number(extra.dayNumber) || null,
+    sessions,
+    endTime: extra.endTime ?? lastEnd,
+  };
+}
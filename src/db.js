@@ -0,0 +1,72 @@
+// Tiny IndexedDB helper shared by the schedule cache and the reminder queue.
+// Every call resolves to a fallback instead of throwing when IndexedDB is unavailable
+// (private browsing, old browsers), so callers can treat storage as best-effort.
+//
+// The service worker (service-worker.js) opens the same database; keep DB_VERSION and
+// upgrade() in sync with it.
+
+const DB_NAME = "sports-week-watchlist";
+const DB_VERSION = 2;
+
+let dbPromise = null;
+
+function upgrade(db) {
+  if (!db.objectStoreNames.contains("schedules")) db.createObjectStore("schedules", { keyPath: "key" });
+  if (!db.objectStoreNames.contains("reminders")) db.createObjectStore("reminders", { keyPath: "id" });
+}
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === "undefined") {
+        reject(new Error("IndexedDB unavailable"));
+        return;
+      }
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => upgrade(req.result);
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
+}
+
+function promisify(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+// Runs fn(store) in a transaction and resolves with its request's result, or `fallback` on any failure.
+export async function withStore(storeName, mode, fn, fallback = null) {
+  try {
+    const db = await openDb();
+    const tx = db.transaction(storeName, mode);
+    return await promisify(fn(tx.objectStore(storeName)));
+  } catch {
+    return fallback;
+  }
+}
+
+// Like withStore, for several operations: fn(store, promisify) may issue any number of requests.
+// Resolves with fn's result once the transaction commits, or `fallback` if anything fails.
+export async function withTransaction(storeName, mode, fn, fallback = null) {
+  try {
+    const db = await openDb();
+    const tx = db.transaction(storeName, mode);
+    const done = new Promise((resolve, reject) => {
+      tx.oncomplete = resolve;
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+    const result = await fn(tx.objectStore(storeName), promisify);
+    await done;
+    return result;
+  } catch {
+    return fallback;
+  }
+}
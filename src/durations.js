@@ -0,0 +1,96 @@
+import { slugify } from "./util";
+
+// How long a match is expected to last, for calendar export and overlap checks. Feeds that
+// know the real end (endTime) win; otherwise a per-sport default, refined by cricket format.
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const SPORT_DURATIONS_MS = {
+  soccer: 2 * HOUR_MS,
+  basketball: 2.5 * HOUR_MS,
+  hockey: 2.5 * HOUR_MS,
+  football: 3.5 * HOUR_MS,
+  baseball: 3 * HOUR_MS,
+  rugby: 2 * HOUR_MS,
+  tennis: 3 * HOUR_MS,
+  cricket: 8 * HOUR_MS,
+};
+
+const DEFAULT_DURATION_MS = 2 * HOUR_MS;
+
+// Tests run over five days of roughly seven hours' play; this spans the whole match, while the
+// days of play themselves come from playingWindows.
+const CRICKET_FORMAT_DURATIONS_MS = {
+  test: 4 * 24 * HOUR_MS + 7 * HOUR_MS,
+  "first-class": 3 * 24 * HOUR_MS + 7 * HOUR_MS,
+  odi: 8 * HOUR_MS,
+  t20: 3.5 * HOUR_MS,
+  hundred: 2.5 * HOUR_MS,
+  t10: 1.5 * HOUR_MS,
+};
+
+// "Test" / "ODI" / "T20" … from an explicit format field or the title/league text.
+export function cricketFormat(e) {
+  if (e.format) return slugify(e.format);
+  const text = `${e.title ?? ""} ${e.league ?? ""}`.toLowerCase();
+  if (/\btest\b/.test(text)) return "test";
+  if (/\bodi\b|one[- ]day/.test(text)) return "odi";
+  if (/\bt20\b|twenty20/.test(text)) return "t20";
+  if (/\bhundred\b/.test(text)) return "hundred";
+  if (/\bt10\b/.test(text)) return "t10";
+  return "";
+}
+
+export function expectedDurationMs(e) {
+  if (e.endTime) {
+    const ms = new Date(e.endTime) - new Date(e.startTime);
+    if (ms > 0) return ms;
+  }
+  const sport = slugify(e.sport);
+  if (sport === "cricket") {
+    const format = cricketFormat(e);
+    if (CRICKET_FORMAT_DURATIONS_MS[format]) return CRICKET_FORMAT_DURATIONS_MS[format];
+  }
+  return SPORT_DURATIONS_MS[sport] ?? DEFAULT_DURATION_MS;
+}
+
+export function expectedEndMs(e) {
+  return new Date(e.startTime).getTime() + expectedDurationMs(e);
+}
+
+// Scheduled playing days: the feed's count, else by cricket format, else one.
+const FORMAT_DAYS = { test: 5, "first-class": 4 };
+const PLAY_PER_DAY_MS = 7 * HOUR_MS;
+
+export function matchDays(e) {
+  if (e.matchDays > 0) return e.matchDays;
+  if (slugify(e.sport) === "cricket") return FORMAT_DAYS[cricketFormat(e)] ?? 1;
+  return 1;
+}
+
+// When the match is actually being played, as [{ start, end }] in ms. Multi-day matches get one
+// window per day, from the feed's session times when it has them, otherwise the first day's
+// start repeated daily; so a Test shows up on each of its days and doesn't "clash" with
+// everything overnight. Everything else is a single window to its expected end.
+export function playingWindows(e) {
+  const start = new Date(e.startTime).getTime();
+  const days = matchDays(e);
+  if (days <= 1 && !e.sessions?.length) return [{ start, end: expectedEndMs(e) }];
+  if (e.sessions?.length) {
+    const byDay = new Map();
+    for (const s of e.sessions) {
+      const from = new Date(s.start).getTime();
+      const to = new Date(s.end ?? s.start).getTime();
+      if (Number.isNaN(from)) continue;
+      const w = byDay.get(s.day) ?? { start: from, end: to };
+      byDay.set(s.day, { start: Math.min(w.start, from), end: Math.max(w.end, to) });
+    }
+    if (byDay.size) return [...byDay.entries()].sort((a, b) => a[0] - b[0]).map(([, w]) => w);
+  }
+  const perDay = Math.min(PLAY_PER_DAY_MS, expectedDurationMs(e));
+  return Array.from({ length: days }, (_, i) => {
+    const dayStart = new Date(start);
+    dayStart.setDate(dayStart.getDate() + i);
+    return { start: dayStart.getTime(), end: dayStart.getTime() + perDay };
+  });
+}
@@ -0,0 +1,51 @@
+import { buildIcs } from "./ics";
+import { eventTeams } from "./teams";
+import { slugify } from "./util";
+
+// Subscribable calendar feeds, generated at build time by scripts/build-feeds.js and served
+// next to the app:
+//   feeds/leagues/<leagueId>.ics   one per league
+//   feeds/teams/<team>.ics         one per team seen in those leagues (named by team key, so
+//                                  the URL survives display-name changes)
+//   feeds/index.json               what exists, for the app's "Subscribe" links
+
+export const FEEDS_DIR = "feeds";
+
+export function leagueFeedPath(leagueId) {
+  return `leagues/${slugify(leagueId)}.ics`;
+}
+
+export function teamFeedPath(teamKey) {
+  return `teams/${slugify(teamKey)}.ics`;
+}
+
+// results: [{ league, sportName, events }] -> { files: { [path]: text }, index }
+export function buildFeedFiles(results, { now = Date.now() } = {}) {
+  const files = {};
+  const index = { generatedAt: new Date(now).toISOString(), leagues: [], teams: [] };
+  const teams = new Map();
+
+  for (const { league, sportName, events } of results) {
+    const path = leagueFeedPath(league.id);
+    files[path] = buildIcs(events, { calendarName: `${league.name} (${sportName})`, now });
+    index.leagues.push({ id: league.id, name: league.name, sport: sportName, path, events: events.length });
+
+    for (const e of events) {
+      for (const t of eventTeams(e)) {
+        if (!teams.has(t.key)) teams.set(t.key, { team: t, sport: sportName, events: new Map() });
+        teams.get(t.key).events.set(e.id, e);
+      }
+    }
+  }
+
+  for (const { team, sport, events } of teams.values()) {
+    const list = [...events.values()].sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+    const path = teamFeedPath(team.key);
+    files[path] = buildIcs(list, { calendarName: `${team.name} (${sport})`, now });
+    index.teams.push({ key: team.key, name: team.name, sport, path, events: list.length });
+  }
+
+  index.teams.sort((a, b) => a.name.localeCompare(b.name));
+  files["index.json"] = JSON.stringify(index, null, 2) + "\n";
+  return { files, index };
+}
@@ -0,0 +1,436 @@
+import { expectedDurationMs, playingWindows } from "./durations";
+import { makeTeam } from "./teams";
+import {
+  addDaysWall,
+  addMonthsWall,
+  ianaZoneFor,
+  isValidTimeZone,
+  weekdayOfWall,
+  zonedWallToEpoch,
+} from "./timezone";
+import { stableId } from "./util";
+
+// iCalendar (RFC 5545) import and export.
+//
+// Import: enough of the format to read published team/league calendars.
+// Covers line unfolding, quoted parameters, escaped TEXT, UTC / TZID / floating / all-day
+// DTSTART, DTEND or DURATION, and basic RRULE expansion (DAILY/WEEKLY/MONTHLY/YEARLY with
+// INTERVAL, COUNT, UNTIL and weekly BYDAY) plus EXDATE and RECURRENCE-ID overrides.
+// TZIDs that aren't IANA names are mapped through timezone.ianaZoneFor (Windows names, path
+// prefixes) or a VTIMEZONE's X-LIC-LOCATION; a calendar whose timed events use a zone that
+// still can't be placed fails to load rather than showing every time shifted.
+
+// ---------- Lexing ----------
+
+export function unfoldLines(text) {
+  return String(text)
+    .replace(/\r\n?/g, "\n")
+    .replace(/\n[ \t]/g, "")
+    .split("\n")
+    .filter((l) => l.trim());
+}
+
+function splitOutsideQuotes(s, sep) {
+  const out = [];
+  let cur = "";
+  let quoted = false;
+  for (const c of s) {
+    if (c === '"') quoted = !quoted;
+    if (c === sep && !quoted) {
+      out.push(cur);
+      cur = "";
+    } else {
+      cur += c;
+    }
+  }
+  out.push(cur);
+  return out;
+}
+
+// "DTSTART;TZID=Europe/London:20260215T180000" -> { name, params: { TZID }, value }
+export function parseContentLine(line) {
+  let colon = -1;
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') quoted = !quoted;
+    else if (line[i] === ":" && !quoted) {
+      colon = i;
+      break;
+    }
+  }
+  if (colon < 0) return null;
+  const [name, ...rawParams] = splitOutsideQuotes(line.slice(0, colon), ";");
+  const params = {};
+  for (const p of rawParams) {
+    const eq = p.indexOf("=");
+    if (eq > 0) params[p.slice(0, eq).toUpperCase()] = p.slice(eq + 1).replace(/^"|"$/g, "");
+  }
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+export function unescapeText(v) {
+  return String(v).replace(/\\([\\;,nN])/g, (_, c) => (c === "n" || c === "N" ? "\n" : c));
+}
+
+// { calendarName, timeZone, zoneLocations: { [TZID]: location }, events: [{ [NAME]: [{ params, value }] }] }.
+// Only top-level VEVENT properties are kept (nested VALARMs are skipped).
+export function parseIcs(text) {
+  const cal = { calendarName: "", timeZone: "", zoneLocations: {}, events: [] };
+  let zoneId = "";
+  const stack = [];
+  let current = null;
+  for (const line of unfoldLines(text)) {
+    const prop = parseContentLine(line);
+    if (!prop) continue;
+    if (prop.name === "BEGIN") {
+      stack.push(prop.value.toUpperCase());
+      if (prop.value.toUpperCase() === "VEVENT") current = {};
+      if (prop.value.toUpperCase() === "VTIMEZONE") zoneId = "";
+      continue;
+    }
+    if (prop.name === "END") {
+      const ended = stack.pop();
+      if (ended === "VEVENT" && current) {
+        cal.events.push(current);
+        current = null;
+      }
+      continue;
+    }
+    const top = stack[stack.length - 1];
+    if (top === "VEVENT" && current) {
+      (current[prop.name] ??= []).push(prop);
+    } else if (top === "VCALENDAR") {
+      if (prop.name === "X-WR-CALNAME") cal.calendarName = unescapeText(prop.value);
+      if (prop.name === "X-WR-TIMEZONE") cal.timeZone = prop.value.trim();
+    } else if (top === "VTIMEZONE") {
+      // Google and Thunderbird name the IANA zone a custom VTIMEZONE stands for.
+      if (prop.name === "TZID") zoneId = prop.value.trim();
+      if (prop.name === "X-LIC-LOCATION" && zoneId) cal.zoneLocations[zoneId] = prop.value.trim();
+    }
+  }
+  return cal;
+}
+
+// ---------- Values ----------
+
+// { wall, zone, allDay } where zone is "UTC", an IANA name, or null for floating (viewer-local).
+export function parseDateValue(value, params = {}, defaultZone = null) {
+  const m = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(String(value).trim());
+  if (!m) return null;
+  const wall = { y: +m[1], mo: +m[2], d: +m[3], h: +(m[4] ?? 0), mi: +(m[5] ?? 0), s: +(m[6] ?? 0) };
+  const allDay = params.VALUE === "DATE" || !m[4];
+  let zone = null;
+  if (m[7]) zone = "UTC";
+  else if (!allDay && isValidTimeZone(params.TZID)) zone = params.TZID;
+  else if (!allDay && !params.TZID && isValidTimeZone(defaultZone)) zone = defaultZone;
+  return { wall, zone, allDay };
+}
+
+export function toEpoch(wall, zone) {
+  if (zone === "UTC") return Date.UTC(wall.y, wall.mo - 1, wall.d, wall.h, wall.mi, wall.s);
+  if (zone) return zonedWallToEpoch(wall, zone);
+  return new Date(wall.y, wall.mo - 1, wall.d, wall.h, wall.mi, wall.s).getTime();
+}
+
+// "P1DT2H30M" / "PT90M" / "P1W" -> ms
+export function parseDuration(value) {
+  const m = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(String(value).trim());
+  if (!m) return null;
+  const [, sign, w, d, h, mi, s] = m;
+  const ms = ((((+(w ?? 0) * 7 + +(d ?? 0)) * 24 + +(h ?? 0)) * 60 + +(mi ?? 0)) * 60 + +(s ?? 0)) * 1000;
+  return sign === "-" ? -ms : ms;
+}
+
+export function parseRrule(value) {
+  const rule = {};
+  for (const part of String(value).split(";")) {
+    const [k, v] = part.split("=");
+    if (k && v) rule[k.toUpperCase()] = v;
+  }
+  return rule;
+}
+
+const WEEKDAYS = ["MO", "TU", "WE", "TH", "FR", "SA", "SU"];
+
+// ---------- Recurrence ----------
+
+// Start instants (epoch ms) of the occurrences of `start` under `rrule` that overlap
+// [from, to). COUNT/UNTIL are honoured from the first occurrence, not from `from`.
+export function expandRrule(rrule, start, durationMs, { from = -Infinity, to = Infinity, exclude = new Set(), max = 500 } = {}) {
+  const rule = parseRrule(rrule);
+  const freq = rule.FREQ;
+  const interval = Math.max(1, Number(rule.INTERVAL) || 1);
+  const count = rule.COUNT ? Number(rule.COUNT) : Infinity;
+  const untilValue = rule.UNTIL ? parseDateValue(rule.UNTIL, {}, start.zone) : null;
+  const until = untilValue ? toEpoch(untilValue.wall, untilValue.allDay ? start.zone : untilValue.zone) : Infinity;
+  const byDay = (rule.BYDAY ?? "")
+    .split(",")
+    .map((d) => WEEKDAYS.indexOf(d.trim().slice(-2).toUpperCase()))
+    .filter((i) => i >= 0)
+    .sort((a, b) => a - b);
+
+  const startEpoch = toEpoch(start.wall, start.zone);
+  const out = [];
+  let seen = 0;
+
+  function candidates(k) {
+    if (freq === "DAILY") return [addDaysWall(start.wall, k * interval)];
+    if (freq === "WEEKLY") {
+      if (!byDay.length) return [addDaysWall(start.wall, k * 7 * interval)];
+      const monday = addDaysWall(start.wall, k * 7 * interval - weekdayOfWall(start.wall));
+      return byDay.map((i) => addDaysWall(monday, i));
+    }
+    if (freq === "MONTHLY") return [addMonthsWall(start.wall, k * interval)];
+    if (freq === "YEARLY") return [addMonthsWall(start.wall, 12 * k * interval)];
+    return k === 0 ? [start.wall] : [];
+  }
+
+  for (let k = 0; k < 5000; k++) {
+    const walls = candidates(k);
+    if (!walls.length) break;
+    for (const wall of walls) {
+      if (!wall) continue;
+      const t = toEpoch(wall, start.zone);
+      if (t < startEpoch) continue;
+      if (t > until || seen >= count || t >= to || out.length >= max) return out;
+      seen++;
+      if (t + durationMs > from && !exclude.has(t)) out.push(t);
+    }
+  }
+  return out;
+}
+
+// ---------- Mapping to watchlist events ----------
+
+function first(ev, name) {
+  return ev[name]?.[0] ?? null;
+}
+
+function text(ev, name) {
+  const p = first(ev, name);
+  return p ? unescapeText(p.value).trim() : "";
+}
+
+
+// "Arsenal vs Chelsea" (home first) / "Lakers @ Celtics" (away first)
+function teamsFromSummary(summary) {
+  const at = summary.split(/\s+@\s+/);
+  if (at.length === 2) return { away: at[0].trim(), home: at[1].trim() };
+  const vs = summary.split(/\s+(?:vs\.?|v\.?)\s+/i);
+  if (vs.length === 2) return { home: vs[0].trim(), away: vs[1].trim() };
+  return { home: "", away: "" };
+}
+
+const STATUS_LABELS = { CONFIRMED: "Scheduled", TENTATIVE: "Tentative", CANCELLED: "Canceled" };
+
+function toIso(ts) {
+  return new Date(ts).toISOString();
+}
+
+// Normalized events for every VEVENT (and expanded occurrence) overlapping `range`
+// ({ start, days }); without a range, recurring events stop after a few hundred occurrences.
+// Throws when a timed event's TZID (or X-WR-TIMEZONE) can't be mapped to a zone.
+export function icsToEvents(icsText, { sportLabel, leagueName, range }) {
+  const cal = parseIcs(icsText);
+  const unknownZones = new Set();
+  const zoneFor = (tzid) => ianaZoneFor(cal.zoneLocations[tzid]) || ianaZoneFor(tzid);
+  const calendarZone = zoneFor(cal.timeZone);
+  if (cal.timeZone && !calendarZone) unknownZones.add(cal.timeZone);
+  // parseDateValue with the TZID swapped for its IANA zone; unplaceable ones are collected.
+  const dateValue = (value, params, defaultZone) => {
+    const zone = params.TZID ? zoneFor(params.TZID) : "";
+    const d = parseDateValue(value, zone ? { ...params, TZID: zone } : params, defaultZone);
+    if (d && params.TZID && !zone && !d.allDay) unknownZones.add(params.TZID);
+    return d;
+  };
+  const dateProp = (prop) => (prop ? dateValue(prop.value, prop.params, calendarZone) : null);
+  // Padded a day each side: the viewer may be looking at the range in another zone, and the
+  // app trims to the calendar days it shows.
+  const day = 24 * 60 * 60 * 1000;
+  const from = range ? range.start.getTime() - day : -Infinity;
+  const to = range ? range.start.getTime() + (range.days + 1) * day : Infinity;
+
+  // RECURRENCE-ID instances replace the generated occurrence at that time.
+  const overridden = new Set();
+  for (const ev of cal.events) {
+    const rid = dateProp(first(ev, "RECURRENCE-ID"));
+    if (rid) overridden.add(`${text(ev, "UID")}|${toEpoch(rid.wall, rid.zone)}`);
+  }
+
+  const out = [];
+  for (const ev of cal.events) {
+    const start = dateProp(first(ev, "DTSTART"));
+    if (!start) continue;
+    const uid = text(ev, "UID") || `ics-${stableId(text(ev, "SUMMARY"), first(ev, "DTSTART").value)}`;
+    const startEpoch = toEpoch(start.wall, start.zone);
+
+    const end = dateProp(first(ev, "DTEND"));
+    const duration = first(ev, "DURATION") ? parseDuration(first(ev, "DURATION").value) : null;
+    let durationMs = 0;
+    if (end) durationMs = toEpoch(end.wall, end.zone) - startEpoch;
+    else if (duration != null) durationMs = duration;
+    else if (start.allDay) durationMs = 24 * 60 * 60 * 1000;
+
+    const summary = text(ev, "SUMMARY") || "Match";
+    const { home, away } = teamsFromSummary(summary);
+    const rawStatus = text(ev, "STATUS").toUpperCase();
+    const base = {
+      sport: sportLabel,
+      league: leagueName || cal.calendarName || sportLabel,
+      title: summary,
+      home,
+      away,
+      homeTeam: makeTeam(sportLabel, null, home),
+      awayTeam: makeTeam(sportLabel, null, away),
+      venue: text(ev, "LOCATION"),
+      timeZone: start.zone && start.zone !== "UTC" ? start.zone : calendarZone,
+      status: STATUS_LABELS[rawStatus] ?? "Scheduled",
+      state: rawStatus === "CANCELLED" ? "post" : "pre",
+      statusDetail: "",
+      period: null,
+      clock: "",
+      score: null,
+      url: text(ev, "URL"),
+      allDay: start.allDay,
+    };
+
+    // Overrides share the id of the occurrence they replace, so a moved instance keeps its identity.
+    const rid = dateProp(first(ev, "RECURRENCE-ID"));
+    const rrule = first(ev, "RRULE");
+    if (!rrule || rid) {
+      const id = rid ? `${uid}/${toEpoch(rid.wall, rid.zone)}` : uid;
+      out.push({ ...base, id, startTime: toIso(startEpoch), endTime: toIso(startEpoch + durationMs) });
+      continue;
+    }
+
+    const exclude = new Set();
+    for (const ex of ev.EXDATE ?? []) {
+      for (const v of ex.value.split(",")) {
+        const d = dateValue(v, ex.params, start.zone);
+        if (d) exclude.add(toEpoch(d.wall, d.allDay ? start.zone : d.zone));
+      }
+    }
+    for (const t of expandRrule(rrule.value, start, durationMs, { from, to, exclude })) {
+      if (overridden.has(`${uid}|${t}`)) continue;
+      out.push({ ...base, id: `${uid}/${t}`, startTime: toIso(t), endTime: toIso(t + durationMs) });
+    }
+  }
+  if (unknownZones.size) {
+    const names = [...unknownZones].map((z) => `"${z}"`).join(", ");
+    throw new Error(`Unknown time zone ${names}; times in this calendar can't be placed`);
+  }
+  return out;
+}
+
+// ---------- Export ----------
+// Times are written in UTC (DTSTART:...Z), which every client reads unambiguously and needs no
+// VTIMEZONE block. UIDs come from the provider's event id, so re-importing an export updates
+// the existing entries instead of duplicating them.
+
+const PRODID = "-//Sports Week Watchlist//EN";
+
+export function escapeText(v) {
+  return String(v ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+const encoder = new TextEncoder();
+
+// Fold to 75 octets per line (continuations start with a space), never splitting a UTF-8 sequence.
+export function foldLine(line) {
+  const out = [];
+  let cur = "";
+  let bytes = 0;
+  for (const ch of line) {
+    const size = encoder.encode(ch).length;
+    const limit = out.length === 0 ? 75 : 74;
+    if (bytes + size > limit) {
+      out.push(cur);
+      cur = "";
+      bytes = 0;
+    }
+    cur += ch;
+    bytes += size;
+  }
+  out.push(cur);
+  return out.join("\r\n ");
+}
+
+function fmtUtc(ts) {
+  return new Date(ts).toISOString().replace(/[-:]/g, "").split(".")[0] + "Z";
+}
+
+function fmtDateOnly(ts) {
+  const d = new Date(ts);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}${pad(d.getMonth() + 1)}${pad(d.getDate())}`;
+}
+
+export function isCancelled(e) {
+  return /postpon|cancel|suspend|abandon/i.test(e.status ?? "");
+}
+
+// buildIcs(events, { calendarName, alarmsFor(e) -> [lead minutes], now })
+// Postponed/cancelled games are exported as STATUS:CANCELLED with a bumped SEQUENCE so clients
+// that already have them update in place; `e.sequence` (when a caller tracks revisions) wins.
+// Multi-day matches (a cricket Test) become one VEVENT per day of play, "<id>-d<n>" with
+// "(Day n)" in the summary, instead of a block running through the nights; alarms go on the
+// first day only, as the in-app reminders do.
+export function buildIcs(events, { calendarName = "My Sports", alarmsFor = () => [], now = Date.now() } = {}) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(calendarName)}`,
+  ];
+  const dtstamp = fmtUtc(now);
+
+  for (const e of events) {
+    const start = new Date(e.startTime).getTime();
+    const cancelled = isCancelled(e);
+    const watch = (e.broadcasts ?? []).map((x) => x.name).join(", ");
+    const description = [`${e.sport} • ${e.league}`, e.status, watch && `Watch: ${watch}`, e.url].filter(Boolean).join("\n");
+    const windows = e.allDay ? [] : playingWindows(e);
+    const days = windows.length > 1 ? windows : [{ start, end: start + expectedDurationMs(e) }];
+
+    days.forEach((w, i) => {
+      const uid = days.length > 1 ? `${e.id}-d${i + 1}` : e.id;
+      const summary = `${e.title || "Match"}${days.length > 1 ? ` (Day ${i + 1})` : ""}`;
+      lines.push("BEGIN:VEVENT");
+      lines.push(`UID:${escapeText(uid)}@sports-week-watchlist`);
+      lines.push(`DTSTAMP:${dtstamp}`);
+      if (e.allDay) {
+        lines.push(`DTSTART;VALUE=DATE:${fmtDateOnly(w.start)}`);
+        lines.push(`DTEND;VALUE=DATE:${fmtDateOnly(Math.max(w.end, w.start + 24 * 60 * 60 * 1000))}`);
+      } else {
+        lines.push(`DTSTART:${fmtUtc(w.start)}`);
+        lines.push(`DTEND:${fmtUtc(w.end)}`);
+      }
+      lines.push(`SEQUENCE:${e.sequence ?? (cancelled ? 1 : 0)}`);
+      lines.push(`STATUS:${cancelled ? "CANCELLED" : e.tentative ? "TENTATIVE" : "CONFIRMED"}`);
+      lines.push(`SUMMARY:${escapeText(summary)}`);
+      if (e.venue) lines.push(`LOCATION:${escapeText(e.venue)}`);
+      lines.push(`DESCRIPTION:${escapeText(description)}`);
+      if (e.url) lines.push(`URL:${e.url}`);
+
+      if (!cancelled && i === 0) {
+        for (const minutes of alarmsFor(e)) {
+          lines.push("BEGIN:VALARM");
+          lines.push("ACTION:DISPLAY");
+          lines.push(`DESCRIPTION:${escapeText(e.title || "Match")}`);
+          lines.push(`TRIGGER:-PT${minutes}M`);
+          lines.push("END:VALARM");
+        }
+      }
+      lines.push("END:VEVENT");
+    });
+  }
+
+  lines.push("END:VCALENDAR");
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
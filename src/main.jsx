@@ -1,6 +1,7 @@
 import React from "react";
 import ReactDOM from "react-dom/client";
 import App from "./App";
+import { registerServiceWorker } from "./reminders";
 import "./index.css";
 
 ReactDOM.createRoot(document.getElementById("root")).render(
@@ -8,3 +9,6 @@ ReactDOM.createRoot(document.getElementById("root")).render(
     <App />
   </React.StrictMode>
 );
+
+// The worker only exists in production builds (see vite.config.js).
+if (import.meta.env.PROD) registerServiceWorker();
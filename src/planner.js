@@ -0,0 +1,58 @@
+import { playingWindows } from "./durations";
+
+// "What to watch": matches whose expected windows overlap form a clash slot. The user marks
+// one match per slot as primary; the others become tentative (exported as STATUS:TENTATIVE,
+// no reminders). Choices are stored as a list of primary event ids rather than per slot, so
+// they survive slots being recomputed when a kickoff moves or a league is toggled.
+
+// Overlapping events, chained: A–B and B–C put all three in one slot even if A and C don't
+// touch. Multi-day matches take part once per day of play (durations.playingWindows).
+// Returns [{ key, start, end, events }] for slots with two or more events, by start.
+export function findClashes(events) {
+  const sorted = events
+    .filter((e) => !e.allDay)
+    .flatMap((e) => playingWindows(e).map((w) => ({ e, start: w.start, end: w.end })))
+    .sort((a, b) => a.start - b.start);
+  const slots = [];
+  let current = null;
+  for (const item of sorted) {
+    if (current && item.start < current.end) {
+      current.items.push(item);
+      current.end = Math.max(current.end, item.end);
+    } else {
+      current = { start: item.start, end: item.end, items: [item] };
+      slots.push(current);
+    }
+  }
+  return slots
+    .map((s) => ({ ...s, events: [...new Map(s.items.map((i) => [i.e.id, i.e])).values()] }))
+    .filter((s) => s.events.length > 1)
+    .map((s) => ({ key: s.events.map((e) => e.id).join("|"), start: s.start, end: s.end, events: s.events }));
+}
+
+// The slot's primary is the first of its events the user has marked.
+export function primaryOf(slot, primaryIds) {
+  return slot.events.find((e) => primaryIds.includes(e.id)) ?? null;
+}
+
+// Ids of events that lost their slot to a primary; slots without a choice stay untouched.
+export function tentativeIds(slots, primaryIds) {
+  const ids = new Set();
+  for (const slot of slots) {
+    const primary = primaryOf(slot, primaryIds);
+    if (!primary) continue;
+    for (const e of slot.events) if (e.id !== primary.id) ids.add(e.id);
+  }
+  return ids;
+}
+
+const MAX_PRIMARY_IDS = 200;
+
+// Marks `eventId` as its slot's primary (or clears it when it already is). Older choices are
+// dropped past MAX_PRIMARY_IDS so the stored list doesn't grow forever.
+export function togglePrimary(primaryIds, slot, eventId) {
+  const slotIds = new Set(slot.events.map((e) => e.id));
+  const others = primaryIds.filter((id) => !slotIds.has(id));
+  if (primaryOf(slot, primaryIds)?.id === eventId) return others;
+  return [...others, eventId].slice(-MAX_PRIMARY_IDS);
+}
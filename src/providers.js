@@ -0,0 +1,428 @@
+import { addDays, fmtYmd, safeGet, slugify, stableId } from "./util";
+import { icsToEvents } from "./ics";
+import { assertEspnScoreboard } from "./contracts";
+import { normalizeBroadcastList, normalizeEspnBroadcasts } from "./broadcasts";
+import { CRICKET_JSON_FIELDS, espnCricketFields, jsonCricketFields } from "./cricket";
+import { espnStandingsUrl, formFromEvents, mergeContext, normalizeEspnStandings } from "./standings";
+import { eventTeams, makeTeam, teamProviderId } from "./teams";
+import { isValidTimeZone, venueTimeZone } from "./timezone";
+
+// ---------- Provider adapters ----------
+// Each adapter returns a normalized list of events:
+// { id, sport, league, title, startTime, home, away, homeTeam, awayTeam, venue, status,
+//   state, statusDetail, period, clock, score, url }
+// plus optional endTime (ISO) and allDay when the source knows them (calendar feeds), and
+// timeZone: the venue's IANA zone, or "" when unknown (leagues may set a default `timeZone`).
+// broadcasts lists where the match is shown (see broadcasts.js); empty when the feed doesn't say.
+// homeTeam/awayTeam are { key, name, abbr } (see makeTeam) or null when the feed has no teams.
+// The loader also stamps `leagueId` (the league config id) on every event.
+// state is "pre" | "in" | "post"; score is { home, away } (display strings) or null before kickoff.
+//
+// Adapters register by league `kind` (registerAdapter), so a new feed type is a new
+// registerAdapter call rather than another branch in the component.
+
+export async function fetchJson(url) {
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  return res.json();
+}
+
+export async function fetchText(url) {
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  return res.text();
+}
+
+// webcal:// is just a hint to open a calendar app; fetch it over https.
+export function httpUrl(url) {
+  return String(url).replace(/^webcals?:\/\//i, "https://");
+}
+
+function withParams(url, params) {
+  const u = new URL(url);
+  for (const [k, v] of Object.entries(params)) u.searchParams.set(k, String(v));
+  return u.toString();
+}
+
+// ESPN scoreboard URLs covering a { start, days } range. ESPN buckets games by US Eastern
+// dates, so the window is padded a day on each side and trimmed client-side afterwards.
+// Leagues with `dateParam: "day"` get one request per day instead of a dates=A-B range.
+function espnScoreboardUrls(league, range) {
+  if (!range) return [league.url];
+  const first = addDays(range.start, -1);
+  const last = addDays(range.start, range.days);
+  if (league.dateParam === "day") {
+    const urls = [];
+    for (let d = first; d <= last; d = addDays(d, 1)) urls.push(withParams(league.url, { dates: fmtYmd(d) }));
+    return urls;
+  }
+  return [withParams(league.url, { dates: `${fmtYmd(first)}-${fmtYmd(last)}`, limit: 1000 })];
+}
+
+// ".../soccer/eng.1/scoreboard" -> ".../soccer/eng.1/teams/359/schedule", plus the
+// `fixture=true` variant: soccer schedules list results only unless asked for fixtures
+// (other sports return the whole season either way; duplicates are dropped).
+function espnTeamScheduleUrls(league, teamId) {
+  const u = new URL(league.url);
+  if (!/\/scoreboard$/.test(u.pathname)) return [];
+  u.pathname = u.pathname.replace(/\/scoreboard$/, `/teams/${encodeURIComponent(teamId)}/schedule`);
+  u.search = "";
+  return [u.toString(), withParams(u.toString(), { fixture: "true" })];
+}
+
+export function dedupeById(events) {
+  return [...new Map(events.map((e) => [e.id, e])).values()];
+}
+
+// "pre" | "in" | "post" from a free-text status, for feeds that don't say.
+export function inferState(status) {
+  const s = String(status ?? "").toLowerCase();
+  if (/final|full time|ended|result|completed|abandon|cancel|postponed/.test(s)) return "post";
+  if (/progress|live|half|quarter|period|inning|innings|session|stumps|\b\d+(st|nd|rd|th)\b/.test(s)) return "in";
+  return "pre";
+}
+
+// ESPN sends scores as strings ("102") or, for some sports, { value, displayValue }.
+function scoreValue(score) {
+  if (score && typeof score === "object") return score.displayValue ?? String(score.value ?? "");
+  return String(score);
+}
+
+// Underway per the feed, or due to have started recently (the feed may lag behind kickoff).
+export function isInProgress(e, now = Date.now()) {
+  if (e.state === "in") return true;
+  const start = new Date(e.startTime).getTime();
+  return e.state === "pre" && start <= now && now - start < 3 * 60 * 60 * 1000;
+}
+
+export function normalizeEspnScoreboard(json, sportLabel) {
+  const events = safeGet(json, "events", []);
+  return events
+    .map((e) => {
+      const id = e?.id ?? `espn-${stableId(safeGet(e, "name", ""), e?.date)}`;
+      const league = safeGet(e, "league.name", safeGet(json, "leagues.0.name", ""));
+      const startTime = e?.date;
+      const comps = safeGet(e, "competitions.0.competitors", []);
+      const home = comps.find((c) => c?.homeAway === "home");
+      const away = comps.find((c) => c?.homeAway === "away");
+      const venue = safeGet(e, "competitions.0.venue.fullName", "");
+      const timeZone = venueTimeZone(safeGet(e, "competitions.0.venue.address", null));
+      const broadcasts = normalizeEspnBroadcasts(safeGet(e, "competitions.0", null));
+      const statusObj = e?.status ?? safeGet(e, "competitions.0.status", {});
+      const status = safeGet(statusObj, "type.description", "Scheduled");
+      const url = safeGet(e, "links.0.href", "");
+      const homeName = safeGet(home, "team.displayName", "Home");
+      const awayName = safeGet(away, "team.displayName", "Away");
+      const homeTeam = home ? makeTeam(sportLabel, home.team?.id ?? home.id, homeName, home.team?.abbreviation) : null;
+      const awayTeam = away ? makeTeam(sportLabel, away.team?.id ?? away.id, awayName, away.team?.abbreviation) : null;
+      const hasScore = home?.score != null && away?.score != null;
+      return {
+        id,
+        sport: sportLabel,
+        league,
+        title: `${awayName} @ ${homeName}`,
+        startTime,
+        home: homeName,
+        away: awayName,
+        homeTeam,
+        awayTeam,
+        venue,
+        timeZone,
+        broadcasts,
+        status,
+        state: safeGet(statusObj, "type.state", inferState(status)),
+        statusDetail: safeGet(statusObj, "type.shortDetail", ""),
+        period: safeGet(statusObj, "period", null),
+        clock: safeGet(statusObj, "displayClock", ""),
+        score: hasScore ? { home: scoreValue(home.score), away: scoreValue(away.score) } : null,
+        url,
+      };
+    })
+    .filter((x) => x.startTime);
+}
+
+// Custom JSON feed. Default shape:
+// [ {"title":"India vs Australia","startTime":"2026-02-15T18:00:00Z","league":"ICC","venue":"...","url":"..."}, ... ]
+// Optional "home"/"away" names (and "homeId"/"awayId") make the teams favoritable;
+// optional "state" ("pre"/"in"/"post") and "homeScore"/"awayScore" drive the live view;
+// optional "timeZone" (IANA, e.g. "Asia/Kolkata") is the venue's zone, and "broadcasts"
+// (["Sky Sports", …] or "Sky Sports, TNT") where it's shown.
+// `league.mapping` renames fields with dot paths, e.g. {"items":"data.matches","startTime":"kickoff.utc"};
+// "items" points at the array when it isn't the top-level value.
+export const JSON_FIELDS = [
+  "id",
+  "title",
+  "startTime",
+  "league",
+  "home",
+  "away",
+  "homeId",
+  "awayId",
+  "venue",
+  "timeZone",
+  "broadcasts",
+  "status",
+  "state",
+  "homeScore",
+  "awayScore",
+  "url",
+];
+
+// `extend(read)` lets an adapter add its own fields: read(field) applies the same mapping.
+export function normalizeJsonFeed(json, sportLabel, mapping = {}, extend = null) {
+  const items = mapping.items ? safeGet(json, mapping.items, []) : json;
+  return (Array.isArray(items) ? items : [])
+    .map((item) => {
+      const read = (field) => safeGet(item, mapping[field] ?? field, undefined);
+      const e = {};
+      for (const field of JSON_FIELDS) e[field] = read(field);
+      return {
+        // Feeds without ids get one derived from the fixture, so exports keep a stable UID.
+        id: e.id != null ? String(e.id) : `json-${stableId(e.league, e.title, e.home, e.away, e.startTime)}`,
+        sport: sportLabel,
+        league: e.league ?? sportLabel,
+        title: e.title ?? (e.home && e.away ? `${e.home} vs ${e.away}` : "Match"),
+        startTime: e.startTime,
+        home: e.home ?? "",
+        away: e.away ?? "",
+        homeTeam: makeTeam(sportLabel, e.homeId, e.home),
+        awayTeam: makeTeam(sportLabel, e.awayId, e.away),
+        venue: e.venue ?? "",
+        timeZone: isValidTimeZone(e.timeZone) ? e.timeZone : "",
+        broadcasts: normalizeBroadcastList(e.broadcasts),
+        status: e.status ?? "Scheduled",
+        state: e.state ?? inferState(e.status),
+        statusDetail: "",
+        period: null,
+        clock: "",
+        score: e.homeScore != null && e.awayScore != null ? { home: String(e.homeScore), away: String(e.awayScore) } : null,
+        url: e.url ?? "",
+        ...(extend ? extend(read) : null),
+      };
+    })
+    .filter((x) => x.startTime);
+}
+
+// ---------- Adapter registry ----------
+// An adapter is { label, hint, load(league, { sportLabel, range }) } where `range` is
+// { start, days }; adapters that can't query by date return whatever the feed has.
+// Adapters may add loadContext(league, { sportLabel, now }) returning standings and form
+// per team key (see standings.js); leagues whose adapter has none simply show no context.
+
+const adapters = new Map();
+
+export function registerAdapter(kind, adapter) {
+  adapters.set(kind, adapter);
+}
+
+export function getAdapter(kind) {
+  return adapters.get(kind) ?? null;
+}
+
+export function adapterKinds() {
+  return [...adapters.entries()].map(([kind, a]) => ({ kind, label: a.label, hint: a.hint ?? "" }));
+}
+
+const FORM_WINDOW_DAYS = 28;
+
+registerAdapter("espn", {
+  label: "ESPN scoreboard",
+  hint: "https://site.api.espn.com/apis/site/v2/sports/<sport>/<league>/scoreboard",
+  async load(league, { sportLabel, range }) {
+    const pages = await Promise.all(espnScoreboardUrls(league, range).map(fetchJson));
+    for (const json of pages) assertEspnScoreboard(json);
+    return dedupeById(pages.flatMap((json) => normalizeEspnScoreboard(json, sportLabel)));
+  },
+  // Standings from the sibling /standings endpoint (missing for cup competitions between group
+  // stages, so that part is optional); form from the last few weeks of scoreboard results.
+  async loadContext(league, { sportLabel, now = Date.now() }) {
+    const standingsUrl = espnStandingsUrl(league.url);
+    const recent = { start: addDays(new Date(now), -FORM_WINDOW_DAYS), days: FORM_WINDOW_DAYS };
+    const [standings, results] = await Promise.all([
+      standingsUrl
+        ? fetchJson(standingsUrl)
+            .then((json) => normalizeEspnStandings(json, sportLabel))
+            .catch(() => ({}))
+        : {},
+      this.load(league, { sportLabel, range: recent }),
+    ]);
+    return mergeContext(standings, formFromEvents(results));
+  },
+  // The team's season from its schedule endpoint; one of the two URLs failing is fine.
+  async loadTeamSchedule(league, team, { sportLabel }) {
+    const teamId = teamProviderId(team.key);
+    const urls = teamId ? espnTeamScheduleUrls(league, teamId) : [];
+    if (!urls.length) throw new Error("This league has no team schedules.");
+    const pages = await Promise.allSettled(urls.map(fetchJson));
+    const ok = pages.filter((p) => p.status === "fulfilled").map((p) => p.value);
+    if (!ok.length) throw pages[0].reason;
+    for (const json of ok) assertEspnScoreboard(json, "ESPN team schedule");
+    return dedupeById(
+      ok.flatMap((json) => normalizeEspnScoreboard(json, sportLabel)).map((e) => ({ ...e, league: e.league || league.name }))
+    );
+  },
+});
+
+// Cricket takes either an ESPN cricket scoreboard or the custom JSON shape, plus the
+// format / day / session fields in cricket.js. Feeds are small, so there's no date query.
+registerAdapter("cricket", {
+  label: "Cricket (ESPN or JSON)",
+  hint: "https://site.api.espn.com/apis/site/v2/sports/cricket/<series id>/scoreboard",
+  async load(league, { sportLabel }) {
+    if (!league.url) return [];
+    const json = await fetchJson(league.url);
+    if (Array.isArray(json?.events)) {
+      assertEspnScoreboard(json);
+      const raw = new Map(json.events.map((e) => [String(e?.id), e]));
+      return normalizeEspnScoreboard(json, sportLabel).map((e) => {
+        const fields = espnCricketFields(raw.get(String(e.id)));
+        // Cricket fixtures read "India v Australia"; there's no home/away sense to "@".
+        return { ...e, ...fields, title: e.title.replace(" @ ", " v ") };
+      });
+    }
+    return normalizeJsonFeed(json, sportLabel, league.mapping, (read) =>
+      jsonCricketFields(Object.fromEntries(CRICKET_JSON_FIELDS.map((f) => [f, read(f)])))
+    );
+  },
+});
+
+registerAdapter("json", {
+  label: "JSON feed",
+  hint: "https://your-domain.com/fixtures.json",
+  async load(league, { sportLabel }) {
+    if (!league.url) return [];
+    return normalizeJsonFeed(await fetchJson(league.url), sportLabel, league.mapping);
+  },
+});
+
+registerAdapter("ics", {
+  label: "iCalendar (.ics / webcal)",
+  hint: "webcal://example.com/team-fixtures.ics",
+  async load(league, { sportLabel, range }) {
+    const text = await fetchText(httpUrl(league.url));
+    return icsToEvents(text, { sportLabel, leagueName: league.name, range });
+  },
+});
+
+export async function loadContextForLeague(league, sportLabel) {
+  const adapter = getAdapter(league.kind);
+  if (!adapter?.loadContext) return null;
+  return adapter.loadContext(league, { sportLabel });
+}
+
+function withLeagueZone(league, events) {
+  return league.timeZone ? events.map((e) => (e.timeZone ? e : { ...e, timeZone: league.timeZone })) : events;
+}
+
+export async function loadEventsForLeague(league, sportLabel, range) {
+  const adapter = getAdapter(league.kind);
+  if (!adapter) throw new Error(`Unknown provider kind "${league.kind}"`);
+  return withLeagueZone(league, await adapter.load(league, { sportLabel, range }));
+}
+
+// Every match `team` ({ key, name }) has in `league`, past and future, sorted by start.
+// Adapters with a per-team endpoint provide loadTeamSchedule; for the rest the whole feed is
+// loaded without a date range and filtered to the team.
+export async function loadTeamSchedule(league, sportLabel, team) {
+  const adapter = getAdapter(league.kind);
+  if (!adapter) throw new Error(`Unknown provider kind "${league.kind}"`);
+  const events = adapter.loadTeamSchedule
+    ? await adapter.loadTeamSchedule(league, team, { sportLabel })
+    : (await adapter.load(league, { sportLabel })).filter((e) => eventTeams(e).some((t) => t.key === team.key));
+  return withLeagueZone(league, events)
+    .map((e) => ({ ...e, leagueId: league.id }))
+    .sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+}
+
+// ---------- Sports & leagues ----------
+
+// ESPN example endpoints (no key). If any fail, you can swap with your own providers.
+export const PROVIDERS = {
+  basketball: {
+    name: "Basketball",
+    leagues: [
+      {
+        id: "nba",
+        name: "NBA",
+        kind: "espn",
+        // Base endpoint; espnScoreboardUrls adds dates=YYYYMMDD-YYYYMMDD for the selected window.
+        url: "https://site.api.espn.com/apis/site/v2/sports/basketball/nba/scoreboard",
+      },
+    ],
+  },
+  soccer: {
+    name: "Soccer",
+    leagues: [
+      {
+        id: "epl",
+        name: "Premier League",
+        kind: "espn",
+        url: "https://site.api.espn.com/apis/site/v2/sports/soccer/eng.1/scoreboard",
+        timeZone: "Europe/London",
+      },
+      { id: "ucl", name: "UEFA Champions League", kind: "espn", url: "https://site.api.espn.com/apis/site/v2/sports/soccer/uefa.champions/scoreboard" },
+      {
+        id: "laliga",
+        name: "LaLiga",
+        kind: "espn",
+        url: "https://site.api.espn.com/apis/site/v2/sports/soccer/esp.1/scoreboard",
+        timeZone: "Europe/Madrid",
+      },
+    ],
+  },
+  hockey: {
+    name: "Hockey",
+    leagues: [
+      { id: "nhl", name: "NHL", kind: "espn", url: "https://site.api.espn.com/apis/site/v2/sports/hockey/nhl/scoreboard" },
+    ],
+  },
+  cricket: {
+    name: "Cricket",
+    // Most reliable cricket schedules need an API key, so there is no built-in source;
+    // users add their own under "Sources" (kind "cricket" for formats and multi-day matches).
+    leagues: [],
+  },
+};
+
+// User-defined leagues: { id, sport, name, kind, url, mapping? } where `sport` is a display
+// name ("Cricket", "Rugby"); leagues for an unknown sport create a new sport tab.
+
+export function sportKeyFor(sportName) {
+  return slugify(sportName);
+}
+
+// PROVIDERS plus user leagues, in the same { [sportKey]: { name, leagues } } shape.
+export function buildSports(userLeagues) {
+  const sports = Object.fromEntries(Object.entries(PROVIDERS).map(([k, v]) => [k, { ...v, leagues: [...v.leagues] }]));
+  for (const league of userLeagues) {
+    const key = sportKeyFor(league.sport);
+    if (!sports[key]) sports[key] = { name: league.sport.trim(), leagues: [] };
+    sports[key].leagues.push({ ...league, custom: true });
+  }
+  return sports;
+}
+
+// Returns { field: message } for every problem with a league draft; empty when valid.
+export function validateLeague(draft, userLeagues) {
+  const errors = {};
+  if (!String(draft.sport ?? "").trim() || !sportKeyFor(draft.sport)) errors.sport = "Pick or type a sport.";
+  if (!String(draft.name ?? "").trim()) errors.name = "Give the league a name.";
+  else if (userLeagues.some((l) => l.id !== draft.id && l.name.trim().toLowerCase() === draft.name.trim().toLowerCase())) {
+    errors.name = "You already have a league with this name.";
+  }
+  if (!getAdapter(draft.kind)) errors.kind = "Unknown source type.";
+  try {
+    const u = new URL(draft.kind === "ics" ? httpUrl(draft.url) : draft.url);
+    if (u.protocol !== "https:" && u.protocol !== "http:") errors.url = "Use an http(s) URL.";
+  } catch {
+    errors.url = "Enter a full URL, including https://.";
+  }
+  if (draft.mapping != null) {
+    const fields = draft.kind === "cricket" ? [...JSON_FIELDS, ...CRICKET_JSON_FIELDS] : JSON_FIELDS;
+    const bad = typeof draft.mapping !== "object" || Array.isArray(draft.mapping);
+    if (bad || Object.entries(draft.mapping).some(([k, v]) => (k !== "items" && !fields.includes(k)) || typeof v !== "string")) {
+      errors.mapping = `Mapping must be a JSON object of field → path; fields: items, ${fields.join(", ")}.`;
+    }
+  }
+  return errors;
+}
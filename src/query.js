@@ -0,0 +1,233 @@
+import { isCancelled } from "./ics";
+import { dayKeyIn, wallTimeIn } from "./timezone";
+
+// Search box query language. Space-separated terms, all of which must match:
+//   arsenal                 free text: title, league, sport, venue or a team name
+//   team:arsenal            a team (diacritic-insensitive, tolerates a typo or two)
+//   league:ucl  sport:soccer  venue:anfield
+//   venue:home / venue:away one of "My teams" is playing at home / away
+//   after:18:00  before:9pm kickoff time, in the zone the match is displayed in
+//   day:sat  day:weekend  day:today  day:tomorrow  day:2026-03-07
+//   status:scheduled | live | final | postponed
+// A leading "-" negates a term (-venue:away); values with spaces go in quotes (team:"man utd").
+
+export const QUERY_FIELDS = ["team", "league", "sport", "venue", "after", "before", "day", "status"];
+
+export const STATUS_VALUES = ["scheduled", "live", "final", "postponed"];
+
+const DAY_NAMES = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+const DAY_VALUES = ["today", "tomorrow", "weekend", "weekday", ...DAY_NAMES.map((d) => d.slice(0, 3))];
+
+// Lowercase, accents stripped ("Atlético" -> "atletico"), punctuation to spaces.
+export function fold(s) {
+  return String(s ?? "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+// Splits on spaces outside double quotes; keeps a trailing partial token (for autocomplete).
+export function tokenize(text) {
+  const tokens = [];
+  const re = /(-?)(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))?/gi;
+  const src = String(text ?? "");
+  let i = 0;
+  while (i < src.length) {
+    if (/\s/.test(src[i])) {
+      i++;
+      continue;
+    }
+    re.lastIndex = i;
+    const m = re.exec(src);
+    if (!m || m[0] === "") {
+      i++;
+      continue;
+    }
+    tokens.push({ raw: m[0], start: i, negate: m[1] === "-", field: m[2]?.toLowerCase() ?? "", value: m[3] ?? m[4] ?? "" });
+    i += m[0].length;
+  }
+  return tokens;
+}
+
+// { terms: [{ field, value, negate }] }; unknown fields are searched as free text.
+export function parseQuery(text) {
+  const terms = [];
+  for (const t of tokenize(text)) {
+    const known = QUERY_FIELDS.includes(t.field);
+    const value = known ? t.value : t.field ? `${t.field}:${t.value}` : t.value;
+    if (!value) continue;
+    terms.push({ field: known ? t.field : "", value, negate: t.negate });
+  }
+  return { terms };
+}
+
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let best = i;
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      best = Math.min(best, row[j]);
+    }
+    if (best > max) return max + 1;
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+// A typo'd word against the start of a hay word ("machester" ~ "manchester"); words under four
+// letters must match exactly.
+function closeEnough(w, h) {
+  if (w.length < 4) return false;
+  const max = w.length >= 8 ? 2 : 1;
+  for (let len = w.length - max; len <= w.length + max; len++) {
+    if (len > 0 && len <= h.length && editDistance(w, h.slice(0, len), max) <= max) return true;
+  }
+  return false;
+}
+
+// Every word of `needle` starts, or nearly starts, some word of `hay` ("arsnal" -> "Arsenal",
+// "munchen" -> "München").
+export function fuzzyMatch(needle, hay) {
+  const full = fold(hay);
+  const q = fold(needle);
+  if (!q || full.includes(q)) return true;
+  const words = full.split(" ");
+  return q.split(" ").every((w) => words.some((h) => h.startsWith(w) || closeEnough(w, h)));
+}
+
+// "18", "18:30", "6pm", "6:30pm" -> minutes since midnight, or null.
+export function parseClock(value) {
+  const m = /^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/i.exec(String(value).trim());
+  if (!m) return null;
+  let h = Number(m[1]);
+  const mi = Number(m[2] ?? 0);
+  const ampm = m[3]?.toLowerCase();
+  if (ampm === "pm" && h < 12) h += 12;
+  if (ampm === "am" && h === 12) h = 0;
+  if (h > 23 || mi > 59) return null;
+  return h * 60 + mi;
+}
+
+function minutesIn(ts, zone) {
+  if (!zone) {
+    const d = new Date(ts);
+    return d.getHours() * 60 + d.getMinutes();
+  }
+  const w = wallTimeIn(zone, ts);
+  return w.h * 60 + w.mi;
+}
+
+function weekdayOfKey(key) {
+  const [y, m, d] = key.split("-").map(Number);
+  return new Date(Date.UTC(y, m - 1, d)).getUTCDay();
+}
+
+function matchesDay(value, e, zone, now) {
+  const key = dayKeyIn(e.startTime, zone);
+  const v = fold(value);
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return key === value;
+  if (v === "today") return key === dayKeyIn(now, zone);
+  if (v === "tomorrow") return key === dayKeyIn(now + 24 * 60 * 60 * 1000, zone);
+  const weekday = weekdayOfKey(key);
+  if (v === "weekend") return weekday === 0 || weekday === 6;
+  if (v === "weekday") return weekday > 0 && weekday < 6;
+  const index = DAY_NAMES.findIndex((d) => v.length >= 2 && d.startsWith(v));
+  return index === weekday;
+}
+
+function matchesStatus(value, e) {
+  const v = fold(value);
+  if ("postponed".startsWith(v) || "cancelled".startsWith(v)) return isCancelled(e);
+  if ("live".startsWith(v)) return e.state === "in";
+  if ("final".startsWith(v) || "finished".startsWith(v)) return e.state === "post" && !isCancelled(e);
+  if ("scheduled".startsWith(v) || "upcoming".startsWith(v)) return e.state === "pre" && !isCancelled(e);
+  return fold(e.status).includes(v);
+}
+
+function teamNames(e) {
+  return [e.homeTeam, e.awayTeam].filter(Boolean).flatMap((t) => [t.name, t.abbr].filter(Boolean));
+}
+
+function matchesTerm(term, e, ctx) {
+  const { value } = term;
+  switch (term.field) {
+    case "team":
+      return teamNames(e).some((n) => fuzzyMatch(value, n)) || (!e.homeTeam && fuzzyMatch(value, e.title));
+    case "league":
+      return fuzzyMatch(value, e.league) || fold(e.leagueId) === fold(value);
+    case "sport":
+      return fuzzyMatch(value, e.sport);
+    case "venue": {
+      const v = fold(value);
+      if (v === "home") return Boolean(e.homeTeam && ctx.favoriteKeys.has(e.homeTeam.key));
+      if (v === "away") return Boolean(e.awayTeam && ctx.favoriteKeys.has(e.awayTeam.key));
+      return fold(e.venue).includes(v);
+    }
+    case "after":
+    case "before": {
+      const clock = parseClock(value);
+      if (clock == null || e.allDay) return false;
+      const m = minutesIn(e.startTime, ctx.zoneOf(e));
+      return term.field === "after" ? m >= clock : m < clock;
+    }
+    case "day":
+      return matchesDay(value, e, ctx.zoneOf(e), ctx.now);
+    case "status":
+      return matchesStatus(value, e);
+    default: {
+      const v = fold(value);
+      return (
+        [e.title, e.league, e.sport, e.venue].some((s) => fold(s).includes(v)) || teamNames(e).some((n) => fuzzyMatch(value, n))
+      );
+    }
+  }
+}
+
+// ctx: { favoriteKeys: Set, zoneOf(e) -> zone | undefined, now }
+export function matchesQuery(query, e, ctx) {
+  return query.terms.every((term) => matchesTerm(term, e, ctx) !== term.negate);
+}
+
+// ---------- Autocomplete ----------
+
+function quote(v) {
+  return /\s/.test(v) ? `"${v}"` : v;
+}
+
+// Completions for the token at the end of `text`, as full replacement query strings.
+export function suggest(text, events, limit = 8) {
+  const src = String(text ?? "");
+  if (!src || /\s$/.test(src)) return [];
+  const tokens = tokenize(src);
+  const last = tokens[tokens.length - 1];
+  if (!last) return [];
+  const before = src.slice(0, last.start) + (last.negate ? "-" : "");
+  const partial = fold(last.value);
+
+  let values;
+  let field = last.field;
+  if (!field) {
+    // A bare word: offer fields first, then teams by name.
+    const fields = QUERY_FIELDS.filter((f) => f.startsWith(partial)).map((f) => `${f}:`);
+    const teams = [...new Set(events.flatMap(teamNames))].filter((n) => partial && fuzzyMatch(partial, n));
+    return [...fields.map((f) => before + f), ...teams.map((n) => `${before}team:${quote(n)} `)].slice(0, limit);
+  }
+  if (field === "team") values = [...new Set(events.flatMap((e) => [e.homeTeam?.name, e.awayTeam?.name]).filter(Boolean))];
+  else if (field === "league") values = [...new Set(events.map((e) => e.league).filter(Boolean))];
+  else if (field === "sport") values = [...new Set(events.map((e) => e.sport).filter(Boolean))];
+  else if (field === "venue") values = ["home", "away", ...new Set(events.map((e) => e.venue).filter(Boolean))];
+  else if (field === "day") values = DAY_VALUES;
+  else if (field === "status") values = STATUS_VALUES;
+  else if (field === "after" || field === "before") values = ["12:00", "15:00", "18:00", "20:00"];
+  else return [];
+  return values
+    .filter((v) => !partial || fuzzyMatch(partial, v))
+    .sort((a, b) => a.localeCompare(b))
+    .slice(0, limit)
+    .map((v) => `${before}${field}:${quote(v)} `);
+}
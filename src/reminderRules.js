@@ -0,0 +1,129 @@
+// Reminder rules: which matches get a reminder and how long before kickoff.
+//
+// A rule is { id, scope, target, targetName, leadMinutes } where scope is
+//   "all"       every loaded match
+//   "favorites" matches involving one of "My teams"
+//   "team"      matches involving team key `target`
+//   "league"    matches from league id `target`
+//   "match"     the single event id `target`
+// The most specific scope that has rules for a match decides its reminders (match, then team,
+// then My teams, then league, then all), so a match or team rule overrides a broader one instead
+// of adding to it. Rules of that same scope all apply.
+// Quiet hours ({ enabled, start: "HH:MM", end: "HH:MM" }, local time) suppress reminders
+// that would fire inside the window; the window may wrap past midnight.
+
+export const LEAD_TIMES = [
+  { minutes: 24 * 60, label: "1 day" },
+  { minutes: 3 * 60, label: "3 hours" },
+  { minutes: 60, label: "1 hour" },
+  { minutes: 30, label: "30 minutes" },
+  { minutes: 15, label: "15 minutes" },
+  { minutes: 5, label: "5 minutes" },
+];
+
+export const RULE_SCOPES = [
+  { id: "all", label: "All matches" },
+  { id: "favorites", label: "My teams" },
+  { id: "team", label: "Team" },
+  { id: "league", label: "League" },
+  { id: "match", label: "Match" },
+];
+
+export const defaultReminderRules = [{ id: "default", scope: "all", target: "", targetName: "", leadMinutes: 15 }];
+
+export const defaultQuietHours = { enabled: false, start: "23:00", end: "07:00" };
+
+export function leadLabel(minutes) {
+  return LEAD_TIMES.find((l) => l.minutes === minutes)?.label ?? `${minutes} minutes`;
+}
+
+function minutesOfDay(hhmm) {
+  const [h, m] = String(hhmm).split(":").map(Number);
+  return (h || 0) * 60 + (m || 0);
+}
+
+export function isQuietTime(ts, quietHours) {
+  if (!quietHours?.enabled) return false;
+  const d = new Date(ts);
+  const m = d.getHours() * 60 + d.getMinutes();
+  const start = minutesOfDay(quietHours.start);
+  const end = minutesOfDay(quietHours.end);
+  if (start === end) return false;
+  return start < end ? m >= start && m < end : m >= start || m < end;
+}
+
+export function ruleMatches(rule, e, favoriteKeys) {
+  const teamKeys = [e.homeTeam?.key, e.awayTeam?.key].filter(Boolean);
+  switch (rule.scope) {
+    case "all":
+      return true;
+    case "favorites":
+      return teamKeys.some((k) => favoriteKeys.has(k));
+    case "team":
+      return teamKeys.includes(rule.target);
+    case "league":
+      return e.leagueId === rule.target;
+    case "match":
+      return e.id === rule.target;
+    default:
+      return false;
+  }
+}
+
+// Most specific first.
+const SCOPE_PRECEDENCE = ["match", "team", "favorites", "league", "all"];
+
+// The rules that decide `e`'s reminders: those of the most specific scope that matches it.
+export function rulesFor(e, rules, favoriteKeys = new Set()) {
+  const matching = rules.filter((rule) => ruleMatches(rule, e, favoriteKeys));
+  const scope = SCOPE_PRECEDENCE.find((s) => matching.some((rule) => rule.scope === s));
+  return matching.filter((rule) => rule.scope === scope);
+}
+
+// Expand rules into concrete reminders ({ id, eventId, fireAt, leadMinutes, title, body, url, quiet, moved })
+// within (now, now + horizonMs], sorted by fire time. Several rules with the same lead time
+// collapse into one reminder. Quiet-hour reminders are kept but flagged so the preview can show them.
+// `changes` (changes.changesByEvent) flags reminders for rescheduled matches; ids don't depend
+// on the time, so the queue re-arms the same reminder at its new fireAt. `formatTime(ts, e)`
+// renders match times in the body.
+export function buildReminders(
+  events,
+  rules,
+  { favoriteKeys = new Set(), quietHours, now = Date.now(), horizonMs, formatTime, changes = new Map() }
+) {
+  const fmt = (ts, e) => (formatTime ? formatTime(ts, e) : ts);
+  const byId = new Map();
+  for (const e of events) {
+    const start = new Date(e.startTime).getTime();
+    for (const rule of rulesFor(e, rules, favoriteKeys)) {
+      const fireAt = start - rule.leadMinutes * 60 * 1000;
+      if (fireAt <= now || fireAt - now > horizonMs) continue;
+      const id = `${e.id}:${rule.leadMinutes}`;
+      if (byId.has(id)) continue;
+      const change = changes.get(e.id);
+      const moved = change?.kind === "moved" && change.after === e.startTime;
+      byId.set(id, {
+        id,
+        eventId: e.id,
+        fireAt,
+        leadMinutes: rule.leadMinutes,
+        title: `Starts in ${leadLabel(rule.leadMinutes)}`,
+        body: `${e.title} • ${fmt(e.startTime, e)}${moved ? ` (moved from ${fmt(change.before, e)})` : ""}`,
+        url: e.url,
+        quiet: isQuietTime(fireAt, quietHours),
+        moved,
+      });
+    }
+  }
+  return [...byId.values()].sort((a, b) => a.fireAt - b.fireAt);
+}
+
+// Lead times (minutes) of the rules deciding `e` (rulesFor), for calendar VALARMs. Alarms that would go
+// off in quiet hours are left out, same as notifications.
+export function alarmMinutesFor(e, rules, { favoriteKeys = new Set(), quietHours } = {}) {
+  const start = new Date(e.startTime).getTime();
+  const minutes = rulesFor(e, rules, favoriteKeys)
+    .map((rule) => rule.leadMinutes)
+    .filter((m) => !isQuietTime(start - m * 60 * 1000, quietHours));
+  return [...new Set(minutes)].sort((a, b) => b - a);
+}
@@ -0,0 +1,94 @@
+import { withTransaction } from "./db";
+
+// Reminder queue shared with the service worker.
+// The page computes reminders ({ id, fireAt, title, body, url }) and stores them in IndexedDB;
+// the service worker delivers them: ahead of time through Notification Triggers where the
+// browser has them, otherwise whenever it wakes (page timers, periodic background sync).
+
+export const REMINDER_TAG_PREFIX = "sww:";
+
+export function supportsNotifications() {
+  return typeof Notification !== "undefined";
+}
+
+export function supportsTriggers() {
+  return supportsNotifications() && "showTrigger" in Notification.prototype && "TimestampTrigger" in globalThis;
+}
+
+export async function registerServiceWorker() {
+  if (!("serviceWorker" in navigator)) return null;
+  try {
+    const reg = await navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`);
+    await registerPeriodicCheck(reg);
+    return reg;
+  } catch {
+    return null;
+  }
+}
+
+// Periodic Background Sync lets an installed app wake the worker without Notification Triggers.
+async function registerPeriodicCheck(reg) {
+  if (!reg.periodicSync) return;
+  try {
+    const perm = await navigator.permissions.query({ name: "periodic-background-sync" });
+    if (perm.state === "granted") await reg.periodicSync.register("sww-reminders", { minInterval: 15 * 60 * 1000 });
+  } catch {
+    // not available for this origin / browser
+  }
+}
+
+async function activeRegistration() {
+  if (!("serviceWorker" in navigator)) return null;
+  return (await navigator.serviceWorker.getRegistration()) ?? null;
+}
+
+// Replace the stored queue with `reminders`, keeping delivery state for ids that survive.
+// Returns the ids that were dropped.
+export async function saveReminders(reminders) {
+  return withTransaction(
+    "reminders",
+    "readwrite",
+    async (store, promisify) => {
+      const existing = await promisify(store.getAll());
+      const byId = new Map(existing.map((r) => [r.id, r]));
+      const keep = new Set(reminders.map((r) => r.id));
+      const removed = existing.filter((r) => !keep.has(r.id)).map((r) => r.id);
+      for (const id of removed) store.delete(id);
+      for (const r of reminders) {
+        const prev = byId.get(r.id);
+        const unchanged = prev && prev.fireAt === r.fireAt;
+        store.put({ ...r, delivered: unchanged ? prev.delivered : false, scheduled: unchanged ? prev.scheduled : false });
+      }
+      return removed;
+    },
+    []
+  );
+}
+
+// Persist the queue and ask the worker to deliver/schedule it. Triggered notifications for
+// reminders that no longer exist are withdrawn.
+export async function syncReminders(reminders) {
+  const removed = await saveReminders(reminders);
+  const reg = await activeRegistration();
+  if (!reg) return false;
+  if (removed.length && reg.getNotifications) {
+    const tags = new Set(removed.map((id) => REMINDER_TAG_PREFIX + id));
+    const pending = await reg.getNotifications({ includeTriggered: true }).catch(() => []);
+    pending.filter((n) => tags.has(n.tag)).forEach((n) => n.close());
+  }
+  reg.active?.postMessage({ type: "check-reminders" });
+  return true;
+}
+
+// Called from page timers at fireAt. With a worker, it delivers (and dedupes) from the queue;
+// without one, fall back to a page notification.
+export async function deliverDueReminders(reminder) {
+  const reg = await activeRegistration();
+  if (reg?.active) {
+    reg.active.postMessage({ type: "check-reminders" });
+    return;
+  }
+  if (supportsNotifications() && Notification.permission === "granted") {
+    new Notification(reminder.title, { body: reminder.body, tag: REMINDER_TAG_PREFIX + reminder.id });
+  }
+}
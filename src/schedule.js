@@ -0,0 +1,65 @@
+import { playingWindows } from "./durations";
+import { dayKeyIn, localDayKey } from "./timezone";
+import { addDays } from "./util";
+
+// Which calendar day events land on. Days are "YYYY-MM-DD" keys in the zone the event is
+// shown in, so a 23:30 UTC kickoff is Saturday in London and Sunday in Madrid, and a day
+// that gains or loses an hour to DST still holds exactly its own matches.
+
+// Display zone setting: "local", "venue", or an IANA name. Returns the zone an event's date and
+// time are shown in (undefined = the viewer's own). All-day events are floating dates and
+// never shift; venue mode falls back to the viewer's zone when the venue's is unknown.
+export function eventZone(e, displayZone) {
+  if (e.allDay || displayZone === "local") return undefined;
+  if (displayZone === "venue") return e.timeZone || undefined;
+  return displayZone;
+}
+
+// The zone whole-range things (today, day headings in venue mode) use.
+export function viewZone(displayZone) {
+  return displayZone === "local" || displayZone === "venue" ? undefined : displayZone;
+}
+
+// { fromDay, toDay } keys for `days` local days from `start`; toDay is exclusive.
+export function rangeDayKeys(start, days) {
+  return { fromDay: localDayKey(start), toDay: localDayKey(addDays(start, days)) };
+}
+
+// Events with a day of play in [fromDay, toDay). Multi-day matches count when any of their
+// days falls in the range.
+export function eventsInRange(events, { fromDay, toDay }, displayZone) {
+  return events.filter((e) => {
+    const zone = eventZone(e, displayZone);
+    return playingWindows(e).some((w) => {
+      const day = dayKeyIn(w.start, zone);
+      return day >= fromDay && day < toDay;
+    });
+  });
+}
+
+// Buckets by the calendar day each event falls on in its display zone: [{ day, events }] by day.
+// Multi-day matches land on every day they're played, as copies carrying `dayStartTime` (that
+// day's start of play), `playDay` and `playDays`; days outside the range are dropped.
+export function groupByDay(events, displayZone, { fromDay, toDay }) {
+  const map = new Map();
+  const add = (key, e) => {
+    if (key < fromDay || key >= toDay) return;
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(e);
+  };
+  for (const e of events) {
+    const zone = eventZone(e, displayZone);
+    const windows = playingWindows(e);
+    if (windows.length < 2) {
+      add(dayKeyIn(e.startTime, zone), e);
+      continue;
+    }
+    windows.forEach((w, i) =>
+      add(dayKeyIn(w.start, zone), { ...e, dayStartTime: new Date(w.start).toISOString(), playDay: i + 1, playDays: windows.length })
+    );
+  }
+  const startOf = (e) => new Date(e.dayStartTime ?? e.startTime);
+  return [...map.entries()]
+    .sort((a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0))
+    .map(([day, v]) => ({ day, events: v.sort((x, y) => startOf(x) - startOf(y)) }));
+}
@@ -0,0 +1,124 @@
+/* eslint-env serviceworker */
+// Service worker for the installable app. Not imported by the page: vite.config.js reads this
+// file at build time, fills in the precache list and cache version, and emits it as dist/sw.js.
+//
+// - Precaches the built shell so the app opens offline (schedules come from the IndexedDB cache).
+// - Delivers reminders queued in IndexedDB by reminders.js.
+
+const PRECACHE = self.__PRECACHE__;
+const CACHE_NAME = "sww-shell-__VERSION__";
+const REMINDER_TAG_PREFIX = "sww:";
+// Reminders found this late (browser asleep, device off) are dropped rather than fired.
+const LATE_GRACE_MS = 30 * 60 * 1000;
+
+// Keep in sync with src/db.js.
+const DB_NAME = "sports-week-watchlist";
+const DB_VERSION = 2;
+
+function openDb() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains("schedules")) db.createObjectStore("schedules", { keyPath: "key" });
+      if (!db.objectStoreNames.contains("reminders")) db.createObjectStore("reminders", { keyPath: "id" });
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function promisify(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function supportsTriggers() {
+  return "showTrigger" in Notification.prototype && "TimestampTrigger" in self;
+}
+
+async function checkReminders() {
+  if (Notification.permission !== "granted") return;
+  const db = await openDb();
+  const reminders = await promisify(db.transaction("reminders").objectStore("reminders").getAll());
+  const now = Date.now();
+  const triggers = supportsTriggers();
+  const updates = [];
+
+  for (const r of reminders) {
+    if (r.delivered) continue;
+    const options = { body: r.body, tag: REMINDER_TAG_PREFIX + r.id };
+    if (r.fireAt <= now) {
+      // A triggered notification has already been shown by the OS.
+      if (!r.scheduled && now - r.fireAt < LATE_GRACE_MS) await self.registration.showNotification(r.title, options);
+      updates.push({ ...r, delivered: true });
+    } else if (triggers && !r.scheduled) {
+      // eslint-disable-next-line no-undef
+      await self.registration.showNotification(r.title, { ...options, showTrigger: new TimestampTrigger(r.fireAt) });
+      updates.push({ ...r, scheduled: true });
+    }
+  }
+
+  if (updates.length) {
+    const tx = db.transaction("reminders", "readwrite");
+    for (const r of updates) tx.objectStore("reminders").put(r);
+    await new Promise((resolve, reject) => {
+      tx.oncomplete = resolve;
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+}
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(CACHE_NAME)
+      .then((cache) => cache.addAll(PRECACHE))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) => Promise.all(keys.filter((k) => k.startsWith("sww-shell-") && k !== CACHE_NAME).map((k) => caches.delete(k))))
+      .then(() => self.clients.claim())
+      .then(() => checkReminders().catch(() => {}))
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET" || new URL(request.url).origin !== self.location.origin) return;
+
+  // App shell: network first so deploys show up, cached index.html when offline.
+  if (request.mode === "navigate") {
+    event.respondWith(fetch(request).catch(() => caches.match("./", { ignoreSearch: true })));
+    return;
+  }
+
+  // Hashed build assets never change under the same URL: cache first.
+  event.respondWith(caches.match(request).then((hit) => hit ?? fetch(request)));
+});
+
+self.addEventListener("message", (event) => {
+  if (event.data?.type === "check-reminders") event.waitUntil(checkReminders().catch(() => {}));
+});
+
+self.addEventListener("periodicsync", (event) => {
+  if (event.tag === "sww-reminders") event.waitUntil(checkReminders().catch(() => {}));
+});
+
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  event.waitUntil(
+    self.clients.matchAll({ type: "window", includeUncontrolled: true }).then((clients) => {
+      const open = clients.find((c) => c.url.startsWith(self.registration.scope));
+      if (open) return open.focus();
+      return self.clients.openWindow(self.registration.scope);
+    })
+  );
+});
@@ -0,0 +1,267 @@
+import { WATCH_REGIONS, defaultWatch } from "./broadcasts";
+import { sportKeyFor, validateLeague } from "./providers";
+import { defaultQuietHours, defaultReminderRules, LEAD_TIMES, RULE_SCOPES } from "./reminderRules";
+import { migrateLegacyFavorites } from "./teams";
+import { isValidTimeZone } from "./timezone";
+
+// Everything the user chooses lives in one versioned localStorage record, "sww_settings":
+//   { version, activeSport, enabled, seenDefaults, teams, myTeamsOnly, hideScores, leagues,
+//     reminderRules, reminderLead, quietHours, displayZone, primaryIds, view, showContext, sortMode, watch,
+//     watchOnly, savedViews }
+// Loading runs the stored record through MIGRATIONS up to SETTINGS_VERSION, then through
+// per-field validation: a field that fails falls back to its default without taking the rest
+// down with it. A record that can't be parsed at all is copied to "sww_settings_corrupt" and the
+// app starts from defaults. `seenDefaults` remembers which default leagues this profile has
+// already been offered, so a league added to `defaultEnabled` later still reaches it.
+
+export const SETTINGS_KEY = "sww_settings";
+export const SETTINGS_VERSION = 2;
+const CORRUPT_KEY = "sww_settings_corrupt";
+
+export const defaultEnabled = {
+  basketball: ["nba"],
+  soccer: ["epl", "ucl"],
+  hockey: ["nhl"],
+  cricket: [],
+};
+
+const defaultLeagueIds = () => Object.values(defaultEnabled).flat();
+
+export function defaultSettings() {
+  return {
+    version: SETTINGS_VERSION,
+    activeSport: "basketball",
+    enabled: defaultEnabled,
+    seenDefaults: defaultLeagueIds(),
+    teams: [],
+    myTeamsOnly: false,
+    hideScores: false,
+    leagues: [],
+    reminderRules: defaultReminderRules,
+    // lead time picked in the Reminders panel, also used by the match-row bells
+    reminderLead: defaultReminderRules[0].leadMinutes,
+    quietHours: defaultQuietHours,
+    // "local", "venue", or an IANA zone name
+    displayZone: "local",
+    // planner picks (planner.js)
+    primaryIds: [],
+    // matches layout: "list" | "week" | "planner"
+    view: "list",
+    // standings and form in match rows (standings.js); sortMode "time" | "big"
+    showContext: false,
+    sortMode: "time",
+    // where-to-watch region and subscribed services per region (broadcasts.js)
+    watch: defaultWatch,
+    watchOnly: false,
+    // named searches shown as chips: [{ id, name, query }]
+    savedViews: [],
+  };
+}
+
+function parseOr(raw, fallback) {
+  if (raw == null) return fallback;
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return fallback;
+  }
+}
+
+// Version 0 is the one-key-per-setting layout (sww_enabled, sww_teams, ...), including the
+// pre-team-key favorites (sww_favorites) and the single cricket feed URL (sww_cricket_url).
+const LEGACY_KEYS = [
+  "sww_active_sport",
+  "sww_enabled",
+  "sww_teams",
+  "sww_favorites",
+  "sww_my_teams_only",
+  "sww_hide_scores",
+  "sww_leagues",
+  "sww_cricket_url",
+  "sww_reminder_rules",
+  "sww_quiet_hours",
+];
+
+function readLegacy(storage) {
+  const get = (k) => storage.getItem(k);
+  if (!LEGACY_KEYS.some((k) => get(k) != null)) return null;
+  const cricketUrl = get("sww_cricket_url");
+  const cricketLeague = { id: "custom", sport: "Cricket", name: "Cricket feed", kind: "json", url: cricketUrl };
+  const leagues = parseOr(get("sww_leagues"), null) ?? (cricketUrl ? [cricketLeague] : []);
+  return {
+    version: 0,
+    activeSport: get("sww_active_sport") ?? undefined,
+    enabled: parseOr(get("sww_enabled"), undefined),
+    teams: parseOr(get("sww_teams"), null) ?? migrateLegacyFavorites(parseOr(get("sww_favorites"), [])),
+    myTeamsOnly: get("sww_my_teams_only") === "1",
+    hideScores: get("sww_hide_scores") === "1",
+    leagues,
+    reminderRules: parseOr(get("sww_reminder_rules"), undefined),
+    quietHours: parseOr(get("sww_quiet_hours"), undefined),
+  };
+}
+
+// MIGRATIONS[n] turns a version-n record into version n + 1.
+const MIGRATIONS = {
+  // Legacy profiles predate seenDefaults; treat every current default as already offered so
+  // leagues the user switched off don't come back.
+  0: (s) => ({ ...s, version: 1, seenDefaults: defaultLeagueIds() }),
+  // Cricket JSON leagues move to the cricket adapter, which reads the same shape plus formats.
+  1: (s) => ({
+    ...s,
+    version: 2,
+    leagues: Array.isArray(s.leagues)
+      ? s.leagues.map((l) => (sportKeyFor(l?.sport ?? "") === "cricket" && l.kind === "json" ? { ...l, kind: "cricket" } : l))
+      : s.leagues,
+  }),
+};
+
+function migrate(record) {
+  let s = record;
+  while (s.version < SETTINGS_VERSION) {
+    const step = MIGRATIONS[s.version];
+    if (!step) throw new Error(`No migration from settings version ${s.version}.`);
+    s = step(s);
+  }
+  return s;
+}
+
+const isObject = (v) => v != null && typeof v === "object" && !Array.isArray(v);
+const isStringArray = (v) => Array.isArray(v) && v.every((x) => typeof x === "string");
+const isHhMm = (v) => typeof v === "string" && /^([01]\d|2[0-3]):[0-5]\d$/.test(v);
+
+function validTeam(t) {
+  return isObject(t) && typeof t.key === "string" && t.key !== "" && typeof t.name === "string";
+}
+
+function validRule(r) {
+  return (
+    isObject(r) &&
+    typeof r.id === "string" &&
+    RULE_SCOPES.some((s) => s.id === r.scope) &&
+    typeof r.target === "string" &&
+    LEAD_TIMES.some((l) => l.minutes === r.leadMinutes)
+  );
+}
+
+function validView(v) {
+  return isObject(v) && typeof v.id === "string" && typeof v.name === "string" && typeof v.query === "string";
+}
+
+function validLeagues(leagues) {
+  if (!Array.isArray(leagues)) return false;
+  return leagues.every(
+    (l, i) =>
+      isObject(l) && typeof l.id === "string" && Object.keys(validateLeague(l, leagues.slice(0, i))).length === 0
+  );
+}
+
+// [field, check] pairs; a field that fails `check` is reset to its default and reported.
+const FIELDS = [
+  ["activeSport", (v) => typeof v === "string" && v !== ""],
+  ["enabled", (v) => isObject(v) && Object.values(v).every(isStringArray)],
+  ["seenDefaults", isStringArray],
+  ["teams", (v) => Array.isArray(v) && v.every(validTeam)],
+  ["myTeamsOnly", (v) => typeof v === "boolean"],
+  ["hideScores", (v) => typeof v === "boolean"],
+  ["leagues", validLeagues],
+  ["reminderRules", (v) => Array.isArray(v) && v.every(validRule)],
+  ["reminderLead", (v) => LEAD_TIMES.some((l) => l.minutes === v)],
+  ["quietHours", (v) => isObject(v) && typeof v.enabled === "boolean" && isHhMm(v.start) && isHhMm(v.end)],
+  ["displayZone", (v) => v === "local" || v === "venue" || isValidTimeZone(v)],
+  ["primaryIds", isStringArray],
+  ["view", (v) => ["list", "week", "planner"].includes(v)],
+  ["showContext", (v) => typeof v === "boolean"],
+  ["sortMode", (v) => v === "time" || v === "big"],
+  [
+    "watch",
+    (v) =>
+      isObject(v) &&
+      WATCH_REGIONS.some((r) => r.id === v.region) &&
+      isObject(v.services) &&
+      Object.values(v.services).every(isStringArray),
+  ],
+  ["watchOnly", (v) => typeof v === "boolean"],
+  ["savedViews", (v) => Array.isArray(v) && v.every(validView)],
+];
+
+// Returns { settings, problems } where problems lists the fields that were reset.
+export function validateSettings(record) {
+  const defaults = defaultSettings();
+  const settings = { ...defaults };
+  const problems = [];
+  for (const [field, check] of FIELDS) {
+    if (record[field] === undefined) continue;
+    if (check(record[field])) settings[field] = record[field];
+    else problems.push(field);
+  }
+  // Offer default leagues this profile hasn't seen yet.
+  const seen = new Set(settings.seenDefaults);
+  const enabled = { ...settings.enabled };
+  for (const [sport, ids] of Object.entries(defaultEnabled)) {
+    const fresh = ids.filter((id) => !seen.has(id));
+    if (fresh.length) enabled[sport] = [...new Set([...(enabled[sport] ?? []), ...fresh])];
+  }
+  settings.enabled = enabled;
+  settings.seenDefaults = [...new Set([...settings.seenDefaults, ...defaultLeagueIds()])];
+  return { settings, problems };
+}
+
+// { settings, recovered, problems }: `recovered` is true when the stored record was unreadable
+// and defaults were used instead (the original is kept under "sww_settings_corrupt").
+export function loadSettings(storage = localStorage) {
+  const raw = storage.getItem(SETTINGS_KEY);
+  let record = null;
+  let recovered = false;
+  if (raw != null) {
+    try {
+      record = JSON.parse(raw);
+      if (!isObject(record) || !Number.isInteger(record.version)) throw new Error("Not a settings record.");
+      // A record from a newer build: keep whatever validates against this version.
+      record = record.version > SETTINGS_VERSION ? record : migrate(record);
+    } catch {
+      storage.setItem(CORRUPT_KEY, raw);
+      record = null;
+      recovered = true;
+    }
+  } else {
+    const legacy = readLegacy(storage);
+    if (legacy) record = migrate(legacy);
+  }
+  const { settings, problems } = validateSettings(record ?? {});
+  saveSettings(settings, storage);
+  if (raw == null) for (const k of LEGACY_KEYS) storage.removeItem(k);
+  return { settings, recovered, problems };
+}
+
+export function saveSettings(settings, storage = localStorage) {
+  storage.setItem(SETTINGS_KEY, JSON.stringify({ ...settings, version: SETTINGS_VERSION }));
+}
+
+// Profile files wrap the settings record so a stray JSON file isn't mistaken for one.
+const PROFILE_APP = "sports-week-watchlist";
+
+export function exportProfile(settings, now = new Date()) {
+  const profile = {
+    app: PROFILE_APP,
+    exportedAt: now.toISOString(),
+    settings: { ...settings, version: SETTINGS_VERSION },
+  };
+  return JSON.stringify(profile, null, 2);
+}
+
+// Throws with a user-facing message when the file isn't a usable profile.
+export function importProfile(text) {
+  let profile;
+  try {
+    profile = JSON.parse(text);
+  } catch {
+    throw new Error("That file isn't valid JSON.");
+  }
+  if (!isObject(profile) || profile.app !== PROFILE_APP || !isObject(profile.settings)) {
+    throw new Error("That file isn't a Sports Week Watchlist profile.");
+  }
+  if (!Number.isInteger(profile.settings.version)) throw new Error("The profile has no settings version.");
+  const record = profile.settings.version > SETTINGS_VERSION ? profile.settings : migrate(profile.settings);
+  return validateSettings(record);
+}
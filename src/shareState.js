@@ -0,0 +1,79 @@
+import { localDateFromKey, localDayKey } from "./timezone";
+
+// Watchlist state <-> URL query string, so a view can be shared as a link and the browser's
+// back/forward buttons step through changes.
+//
+// Format (version 1), every field optional:
+//   ?v=1&sport=soccer&lg=epl,ucl&from=2026-03-01&days=14&q=derby&only=1
+//    &t=soccer:359|Arsenal&t=…
+// `lg` lists enabled league ids (ids are unique across sports); each `t` is "<team key>|<name>"
+// so a recipient sees names before their own data loads. Unknown versions are ignored.
+// The app's own history entries always carry the whole state, so there a missing `lg` or `t`
+// means none (see the popstate handler in App.jsx); in a link from elsewhere it means "not set".
+
+export const SHARE_VERSION = 1;
+
+const RANGE_DAYS = [7, 10, 14];
+
+// state: { activeSport, leagueIds, rangeStart, rangeDays, query, teams: [{ key, name }], myTeamsOnly }
+export function encodeShareState(state) {
+  const p = new URLSearchParams();
+  p.set("v", String(SHARE_VERSION));
+  p.set("sport", state.activeSport);
+  if (state.leagueIds.length) p.set("lg", state.leagueIds.join(","));
+  p.set("from", localDayKey(state.rangeStart));
+  p.set("days", String(state.rangeDays));
+  if (state.query) p.set("q", state.query);
+  if (state.myTeamsOnly) p.set("only", "1");
+  for (const t of state.teams) p.append("t", `${t.key}|${t.name}`);
+  return `?${p.toString()}`;
+}
+
+// Returns the fields present in a version-1 link, or null when the URL carries no state.
+export function decodeShareState(search) {
+  const p = new URLSearchParams(search);
+  if (Number(p.get("v")) !== SHARE_VERSION) return null;
+  const out = {};
+  if (p.get("sport")) out.activeSport = p.get("sport");
+  if (p.has("lg")) out.leagueIds = p.get("lg").split(",").filter(Boolean);
+  const from = localDateFromKey(p.get("from"));
+  if (from) out.rangeStart = from;
+  const days = Number(p.get("days"));
+  if (RANGE_DAYS.includes(days)) out.rangeDays = days;
+  if (p.has("q")) out.query = p.get("q");
+  out.myTeamsOnly = p.get("only") === "1";
+  if (p.has("t")) {
+    out.teams = p
+      .getAll("t")
+      .map((raw) => {
+        const bar = raw.indexOf("|");
+        const key = bar < 0 ? raw : raw.slice(0, bar);
+        const name = bar < 0 ? key : raw.slice(bar + 1);
+        return { key, name, sport: "" };
+      })
+      .filter((t) => t.key);
+  }
+  return out;
+}
+
+// { [sportKey]: [leagueIds] } -> flat, sorted list for the URL
+export function enabledToLeagueIds(enabled) {
+  return [...new Set(Object.values(enabled).flat())].sort();
+}
+
+// Flat league ids -> { [sportKey]: [leagueIds] }, dropping ids this user doesn't have.
+export function leagueIdsToEnabled(leagueIds, sports) {
+  const enabled = Object.fromEntries(Object.keys(sports).map((k) => [k, []]));
+  for (const [key, sport] of Object.entries(sports)) {
+    for (const l of sport.leagues) if (leagueIds.includes(l.id)) enabled[key].push(l.id);
+  }
+  return enabled;
+}
+
+// True when a link's leagues or teams aren't already exactly the recipient's own.
+export function shareDiffers(shared, enabled, teams) {
+  const sameSet = (a, b) => a.size === b.size && [...a].every((x) => b.has(x));
+  if (shared.leagueIds && !sameSet(new Set(shared.leagueIds), new Set(enabledToLeagueIds(enabled)))) return true;
+  if (shared.teams && !sameSet(new Set(shared.teams.map((t) => t.key)), new Set(teams.map((t) => t.key)))) return true;
+  return false;
+}
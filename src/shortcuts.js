@@ -0,0 +1,55 @@
+// Single-key shortcuts for the watchlist. They're ignored while typing in a field or with
+// Ctrl/Alt/Cmd held, so the search box still takes a "/" and Ctrl+R still reloads; Shift is
+// allowed because some layouts need it for "/". Keys a component already handled (the week
+// grid's arrows, the search box's completions) arrive default-prevented and are skipped.
+
+const KEYMAP = {
+  "/": "search",
+  r: "refresh",
+  f: "follow",
+  ArrowUp: "previousMatch",
+  ArrowDown: "nextMatch",
+  ArrowLeft: "previousDay",
+  ArrowRight: "nextDay",
+};
+
+// For the help line: [keys, what they do].
+export const SHORTCUT_HELP = [
+  ["/", "search"],
+  ["r", "refresh"],
+  ["↑ ↓", "previous / next match"],
+  ["← →", "previous / next day"],
+  ["f", "follow the focused match’s teams"],
+];
+
+const NON_TEXT_INPUTS = ["checkbox", "radio", "button", "submit", "reset", "file", "color", "range"];
+
+export function isTypingTarget(el) {
+  if (!el || !el.tagName) return false;
+  if (el.isContentEditable || el.tagName === "TEXTAREA" || el.tagName === "SELECT") return true;
+  return el.tagName === "INPUT" && !NON_TEXT_INPUTS.includes(el.type);
+}
+
+// The action for a keydown event, or null when it isn't a shortcut here.
+export function shortcutFor(ev) {
+  if (ev.defaultPrevented || ev.ctrlKey || ev.metaKey || ev.altKey || isTypingTarget(ev.target)) return null;
+  const key = ev.key?.length === 1 ? ev.key.toLowerCase() : ev.key;
+  return Object.hasOwn(KEYMAP, key) ? KEYMAP[key] : null;
+}
+
+// The row to move focus to from `current` among `rows` (match row elements in page order,
+// each with data-day), or null at the ends. Day moves land on the first match of that day.
+export function rowTarget(rows, current, action) {
+  const i = rows.indexOf(current);
+  if (i < 0) return rows[0] ?? null;
+  const day = (r) => r.dataset.day;
+  if (action === "nextMatch") return rows[i + 1] ?? null;
+  if (action === "previousMatch") return rows[i - 1] ?? null;
+  if (action === "nextDay") return rows.slice(i + 1).find((r) => day(r) !== day(current)) ?? null;
+  if (action === "previousDay") {
+    const before = rows.slice(0, i).filter((r) => day(r) !== day(current));
+    const previousDay = before.length ? day(before[before.length - 1]) : null;
+    return previousDay ? before.find((r) => day(r) === previousDay) : null;
+  }
+  return null;
+}
@@ -0,0 +1,96 @@
+import { makeTeam } from "./teams";
+import { safeGet } from "./util";
+
+// Match context: where each team sits in its league and how it has been playing.
+// A league's context is { [teamKey]: { rank, of, record, form } } where `rank` is the position
+// within its table or conference (1 = top), `of` the size of that table, `record` a display
+// string ("18-5-3") and `form` the last five results oldest first ("W" | "D" | "L").
+// Keys match the team keys on events (see makeTeam), so rows look teams up directly.
+
+const FORM_LENGTH = 5;
+
+// ".../apis/site/v2/sports/soccer/eng.1/scoreboard" -> ".../apis/v2/sports/soccer/eng.1/standings"
+export function espnStandingsUrl(scoreboardUrl) {
+  const u = new URL(scoreboardUrl);
+  if (!/\/scoreboard$/.test(u.pathname)) return null;
+  u.pathname = u.pathname.replace("/apis/site/v2/", "/apis/v2/").replace(/\/scoreboard$/, "/standings");
+  u.search = "";
+  return u.toString();
+}
+
+function statValue(stats, name) {
+  const s = stats.find((x) => x?.name === name);
+  return s ? s.value ?? null : null;
+}
+
+function recordOf(stats) {
+  const overall = stats.find((x) => x?.name === "overall" || x?.type === "total");
+  if (overall?.summary) return overall.summary;
+  const w = statValue(stats, "wins");
+  const l = statValue(stats, "losses");
+  if (w == null || l == null) return "";
+  const ties = statValue(stats, "ties");
+  const otl = statValue(stats, "otLosses");
+  // Soccer tables read W-D-L; hockey W-L-OTL.
+  if (ties != null) return `${w}-${ties}-${l}`;
+  if (otl != null) return `${w}-${l}-${otl}`;
+  return `${w}-${l}`;
+}
+
+// Standings come as one table or one per conference/group (children); ranks are per table.
+export function normalizeEspnStandings(json, sportLabel) {
+  const tables = safeGet(json, "children", null) ?? [json];
+  const out = {};
+  for (const table of tables) {
+    const entries = safeGet(table, "standings.entries", []);
+    entries.forEach((entry, i) => {
+      const team = makeTeam(sportLabel, entry?.team?.id, entry?.team?.displayName);
+      if (!team) return;
+      const stats = Array.isArray(entry.stats) ? entry.stats : [];
+      out[team.key] = {
+        rank: statValue(stats, "rank") ?? statValue(stats, "playoffSeed") ?? i + 1,
+        of: entries.length,
+        record: recordOf(stats),
+        form: [],
+      };
+    });
+  }
+  return out;
+}
+
+// Last-five form from finished games with scores, oldest first.
+export function formFromEvents(events) {
+  const results = new Map();
+  const finished = events
+    .filter((e) => e.state === "post" && e.score && e.homeTeam && e.awayTeam)
+    .sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+  for (const e of finished) {
+    const home = Number.parseFloat(e.score.home);
+    const away = Number.parseFloat(e.score.away);
+    if (Number.isNaN(home) || Number.isNaN(away)) continue;
+    const push = (key, own, other) => {
+      if (!results.has(key)) results.set(key, []);
+      results.get(key).push(own > other ? "W" : own < other ? "L" : "D");
+    };
+    push(e.homeTeam.key, home, away);
+    push(e.awayTeam.key, away, home);
+  }
+  return Object.fromEntries([...results].map(([key, form]) => [key, form.slice(-FORM_LENGTH)]));
+}
+
+export function mergeContext(standings, form) {
+  const out = { ...standings };
+  for (const [key, f] of Object.entries(form)) out[key] = { rank: null, of: null, record: "", ...out[key], form: f };
+  return out;
+}
+
+// Lower is bigger: the average of both teams' table position as a fraction of the table, so a
+// 1st-vs-2nd clash beats 1st-vs-19th and tables of different sizes compare fairly. Teams
+// without a rank count as bottom of the table.
+export function bigGameScore(e, context) {
+  const position = (team) => {
+    const c = team && context[team.key];
+    return c?.rank && c?.of ? c.rank / c.of : 1;
+  };
+  return (position(e.homeTeam) + position(e.awayTeam)) / 2;
+}
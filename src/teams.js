@@ -0,0 +1,68 @@
+import { slugify } from "./util";
+
+// Team keys are "<sport>:<provider team id>" so a favorite survives display-name changes
+// ("LA Clippers" -> "Los Angeles Clippers"). ESPN ids are shared across competitions of the
+// same sport, so Arsenal is the same key in the Premier League and the Champions League.
+// Feeds without ids fall back to a name slug.
+
+export function makeTeam(sportLabel, id, name, abbr = "") {
+  if (!name) return null;
+  const scope = slugify(sportLabel);
+  const key = id ? `${scope}:${id}` : `${scope}:name:${slugify(name)}`;
+  return { key, name, abbr };
+}
+
+// Favorites used to be matchup titles ("Lakers @ Celtics"). Split them into team names;
+// the resulting "legacy:" keys are upgraded to real team keys once a loaded event matches.
+export function migrateLegacyFavorites(titles) {
+  const byKey = new Map();
+  for (const title of Array.isArray(titles) ? titles : []) {
+    for (const name of String(title).split(/\s+(?:@|vs\.?|v)\s+/i)) {
+      const trimmed = name.trim();
+      if (!trimmed) continue;
+      const key = `legacy:${slugify(trimmed)}`;
+      if (!byKey.has(key)) byKey.set(key, { key, name: trimmed, sport: "" });
+    }
+  }
+  return [...byKey.values()];
+}
+
+// The provider's own id from a team key, or null for name-slug and legacy keys.
+export function teamProviderId(key) {
+  const m = /^[^:]+:(.+)$/.exec(String(key ?? ""));
+  return m && !key.startsWith("legacy:") && !m[1].startsWith("name:") ? m[1] : null;
+}
+
+export function eventTeams(e) {
+  return [e.awayTeam, e.homeTeam].filter(Boolean);
+}
+
+// Upgrade legacy entries to stable keys and pick up renamed teams. Returns `favorites`
+// unchanged when nothing moved, so it is safe to call from an effect.
+export function reconcileFavoriteTeams(favorites, events) {
+  const seen = new Map();
+  for (const e of events) {
+    for (const t of eventTeams(e)) seen.set(t.key, { ...t, sport: e.sport });
+  }
+  const bySlug = new Map([...seen.values()].map((t) => [slugify(t.name), t]));
+  let changed = false;
+  const next = [];
+  const keys = new Set();
+  for (const fav of favorites) {
+    let t = fav;
+    if (fav.key.startsWith("legacy:")) {
+      const match = bySlug.get(fav.key.slice("legacy:".length));
+      if (match) t = { key: match.key, name: match.name, sport: match.sport };
+    } else if (seen.has(fav.key) && seen.get(fav.key).name !== fav.name) {
+      t = { ...fav, name: seen.get(fav.key).name };
+    }
+    if (t !== fav) changed = true;
+    if (keys.has(t.key)) {
+      changed = true;
+      continue;
+    }
+    keys.add(t.key);
+    next.push(t);
+  }
+  return changed ? next : favorites;
+}
@@ -0,0 +1,271 @@
+// Time zone helpers built on Intl (no tz database of our own).
+// "Wall" times are { y, mo, d, h, mi, s } as read on a clock in some zone; mo is 1-based.
+
+const offsetFormatters = new Map();
+
+export function isValidTimeZone(zone) {
+  if (!zone) return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: zone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function offsetFormatter(zone) {
+  if (!offsetFormatters.has(zone)) {
+    offsetFormatters.set(
+      zone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone: zone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+      })
+    );
+  }
+  return offsetFormatters.get(zone);
+}
+
+// Wall time in `zone` at instant `ts`.
+export function wallTimeIn(zone, ts) {
+  const parts = offsetFormatter(zone).formatToParts(new Date(ts));
+  const get = (type) => Number(parts.find((p) => p.type === type).value);
+  return { y: get("year"), mo: get("month"), d: get("day"), h: get("hour"), mi: get("minute"), s: get("second") };
+}
+
+function wallToUtcMs(w) {
+  return Date.UTC(w.y, w.mo - 1, w.d, w.h ?? 0, w.mi ?? 0, w.s ?? 0);
+}
+
+// UTC offset of `zone` at instant `ts`, in ms (positive east of Greenwich).
+export function tzOffsetMs(zone, ts) {
+  return wallToUtcMs(wallTimeIn(zone, ts)) - Math.floor(ts / 1000) * 1000;
+}
+
+// Instant at which clocks in `zone` show `wall`. Two passes settle DST transitions; wall times
+// skipped by a spring-forward gap resolve to the later offset.
+export function zonedWallToEpoch(wall, zone) {
+  const guess = wallToUtcMs(wall);
+  const first = guess - tzOffsetMs(zone, guess);
+  return guess - tzOffsetMs(zone, first);
+}
+
+// Calendar arithmetic on wall times (no zone involved, so no DST surprises).
+export function addDaysWall(w, n) {
+  const t = new Date(Date.UTC(w.y, w.mo - 1, w.d + n, w.h ?? 0, w.mi ?? 0, w.s ?? 0));
+  return { y: t.getUTCFullYear(), mo: t.getUTCMonth() + 1, d: t.getUTCDate(), h: w.h ?? 0, mi: w.mi ?? 0, s: w.s ?? 0 };
+}
+
+// Returns null when the day doesn't exist in the target month (Jan 31 + 1 month).
+export function addMonthsWall(w, n) {
+  const t = new Date(Date.UTC(w.y, w.mo - 1 + n, 1));
+  const days = new Date(Date.UTC(t.getUTCFullYear(), t.getUTCMonth() + 1, 0)).getUTCDate();
+  if (w.d > days) return null;
+  return { ...w, y: t.getUTCFullYear(), mo: t.getUTCMonth() + 1 };
+}
+
+// 0 = Monday … 6 = Sunday
+export function weekdayOfWall(w) {
+  return (new Date(Date.UTC(w.y, w.mo - 1, w.d)).getUTCDay() + 6) % 7;
+}
+
+// ---------- Calendar days in a display zone ----------
+// Days are "YYYY-MM-DD" keys so they compare as strings; `zone` undefined means the viewer's own.
+
+const dayFormatters = new Map();
+
+export function dayKeyIn(ts, zone) {
+  const id = zone ?? "";
+  if (!dayFormatters.has(id)) {
+    dayFormatters.set(id, new Intl.DateTimeFormat("en-CA", { timeZone: zone, year: "numeric", month: "2-digit", day: "2-digit" }));
+  }
+  return dayFormatters.get(id).format(new Date(ts));
+}
+
+// Local Date <-> day key, for values that are "a calendar day" rather than an instant.
+export function localDayKey(d) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+export function localDateFromKey(key) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(key ?? "");
+  if (!m) return null;
+  const d = new Date(+m[1], +m[2] - 1, +m[3]);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+// ---------- Venue zones ----------
+// Feeds give a venue address, not a zone. This maps the common cases (US/Canadian states and
+// provinces, single-zone countries, a few cities) and returns "" when it can't tell.
+
+const STATE_ZONES = {
+  "America/New_York": "CT DE DC FL GA IN KY ME MD MA MI NH NJ NY NC OH PA RI SC VT VA WV",
+  "America/Chicago": "AL AR IL IA KS LA MN MS MO NE ND OK SD TN TX WI",
+  "America/Denver": "CO ID MT NM UT WY",
+  "America/Phoenix": "AZ",
+  "America/Los_Angeles": "CA NV OR WA",
+  "America/Anchorage": "AK",
+  "Pacific/Honolulu": "HI",
+  "America/Toronto": "ON QC",
+  "America/Winnipeg": "MB",
+  "America/Regina": "SK",
+  "America/Edmonton": "AB",
+  "America/Vancouver": "BC",
+  "America/Halifax": "NS NB PE",
+};
+
+const COUNTRY_ZONES = {
+  england: "Europe/London",
+  scotland: "Europe/London",
+  wales: "Europe/London",
+  "northern ireland": "Europe/London",
+  "united kingdom": "Europe/London",
+  uk: "Europe/London",
+  ireland: "Europe/Dublin",
+  spain: "Europe/Madrid",
+  france: "Europe/Paris",
+  germany: "Europe/Berlin",
+  italy: "Europe/Rome",
+  portugal: "Europe/Lisbon",
+  netherlands: "Europe/Amsterdam",
+  belgium: "Europe/Brussels",
+  switzerland: "Europe/Zurich",
+  austria: "Europe/Vienna",
+  "czech republic": "Europe/Prague",
+  czechia: "Europe/Prague",
+  denmark: "Europe/Copenhagen",
+  sweden: "Europe/Stockholm",
+  norway: "Europe/Oslo",
+  poland: "Europe/Warsaw",
+  greece: "Europe/Athens",
+  turkey: "Europe/Istanbul",
+  türkiye: "Europe/Istanbul",
+  croatia: "Europe/Zagreb",
+  serbia: "Europe/Belgrade",
+  ukraine: "Europe/Kyiv",
+  india: "Asia/Kolkata",
+  pakistan: "Asia/Karachi",
+  "sri lanka": "Asia/Colombo",
+  bangladesh: "Asia/Dhaka",
+  "united arab emirates": "Asia/Dubai",
+  uae: "Asia/Dubai",
+  japan: "Asia/Tokyo",
+  "new zealand": "Pacific/Auckland",
+  "south africa": "Africa/Johannesburg",
+};
+
+const CITY_ZONES = {
+  toronto: "America/Toronto",
+  montreal: "America/Toronto",
+  ottawa: "America/Toronto",
+  winnipeg: "America/Winnipeg",
+  calgary: "America/Edmonton",
+  edmonton: "America/Edmonton",
+  vancouver: "America/Vancouver",
+  sydney: "Australia/Sydney",
+  melbourne: "Australia/Melbourne",
+  brisbane: "Australia/Brisbane",
+  adelaide: "Australia/Adelaide",
+  perth: "Australia/Perth",
+  hobart: "Australia/Hobart",
+};
+
+const stateZone = new Map(
+  Object.entries(STATE_ZONES).flatMap(([zone, codes]) => codes.split(" ").map((code) => [code, zone]))
+);
+
+// address: { city, state, country } as ESPN sends it.
+export function venueTimeZone(address) {
+  if (!address) return "";
+  const city = String(address.city ?? "").trim().toLowerCase();
+  const state = String(address.state ?? "").trim().toUpperCase();
+  const country = String(address.country ?? "").trim().toLowerCase();
+  return CITY_ZONES[city] ?? stateZone.get(state) ?? COUNTRY_ZONES[country] ?? "";
+}
+
+// ---------- Calendar zone names ----------
+// iCalendar TZIDs are meant to be IANA names but often aren't: Outlook and Exchange write
+// Windows names ("GMT Standard Time"), and some servers prefix a path
+// ("/mozilla.org/20050126_1/Europe/London"). This is the usual part of the CLDR Windows table.
+
+const WINDOWS_ZONES = {
+  "Dateline Standard Time": "Etc/GMT+12",
+  "Hawaiian Standard Time": "Pacific/Honolulu",
+  "Alaskan Standard Time": "America/Anchorage",
+  "Pacific Standard Time": "America/Los_Angeles",
+  "US Mountain Standard Time": "America/Phoenix",
+  "Mountain Standard Time": "America/Denver",
+  "Central Standard Time": "America/Chicago",
+  "Canada Central Standard Time": "America/Regina",
+  "Central America Standard Time": "America/Guatemala",
+  "Central Standard Time (Mexico)": "America/Mexico_City",
+  "Eastern Standard Time": "America/New_York",
+  "US Eastern Standard Time": "America/Indiana/Indianapolis",
+  "SA Pacific Standard Time": "America/Bogota",
+  "Atlantic Standard Time": "America/Halifax",
+  "Venezuela Standard Time": "America/Caracas",
+  "Pacific SA Standard Time": "America/Santiago",
+  "Newfoundland Standard Time": "America/St_Johns",
+  "E. South America Standard Time": "America/Sao_Paulo",
+  "Argentina Standard Time": "America/Argentina/Buenos_Aires",
+  UTC: "Etc/UTC",
+  "GMT Standard Time": "Europe/London",
+  "Greenwich Standard Time": "Atlantic/Reykjavik",
+  "W. Europe Standard Time": "Europe/Berlin",
+  "Central Europe Standard Time": "Europe/Budapest",
+  "Romance Standard Time": "Europe/Paris",
+  "Central European Standard Time": "Europe/Warsaw",
+  "W. Central Africa Standard Time": "Africa/Lagos",
+  "GTB Standard Time": "Europe/Bucharest",
+  "E. Europe Standard Time": "Europe/Chisinau",
+  "FLE Standard Time": "Europe/Kyiv",
+  "South Africa Standard Time": "Africa/Johannesburg",
+  "Egypt Standard Time": "Africa/Cairo",
+  "Israel Standard Time": "Asia/Jerusalem",
+  "Turkey Standard Time": "Europe/Istanbul",
+  "Russian Standard Time": "Europe/Moscow",
+  "Arab Standard Time": "Asia/Riyadh",
+  "Arabian Standard Time": "Asia/Dubai",
+  "Iran Standard Time": "Asia/Tehran",
+  "Afghanistan Standard Time": "Asia/Kabul",
+  "Pakistan Standard Time": "Asia/Karachi",
+  "India Standard Time": "Asia/Kolkata",
+  "Sri Lanka Standard Time": "Asia/Colombo",
+  "Nepal Standard Time": "Asia/Kathmandu",
+  "Bangladesh Standard Time": "Asia/Dhaka",
+  "SE Asia Standard Time": "Asia/Bangkok",
+  "China Standard Time": "Asia/Shanghai",
+  "Singapore Standard Time": "Asia/Singapore",
+  "Taipei Standard Time": "Asia/Taipei",
+  "W. Australia Standard Time": "Australia/Perth",
+  "Tokyo Standard Time": "Asia/Tokyo",
+  "Korea Standard Time": "Asia/Seoul",
+  "Cen. Australia Standard Time": "Australia/Adelaide",
+  "AUS Central Standard Time": "Australia/Darwin",
+  "E. Australia Standard Time": "Australia/Brisbane",
+  "AUS Eastern Standard Time": "Australia/Sydney",
+  "Tasmania Standard Time": "Australia/Hobart",
+  "New Zealand Standard Time": "Pacific/Auckland",
+};
+
+// An IANA zone for a calendar's TZID, or "" when it can't be placed.
+export function ianaZoneFor(tzid) {
+  const name = String(tzid ?? "").trim().replace(/^"|"$/g, "");
+  if (!name) return "";
+  if (WINDOWS_ZONES[name]) return WINDOWS_ZONES[name];
+  if (isValidTimeZone(name)) return name;
+  // Path-prefixed ids end in the IANA name, which is one to three segments long.
+  const parts = name.split("/").filter(Boolean);
+  for (let n = Math.min(3, parts.length - 1); n >= 1; n--) {
+    const tail = parts.slice(-n).join("/");
+    if (tail.includes("/") && isValidTimeZone(tail)) return tail;
+  }
+  return "";
+}
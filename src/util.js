@@ -0,0 +1,43 @@
+// Small helpers shared by the data layer and the UI.
+
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Calendar days, not 24h steps: local midnight + 7 days is still midnight across a DST change.
+export function addDays(date, n) {
+  const d = new Date(date.getTime());
+  d.setDate(d.getDate() + n);
+  return d;
+}
+
+export function fmtYmd(d) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}${pad(d.getMonth() + 1)}${pad(d.getDate())}`;
+}
+
+export function safeGet(obj, path, fallback) {
+  try {
+    return path.split(".").reduce((acc, k) => acc?.[k], obj) ?? fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+export function slugify(s) {
+  return String(s ?? "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "");
+}
+
+// Short deterministic id (FNV-1a, base 36) for records whose source has no id of its own,
+// so the same fixture gets the same id on every fetch and export.
+export function stableId(...parts) {
+  let h = 0x811c9dc5;
+  for (const ch of parts.join("|")) {
+    h ^= ch.codePointAt(0);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return h.toString(36);
+}
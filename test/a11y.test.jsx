@@ -0,0 +1,283 @@
+// @vitest-environment jsdom
+import axe from "axe-core";
+import { act } from "react";
+import { createRoot } from "react-dom/client";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import App from "../src/App";
+import { allFixturesFetch } from "./fixtures";
+
+// The whole app rendered in jsdom against the recorded scoreboards: axe over each view, then
+// the keyboard shortcuts and focus handling.
+
+globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+
+let container;
+let root;
+let fetchMock;
+
+const tick = () => act(() => new Promise((resolve) => setTimeout(resolve, 10)));
+
+async function renderApp() {
+  container = document.createElement("div");
+  document.body.appendChild(container);
+  root = createRoot(container);
+  await act(async () => root.render(<App />));
+  // Let the fixture fetches settle.
+  for (let i = 0; i < 50 && !container.querySelector("[data-match-row]"); i++) await tick();
+}
+
+beforeEach(() => {
+  vi.useFakeTimers({ toFake: ["Date"] });
+  vi.setSystemTime(new Date("2026-03-01T09:00:00Z"));
+  fetchMock = vi.fn(allFixturesFetch());
+  vi.stubGlobal("fetch", fetchMock);
+  localStorage.clear();
+  // The app writes its state into the URL; start each test from a bare one.
+  window.history.replaceState(null, "", "/");
+});
+
+afterEach(() => {
+  act(() => root.unmount());
+  container.remove();
+  vi.unstubAllGlobals();
+  vi.useRealTimers();
+});
+
+// jsdom has no layout, so contrast can't be computed there.
+const AXE_OPTIONS = { rules: { "color-contrast": { enabled: false } } };
+
+async function violations() {
+  const { violations } = await axe.run(container, AXE_OPTIONS);
+  return violations.map((v) => `${v.id}: ${v.nodes.map((n) => n.target.join(" ")).join(", ")}`);
+}
+
+// Returns false when something called preventDefault.
+function press(key, target = document.activeElement ?? document.body) {
+  let notPrevented;
+  act(() => {
+    notPrevented = target.dispatchEvent(new KeyboardEvent("keydown", { key, bubbles: true, cancelable: true }));
+  });
+  return notPrevented;
+}
+
+// Sets an input's value the way typing does, so React's onChange sees it.
+function type(input, value) {
+  act(() => {
+    Object.getOwnPropertyDescriptor(HTMLInputElement.prototype, "value").set.call(input, value);
+    input.dispatchEvent(new Event("input", { bubbles: true }));
+  });
+}
+
+const rows = () => [...container.querySelectorAll("[data-match-row]")];
+const button = (name) => [...container.querySelectorAll("button")].find((b) => b.textContent.trim() === name);
+
+describe("axe", { timeout: 30000 }, () => {
+  it("finds no violations in the list view", async () => {
+    await renderApp();
+    expect(rows().length).toBeGreaterThan(0);
+    expect(await violations()).toEqual([]);
+  });
+
+  it("finds no violations in the week and planner views", async () => {
+    await renderApp();
+    for (const view of ["Week", "Planner"]) {
+      const toggle = [...container.querySelectorAll('[aria-label="Layout"] button')].find((b) => b.textContent.startsWith(view));
+      act(() => toggle.click());
+      expect(toggle.getAttribute("aria-pressed")).toBe("true");
+      expect(await violations()).toEqual([]);
+    }
+  });
+
+  it("finds no violations with a team page open", async () => {
+    await renderApp();
+    act(() => rows()[0].querySelector("button[title$='season schedule']").click());
+    for (let i = 0; i < 50 && container.querySelector("section")?.textContent.includes("Loading schedule"); i++) await tick();
+    expect(container.querySelector("section")).not.toBeNull();
+    expect(await violations()).toEqual([]);
+  });
+});
+
+describe("toggles", { timeout: 30000 }, () => {
+  it("exposes the sport, league and layout pills as pressed buttons", async () => {
+    await renderApp();
+    const sports = container.querySelector('[role="group"][aria-label="Sport"]');
+    expect(sports.querySelector("button[aria-pressed='true']").textContent).toBe("Basketball");
+    const nba = [...container.querySelectorAll('[aria-label="Basketball leagues"] button')].find((b) => b.textContent === "NBA");
+    expect(nba.getAttribute("aria-pressed")).toBe("true");
+    act(() => nba.click());
+    expect(nba.getAttribute("aria-pressed")).toBe("false");
+    expect(button("List").getAttribute("aria-pressed")).toBe("true");
+  });
+});
+
+describe("keyboard", { timeout: 30000 }, () => {
+  it('focuses the search box on "/" without typing it', async () => {
+    await renderApp();
+    press("/", document.body);
+    const search = container.querySelector('input[aria-label="Search matches"]');
+    expect(document.activeElement).toBe(search);
+    expect(search.value).toBe("");
+    // Typed into the box, "/" and "r" are just text.
+    press("r");
+    expect(document.activeElement).toBe(search);
+  });
+
+  it("lets Tab leave the search box and Enter keep the typed text while suggestions are open", async () => {
+    await renderApp();
+    const search = container.querySelector('input[aria-label="Search matches"]');
+    act(() => search.focus());
+    type(search, "te");
+    expect(search.getAttribute("aria-expanded")).toBe("true");
+    expect(press("Tab")).toBe(true);
+    expect(search.value).toBe("te");
+    // Enter with nothing picked keeps what was typed and closes the list.
+    expect(press("Enter")).toBe(true);
+    expect(search.value).toBe("te");
+    expect(search.getAttribute("aria-expanded")).toBe("false");
+    type(search, "tea");
+    // ↓ picks a suggestion and Enter accepts it.
+    press("ArrowDown");
+    const picked = container.querySelector('[role="option"][aria-selected="true"]').textContent;
+    expect(press("Enter")).toBe(false);
+    expect(search.value).toBe(picked);
+  });
+
+  it('refreshes on "r"', async () => {
+    await renderApp();
+    const before = fetchMock.mock.calls.length;
+    press("r", document.body);
+    await tick();
+    expect(fetchMock.mock.calls.length).toBeGreaterThan(before);
+  });
+
+  it("ignores shortcuts with a modifier held", async () => {
+    await renderApp();
+    const before = fetchMock.mock.calls.length;
+    act(() => {
+      document.body.dispatchEvent(new KeyboardEvent("keydown", { key: "r", ctrlKey: true, bubbles: true }));
+    });
+    await tick();
+    expect(fetchMock.mock.calls.length).toBe(before);
+  });
+
+  it("moves between matches with the arrow keys and between days with left and right", async () => {
+    await renderApp();
+    const list = rows();
+    expect(list.filter((r) => r.tabIndex === 0)).toEqual([list[0]]);
+    act(() => list[0].focus());
+    press("ArrowDown");
+    expect(document.activeElement).toBe(list[1]);
+    press("ArrowUp");
+    expect(document.activeElement).toBe(list[0]);
+
+    const nextDay = list.find((r) => r.dataset.day !== list[0].dataset.day);
+    press("ArrowRight");
+    expect(document.activeElement).toBe(nextDay);
+    // The focused row now holds the tab stop.
+    expect(rows().filter((r) => r.tabIndex === 0)).toEqual([nextDay]);
+    press("ArrowLeft");
+    expect(document.activeElement).toBe(list[0]);
+  });
+
+  it('follows the focused match\'s teams on "f" and unfollows them on a second press', async () => {
+    await renderApp();
+    const row = rows()[0];
+    const stars = () => [...row.querySelectorAll("button[aria-label^='Follow ']")];
+    expect(stars().every((b) => b.getAttribute("aria-pressed") === "false")).toBe(true);
+    act(() => row.focus());
+    press("f");
+    expect(stars().every((b) => b.getAttribute("aria-pressed") === "true")).toBe(true);
+    expect(container.querySelector('[aria-live="polite"]').textContent).toMatch(/^Following .+ and .+/);
+    press("f");
+    expect(stars().every((b) => b.getAttribute("aria-pressed") === "false")).toBe(true);
+  });
+
+  it("moves focus into the team page and back to the team name when it closes", async () => {
+    await renderApp();
+    const name = rows()[0].querySelector("button[title$='season schedule']");
+    act(() => name.focus());
+    act(() => name.click());
+    const section = container.querySelector("section");
+    expect(document.activeElement).toBe(section);
+    press("Escape");
+    expect(container.querySelector("section")).toBeNull();
+    expect(document.activeElement).toBe(name);
+  });
+});
+
+describe("controls", { timeout: 30000 }, () => {
+  it("opens the profile import picker from a focusable button", async () => {
+    await renderApp();
+    const importButton = button("Import");
+    const input = container.querySelector('input[type="file"]');
+    const click = vi.spyOn(input, "click").mockImplementation(() => {});
+    expect(importButton.tabIndex).toBe(0);
+    act(() => importButton.click());
+    expect(click).toHaveBeenCalledTimes(1);
+    expect(input.tabIndex).toBe(-1);
+  });
+
+  it("names icon-only buttons with aria-label and hides their icons", async () => {
+    await renderApp();
+    const iconOnly = [...container.querySelectorAll("button")].filter((b) => !b.textContent.trim());
+    expect(iconOnly.length).toBeGreaterThan(0);
+    for (const b of iconOnly) {
+      expect(b.getAttribute("aria-label"), b.outerHTML).toMatch(/\S/);
+      for (const svg of b.querySelectorAll("svg")) expect(svg.getAttribute("aria-hidden"), b.outerHTML).toBe("true");
+    }
+  });
+});
+
+describe("history", { timeout: 30000 }, () => {
+  it("restores followed teams on Back, including none", async () => {
+    await renderApp();
+    const before = window.location.search;
+    expect(before).toMatch(/^\?v=1&/);
+    expect(before).not.toMatch(/[?&]t=/);
+    const row = rows()[0];
+    const stars = () => [...row.querySelectorAll("button[aria-label^='Follow ']")];
+    act(() => row.focus());
+    press("f");
+    expect(window.location.search).toMatch(/[?&]t=/);
+    act(() => {
+      window.history.replaceState(null, "", before);
+      window.dispatchEvent(new PopStateEvent("popstate"));
+    });
+    expect(stars().every((b) => b.getAttribute("aria-pressed") === "false")).toBe(true);
+  });
+});
+
+describe("match reminders", { timeout: 30000 }, () => {
+  it("use the lead time picked in the Reminders panel", async () => {
+    await renderApp();
+    const bell = () => rows()[0].querySelector("button[aria-label^='Remind me']");
+    const lead = container.querySelector('select[aria-label="How long before"]');
+    const pick = (minutes) =>
+      act(() => {
+        Object.getOwnPropertyDescriptor(HTMLSelectElement.prototype, "value").set.call(lead, String(minutes));
+        lead.dispatchEvent(new Event("change", { bubbles: true }));
+      });
+
+    expect(bell().getAttribute("aria-label")).toBe("Remind me 15 minutes before");
+    pick(30);
+    expect(bell().getAttribute("aria-label")).toBe("Remind me 30 minutes before");
+    act(() => bell().click());
+    expect(bell().getAttribute("aria-pressed")).toBe("true");
+    expect(container.textContent).toMatch(/30 minutes before · Match: \S/);
+    // A set reminder keeps its own lead when the panel moves on.
+    pick(24 * 60);
+    expect(bell().getAttribute("aria-label")).toBe("Remind me 30 minutes before");
+    expect(bell().title).toBe("Remove reminder (30 minutes before)");
+  });
+});
+
+describe("live regions", { timeout: 30000 }, () => {
+  it("keeps a status region for refreshes and announces failed leagues as an alert", async () => {
+    fetchMock = vi.fn(async () => new Response("offline", { status: 503 }));
+    vi.stubGlobal("fetch", fetchMock);
+    await renderApp();
+    for (let i = 0; i < 50 && !container.querySelector('[role="alert"]'); i++) await tick();
+    expect(container.querySelector('[role="status"]')).not.toBeNull();
+    expect(container.querySelector('[role="alert"]').textContent).toMatch(/failed to load/);
+  });
+});
@@ -0,0 +1,33 @@
+import { describe, expect, it } from "vitest";
+import { broadcastsIn, normalizeBroadcastList, normalizeEspnBroadcasts, onMyServices } from "../src/broadcasts";
+
+const competition = {
+  broadcasts: [{ market: "national", names: ["ESPN", "ABC"] }],
+  geoBroadcasts: [{ type: { shortName: "Streaming" }, market: { type: "National" }, media: { shortName: "ESPN+" } }],
+};
+
+describe("ESPN broadcasts", () => {
+  it("are US listings", () => {
+    expect(normalizeEspnBroadcasts(competition)).toEqual([
+      { name: "ESPN+", region: "us", market: "national", type: "Streaming" },
+      { name: "ESPN", region: "us", market: "national", type: "" },
+      { name: "ABC", region: "us", market: "national", type: "" },
+    ]);
+  });
+
+  it("don't show up or match services outside the US", () => {
+    const e = { broadcasts: normalizeEspnBroadcasts(competition) };
+    expect(broadcastsIn(e, "us").map((b) => b.name)).toEqual(["ESPN+", "ESPN", "ABC"]);
+    expect(broadcastsIn(e, "gb")).toEqual([]);
+    expect(onMyServices(e, { region: "gb", services: { gb: ["ESPN"] } })).toBe(false);
+    expect(onMyServices(e, { region: "us", services: { us: ["espn"] } })).toBe(true);
+  });
+});
+
+describe("custom feed broadcasts", () => {
+  it("apply everywhere unless they name a region", () => {
+    const e = { broadcasts: normalizeBroadcastList(["Sky Sports", { name: "Star Sports", region: "IN" }]) };
+    expect(broadcastsIn(e, "gb").map((b) => b.name)).toEqual(["Sky Sports"]);
+    expect(broadcastsIn(e, "in").map((b) => b.name)).toEqual(["Sky Sports", "Star Sports"]);
+  });
+});
@@ -0,0 +1,102 @@
+import { describe, expect, it } from "vitest";
+import { changesByEvent, diffEvents, dismissChanges, emptyChangeLog, markExported, recordChanges, staleExports } from "../src/changes";
+import { buildIcs } from "../src/ics";
+import { normalizeEspnScoreboard } from "../src/providers";
+import { buildReminders } from "../src/reminderRules";
+import { readFixture } from "./fixtures";
+
+const T0 = Date.parse("2026-03-01T12:00:00Z");
+const HOUR = 60 * 60 * 1000;
+
+const snapshot = () => normalizeEspnScoreboard(readFixture("epl"), "Soccer").map((e) => ({ ...e, leagueId: "epl" }));
+
+// The EPL fixture has a match in play (740871) and one still to come at 2026-03-01 16:30 UTC (740872).
+function refreshed(edit) {
+  const events = snapshot();
+  edit(events);
+  return events;
+}
+
+describe("diffEvents", () => {
+  it("finds nothing when the feed is unchanged", () => {
+    expect(diffEvents(snapshot(), snapshot(), T0)).toEqual([]);
+  });
+
+  it("reports moved, cancelled and newly listed matches", () => {
+    const before = snapshot();
+    const after = refreshed((events) => {
+      events[0].status = "Abandoned";
+      events[1].startTime = "2026-03-08T16:30Z";
+      events.push({ ...events[1], id: "new-1", title: "Late addition", startTime: "2026-03-09T19:45Z" });
+    });
+    const changes = diffEvents(before, after, T0);
+    expect(changes.map((c) => [c.kind, c.eventId])).toEqual([
+      ["cancelled", before[0].id],
+      ["moved", before[1].id],
+      ["added", "new-1"],
+    ]);
+    expect(changes[1]).toMatchObject({ before: "2026-03-01T16:30Z", after: "2026-03-08T16:30Z", leagueId: "epl", at: T0 });
+  });
+
+  it("ignores matches that drop out of the feed", () => {
+    expect(diffEvents(snapshot(), snapshot().slice(1), T0)).toEqual([]);
+  });
+});
+
+describe("change log", () => {
+  const id = snapshot()[1].id;
+  const move = (from, to, at) =>
+    diffEvents(
+      refreshed((e) => (e[1].startTime = from)),
+      refreshed((e) => (e[1].startTime = to)),
+      at
+    );
+
+  it("keeps the first scheduled time across repeated moves and counts revisions", () => {
+    let log = recordChanges(emptyChangeLog(), move("2026-03-01T16:30Z", "2026-03-08T15:00Z", T0));
+    log = recordChanges(log, move("2026-03-08T15:00Z", "2026-03-08T17:30Z", T0 + HOUR));
+    expect(log.entries).toHaveLength(1);
+    expect(log.entries[0]).toMatchObject({ kind: "moved", before: "2026-03-01T16:30Z", after: "2026-03-08T17:30Z" });
+    expect(log.revisions[id]).toBe(2);
+    expect(changesByEvent(log).get(id).at).toBe(T0 + HOUR);
+    expect(dismissChanges(log).entries).toEqual([]);
+    expect(dismissChanges(log).revisions[id]).toBe(2);
+  });
+
+  it("flags exported entries until the calendar is exported again", () => {
+    const exported = markExported(emptyChangeLog(), snapshot(), T0 - HOUR);
+    const log = recordChanges(exported, move("2026-03-01T16:30Z", "2026-03-08T15:00Z", T0));
+    expect(staleExports(log).map((c) => c.eventId)).toEqual([id]);
+    expect(staleExports(markExported(log, snapshot(), T0 + HOUR))).toEqual([]);
+  });
+
+  it("keeps earlier exports when another calendar is exported", () => {
+    const [first, second] = snapshot();
+    let log = markExported(emptyChangeLog(), [first, second], T0 - 2 * HOUR);
+    // A team season export that doesn't include the second match.
+    log = markExported(log, [first], T0 - HOUR);
+    log = recordChanges(log, move("2026-03-01T16:30Z", "2026-03-08T15:00Z", T0));
+    expect(staleExports(log).map((c) => c.eventId)).toEqual([second.id]);
+    expect(log.exported).toEqual({ [first.id]: T0 - HOUR, [second.id]: T0 - 2 * HOUR });
+  });
+
+  it("bumps the exported SEQUENCE and flags reminders for moved matches", () => {
+    const log = recordChanges(emptyChangeLog(), move("2026-03-01T16:30Z", "2026-03-08T15:00Z", T0));
+    const events = refreshed((e) => (e[1].startTime = "2026-03-08T15:00Z"));
+    const ics = buildIcs(
+      events.map((e) => ({ ...e, sequence: log.revisions[e.id] })),
+      { now: T0 }
+    );
+    expect(ics).toMatch(new RegExp(`UID:${id}@sports-week-watchlist\\r\\nDTSTAMP:\\d+T\\d+Z\\r\\nDTSTART:20260308T150000Z\\r\\nDTEND:\\d+T\\d+Z\\r\\nSEQUENCE:1`));
+
+    const [reminder] = buildReminders([events[1]], [{ id: "r", scope: "all", target: "", leadMinutes: 15 }], {
+      now: T0,
+      horizonMs: 14 * 24 * HOUR,
+      // Gets the match too, so times can be shown in its venue's zone.
+      formatTime: (ts, e) => `${new Date(ts).toISOString()} ${e.timeZone}`,
+      changes: changesByEvent(log),
+    });
+    expect(reminder).toMatchObject({ eventId: id, moved: true });
+    expect(reminder.body).toContain("(moved from 2026-03-01T16:30:00.000Z Europe/London)");
+  });
+});
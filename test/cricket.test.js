@@ -0,0 +1,130 @@
+import { describe, expect, it } from "vitest";
+import { espnCricketFields, jsonCricketFields } from "../src/cricket";
+import { cricketFormat, matchDays, playingWindows } from "../src/durations";
+
+const espnEvent = (competition, status = { type: { state: "pre", detail: "" } }) => ({
+  id: "1",
+  status,
+  competitions: [competition],
+});
+
+describe("espnCricketFields", () => {
+  it.each([
+    ["Test", "test"],
+    ["ODI", "odi"],
+    ["List A", "odi"],
+    ["T20I", "t20"],
+    ["Twenty20", "t20"],
+    ["First-class", "first-class"],
+  ])("reads the %s class as %s", (name, format) => {
+    expect(espnCricketFields(espnEvent({ class: { generalClassCard: name } })).format).toBe(format);
+  });
+
+  it("takes the days and close of play from the competition", () => {
+    expect(
+      espnCricketFields(espnEvent({ class: { name: "Test" }, numberOfDays: 5, endDate: "2026-03-31T17:00Z" }))
+    ).toEqual({
+      format: "test",
+      matchDays: 5,
+      dayNumber: null,
+      sessions: [],
+      endTime: "2026-03-31T17:00Z",
+    });
+  });
+
+  it("reads the day being played from a live status, else the period", () => {
+    const comp = { class: { name: "Test" }, numberOfDays: 5 };
+    const live = (detail, period) => espnEvent(comp, { period, type: { state: "in", detail } });
+    expect(espnCricketFields(live("Day 3 - Session 2", 1)).dayNumber).toBe(3);
+    expect(espnCricketFields(live("Lunch", 2)).dayNumber).toBe(2);
+    expect(
+      espnCricketFields(espnEvent({ class: { name: "T20I" } }, { period: 2, type: { state: "in", detail: "" } }))
+        .dayNumber
+    ).toBeNull();
+  });
+});
+
+describe("jsonCricketFields", () => {
+  it("numbers sessions, drops ones without a start and counts days from them", () => {
+    const fields = jsonCricketFields({
+      format: "Test",
+      sessions: [
+        { day: 1, name: "Morning", start: "2026-03-27T10:00:00Z", end: "2026-03-27T12:00:00Z" },
+        { name: "No start" },
+        { day: 2, name: "Morning", start: "2026-03-28T10:00:00Z", end: "2026-03-28T17:00:00Z" },
+      ],
+    });
+    expect(fields).toEqual({
+      format: "test",
+      matchDays: 2,
+      dayNumber: null,
+      sessions: [
+        { day: 1, name: "Morning", start: "2026-03-27T10:00:00Z", end: "2026-03-27T12:00:00Z" },
+        { day: 2, name: "Morning", start: "2026-03-28T10:00:00Z", end: "2026-03-28T17:00:00Z" },
+      ],
+      endTime: "2026-03-28T17:00:00Z",
+    });
+  });
+
+  it("prefers explicit days and end time", () => {
+    expect(jsonCricketFields({ days: "4", dayNumber: "2", endTime: "2026-03-30T17:00:00Z" })).toMatchObject({
+      format: "",
+      matchDays: 4,
+      dayNumber: 2,
+      endTime: "2026-03-30T17:00:00Z",
+    });
+  });
+});
+
+describe("playingWindows", () => {
+  const match = (extra) => ({
+    id: "m",
+    sport: "Cricket",
+    title: "India v Australia",
+    startTime: "2026-03-27T10:00:00Z",
+    ...extra,
+  });
+  const hours = (ws) => ws.map((w) => [new Date(w.start).toISOString(), (w.end - w.start) / 3600000]);
+
+  it("guesses the format from the title or league", () => {
+    expect(cricketFormat(match({ league: "1st Test" }))).toBe("test");
+    expect(cricketFormat(match({ title: "England v India, 2nd ODI" }))).toBe("odi");
+    expect(cricketFormat(match({ format: "First-class" }))).toBe("first-class");
+    expect(matchDays(match({ league: "1st Test" }))).toBe(5);
+  });
+
+  it("gives a Test one seven-hour window per day at the first day's local start", () => {
+    const ws = playingWindows(match({ format: "test", matchDays: 5 }));
+    expect(ws).toHaveLength(5);
+    expect(hours(ws).map(([, h]) => h)).toEqual([7, 7, 7, 7, 7]);
+    // Day 3 is after the clocks go forward in London, so it starts an hour earlier in UTC.
+    expect(hours(ws).map(([s]) => s.slice(0, 16))).toEqual([
+      "2026-03-27T10:00",
+      "2026-03-28T10:00",
+      "2026-03-29T09:00",
+      "2026-03-30T09:00",
+      "2026-03-31T09:00",
+    ]);
+  });
+
+  it("uses the feed's sessions, one window per day", () => {
+    const ws = playingWindows(
+      match({
+        matchDays: 2,
+        sessions: [
+          { day: 2, start: "2026-03-28T09:30:00Z", end: "2026-03-28T11:30:00Z" },
+          { day: 1, start: "2026-03-27T10:00:00Z", end: "2026-03-27T12:00:00Z" },
+          { day: 1, start: "2026-03-27T12:40:00Z", end: "2026-03-27T17:00:00Z" },
+        ],
+      })
+    );
+    expect(hours(ws)).toEqual([
+      ["2026-03-27T10:00:00.000Z", 7],
+      ["2026-03-28T09:30:00.000Z", 2],
+    ]);
+  });
+
+  it("keeps a one-day match as a single window to its expected end", () => {
+    expect(hours(playingWindows(match({ format: "t20" })))).toEqual([["2026-03-27T10:00:00.000Z", 3.5]]);
+  });
+});
@@ -0,0 +1,92 @@
+import { afterEach, beforeAll, describe, expect, it, vi } from "vitest";
+import { buildFeedFiles, teamFeedPath } from "../src/feeds";
+import { unfoldLines } from "../src/ics";
+import { loadEventsForLeague } from "../src/providers";
+import { FIXTURE_IDS, builtInLeague, fixtureFetch } from "./fixtures";
+
+// The same pipeline as `npm run feeds:fixtures`: every fixture league through its adapter,
+// then buildFeedFiles over the lot.
+
+const RANGE = { start: new Date("2026-03-01T00:00:00"), days: 7 };
+const NOW = Date.parse("2026-03-01T12:00:00Z");
+
+let files;
+let index;
+
+beforeAll(async () => {
+  const results = [];
+  for (const id of FIXTURE_IDS) {
+    const { league, sportName } = builtInLeague(id);
+    vi.stubGlobal("fetch", fixtureFetch(id));
+    const events = await loadEventsForLeague(league, sportName, RANGE);
+    results.push({ league, sportName, events: events.map((e) => ({ ...e, leagueId: league.id })) });
+  }
+  ({ files, index } = buildFeedFiles(results, { now: NOW }));
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+const lines = (path) => unfoldLines(files[path]);
+const uids = (path) => lines(path).filter((l) => l.startsWith("UID:")).map((l) => l.slice(4).replace(/@.*/, ""));
+
+describe("buildFeedFiles over the fixtures", () => {
+  it("lists one calendar per league in index.json", () => {
+    expect(JSON.parse(files["index.json"])).toEqual(index);
+    expect(index.generatedAt).toBe("2026-03-01T12:00:00.000Z");
+    expect(index.leagues).toEqual([
+      { id: "epl", name: "Premier League", sport: "Soccer", path: "leagues/epl.ics", events: 9 },
+      { id: "laliga", name: "LaLiga", sport: "Soccer", path: "leagues/laliga.ics", events: 5 },
+      { id: "nba", name: "NBA", sport: "Basketball", path: "leagues/nba.ics", events: 8 },
+      { id: "nhl", name: "NHL", sport: "Hockey", path: "leagues/nhl.ics", events: 6 },
+      { id: "ucl", name: "UEFA Champions League", sport: "Soccer", path: "leagues/ucl.ics", events: 4 },
+    ]);
+  });
+
+  it("lists every team once, by name, with a path built from its key", () => {
+    expect(index.teams).toHaveLength(52);
+    expect(index.teams.map((t) => t.name)).toEqual(index.teams.map((t) => t.name).sort((a, b) => a.localeCompare(b)));
+    for (const t of index.teams) expect(t.path).toBe(teamFeedPath(t.key));
+    // Same team id in two sports stays two calendars.
+    expect(index.teams.filter((t) => t.name.startsWith("Boston ")).map((t) => t.path)).toEqual([
+      "teams/hockey-1.ics",
+      "teams/basketball-2.ics",
+    ]);
+    expect(index.teams.find((t) => t.name === "Arsenal")).toEqual({
+      key: "soccer:359",
+      name: "Arsenal",
+      sport: "Soccer",
+      path: "teams/soccer-359.ics",
+      events: 3,
+    });
+  });
+
+  it("writes exactly the files the index names", () => {
+    expect(Object.keys(files).sort()).toEqual(
+      ["index.json", ...index.leagues.map((l) => l.path), ...index.teams.map((t) => t.path)].sort()
+    );
+  });
+
+  it("puts each league's matches in its calendar", () => {
+    expect(lines("leagues/nba.ics")).toContain("X-WR-CALNAME:NBA (Basketball)");
+    expect(uids("leagues/nba.ics")).toEqual([
+      "401810211",
+      "401810001",
+      "401810214",
+      "401810215",
+      "401810002",
+      "401810003",
+      "401810004",
+      "401810241",
+    ]);
+    for (const { path, events } of index.leagues) expect(uids(path)).toHaveLength(events);
+  });
+
+  it("merges a team's matches across leagues in start order", () => {
+    expect(lines("teams/soccer-359.ics")).toContain("X-WR-CALNAME:Arsenal (Soccer)");
+    expect(uids("teams/soccer-359.ics")).toEqual(["740871", "749301", "740898"]);
+    expect(lines("teams/soccer-359.ics")).toContain("SUMMARY:Bayern Munich @ Arsenal");
+    for (const { path, events } of index.teams) expect(uids(path)).toHaveLength(events);
+  });
+});
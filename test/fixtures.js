@@ -0,0 +1,49 @@
+import { readFileSync, readdirSync } from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { PROVIDERS } from "../src/providers";
+
+// ESPN scoreboards for the week of 2026-03-01 (fixtures/espn/<leagueId>.json), the same files
+// `npm run feeds:fixtures` builds from, so the suite never touches the network. They follow the
+// full scoreboard response, trimmed the way `npm run fixtures:record` trims it; re-run that
+// script against the live API to refresh them.
+
+// A path rather than a URL: under the jsdom environment `URL` is jsdom's, which fs rejects.
+const dir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "../fixtures/espn");
+
+export const FIXTURE_IDS = readdirSync(dir)
+  .filter((f) => f.endsWith(".json"))
+  .map((f) => f.replace(/\.json$/, ""))
+  .sort();
+
+export function readFixture(id) {
+  return JSON.parse(readFileSync(path.join(dir, `${id}.json`), "utf8"));
+}
+
+// { league, sportName } for a built-in league id.
+export function builtInLeague(id) {
+  for (const sport of Object.values(PROVIDERS)) {
+    const league = sport.leagues.find((l) => l.id === id);
+    if (league) return { league, sportName: sport.name };
+  }
+  throw new Error(`No built-in league "${id}"`);
+}
+
+// A fetch that answers built-in league URLs from the fixtures and fails everything else.
+export function fixtureFetch(id, transform = (json) => json) {
+  const { league } = builtInLeague(id);
+  return async (url) => {
+    if (!String(url).startsWith(league.url)) return new Response("offline", { status: 404 });
+    return new Response(JSON.stringify(transform(readFixture(id))), { headers: { "content-type": "application/json" } });
+  };
+}
+
+// Every built-in league at once, for rendering the whole app.
+export function allFixturesFetch() {
+  const ids = new Set(FIXTURE_IDS);
+  return async (url) => {
+    const id = [...ids].find((x) => String(url).startsWith(builtInLeague(x).league.url));
+    if (!id) return new Response("offline", { status: 404 });
+    return new Response(JSON.stringify(readFixture(id)), { headers: { "content-type": "application/json" } });
+  };
+}
@@ -0,0 +1,238 @@
+import { describe, expect, it } from "vitest";
+import { buildIcs, icsToEvents, unfoldLines } from "../src/ics";
+import { normalizeEspnScoreboard } from "../src/providers";
+import { FIXTURE_IDS, builtInLeague, readFixture } from "./fixtures";
+
+const NOW = Date.parse("2026-03-01T12:00:00Z");
+
+function fixtureEvents(id) {
+  const { sportName } = builtInLeague(id);
+  return normalizeEspnScoreboard(readFixture(id), sportName);
+}
+
+describe("buildIcs", () => {
+  it.each(FIXTURE_IDS)("exports the %s fixture unchanged", (id) => {
+    expect(buildIcs(fixtureEvents(id), { calendarName: id, now: NOW })).toMatchSnapshot();
+  });
+
+  it("adds alarms, tentative status and cancellations", () => {
+    const [first, second, third] = fixtureEvents("nba");
+    const events = [
+      first,
+      { ...second, tentative: true },
+      { ...third, status: "Postponed", state: "post" },
+    ];
+    const ics = buildIcs(events, { calendarName: "Planner", now: NOW, alarmsFor: () => [60, 15] });
+    expect(ics).toMatchSnapshot();
+  });
+
+  it("exports a Test as one event per day of play, with alarms on the first", () => {
+    const test = {
+      id: "cric-1",
+      sport: "Cricket",
+      league: "Border-Gavaskar Trophy",
+      title: "India v Australia",
+      status: "Scheduled",
+      startTime: "2026-03-27T10:00:00Z",
+      format: "test",
+      matchDays: 5,
+    };
+    const lines = unfoldLines(buildIcs([test], { now: NOW, alarmsFor: () => [30] }));
+    const props = (name) => lines.filter((l) => l.startsWith(`${name}:`)).map((l) => l.slice(name.length + 1));
+    expect(props("UID")).toEqual([1, 2, 3, 4, 5].map((n) => `cric-1-d${n}@sports-week-watchlist`));
+    expect(props("SUMMARY")[1]).toBe("India v Australia (Day 2)");
+    expect(props("DTSTART")).toEqual([
+      "20260327T100000Z",
+      "20260328T100000Z",
+      "20260329T090000Z",
+      "20260330T090000Z",
+      "20260331T090000Z",
+    ]);
+    expect(props("DTEND")[0]).toBe("20260327T170000Z");
+    expect(props("TRIGGER")).toEqual(["-PT30M"]);
+  });
+
+  it("folds long lines and ends every line with CRLF", () => {
+    const long = { ...fixtureEvents("epl")[0], venue: "A".repeat(120) };
+    const ics = buildIcs([long], { now: NOW });
+    const lines = ics.split("\r\n");
+    expect(lines.at(-1)).toBe("");
+    for (const line of lines) expect(new TextEncoder().encode(line).length).toBeLessThanOrEqual(75);
+    expect(unfoldLines(ics).some((l) => l === `LOCATION:${"A".repeat(120)}`)).toBe(true);
+  });
+
+  it("round-trips through the calendar importer", () => {
+    const events = FIXTURE_IDS.flatMap(fixtureEvents);
+    const back = icsToEvents(buildIcs(events, { now: NOW }), { sportLabel: "Mixed", leagueName: "Export" });
+    const byId = new Map(back.map((e) => [e.id, e]));
+    for (const e of events) {
+      const imported = byId.get(`${e.id}@sports-week-watchlist`);
+      expect(imported, e.id).toBeDefined();
+      expect(imported.title).toBe(e.title);
+      expect(Date.parse(imported.startTime)).toBe(Date.parse(e.startTime));
+    }
+  });
+});
+
+// Hand-written calendars, one feature each. Tests run in Europe/London, so floating times read
+// as London wall time; the clocks go forward there on 2026-03-29 and in New York on 2026-03-08.
+function calendar(body, header = "") {
+  return ["BEGIN:VCALENDAR", "VERSION:2.0", "PRODID:-//Test//EN", header, body, "END:VCALENDAR"]
+    .filter(Boolean)
+    .join("\r\n");
+}
+
+function vevent(...props) {
+  return ["BEGIN:VEVENT", ...props, "END:VEVENT"].join("\r\n");
+}
+
+const read = (ics, range) => icsToEvents(ics, { sportLabel: "Soccer", leagueName: "Test", range });
+const starts = (events) => events.map((e) => e.startTime.slice(0, 16));
+
+describe("icsToEvents recurrence", () => {
+  it("expands WEEKLY with BYDAY and COUNT", () => {
+    const ics = calendar(
+      vevent(
+        "UID:w",
+        "DTSTART;TZID=Europe/London:20260303T194500",
+        "DURATION:PT2H",
+        "RRULE:FREQ=WEEKLY;BYDAY=TU,SA;COUNT=5",
+        "SUMMARY:Arsenal vs Chelsea"
+      )
+    );
+    const events = read(ics);
+    expect(starts(events)).toEqual([
+      "2026-03-03T19:45",
+      "2026-03-07T19:45",
+      "2026-03-10T19:45",
+      "2026-03-14T19:45",
+      "2026-03-17T19:45",
+    ]);
+    expect(events[1]).toMatchObject({
+      id: `w/${Date.parse("2026-03-07T19:45:00Z")}`,
+      home: "Arsenal",
+      away: "Chelsea",
+      endTime: "2026-03-07T21:45:00.000Z",
+    });
+  });
+
+  it("stops at UNTIL and keeps the wall time across a clock change", () => {
+    const ics = calendar(
+      vevent(
+        "UID:u",
+        "DTSTART;TZID=Europe/London:20260321T150000",
+        "RRULE:FREQ=WEEKLY;UNTIL=20260404T235959Z",
+        "SUMMARY:Saturday 3pm"
+      )
+    );
+    expect(starts(read(ics))).toEqual(["2026-03-21T15:00", "2026-03-28T15:00", "2026-04-04T14:00"]);
+  });
+
+  it("skips months without the start's day for MONTHLY and still counts to COUNT", () => {
+    const ics = calendar(
+      vevent("UID:m", "DTSTART:20260131T120000Z", "RRULE:FREQ=MONTHLY;COUNT=4", "SUMMARY:Month end")
+    );
+    expect(starts(read(ics))).toEqual(["2026-01-31T12:00", "2026-03-31T12:00", "2026-05-31T12:00", "2026-07-31T12:00"]);
+  });
+
+  it("drops EXDATE occurrences, in the series' zone or in UTC", () => {
+    const ics = calendar(
+      vevent(
+        "UID:x",
+        "DTSTART;TZID=America/New_York:20260301T190000",
+        "RRULE:FREQ=DAILY;COUNT=5",
+        "EXDATE;TZID=America/New_York:20260302T190000",
+        "EXDATE:20260304T000000Z,20260305T000000Z",
+        "SUMMARY:Nightly"
+      )
+    );
+    expect(starts(read(ics))).toEqual(["2026-03-02T00:00", "2026-03-06T00:00"]);
+  });
+
+  it("replaces an occurrence with its RECURRENCE-ID override, under the same id", () => {
+    const ics = calendar(
+      [
+        vevent(
+          "UID:r",
+          "DTSTART:20260302T200000Z",
+          "DURATION:PT2H",
+          "RRULE:FREQ=WEEKLY;COUNT=3",
+          "SUMMARY:Celtics @ Lakers"
+        ),
+        vevent(
+          "UID:r",
+          "RECURRENCE-ID:20260309T200000Z",
+          "DTSTART:20260310T013000Z",
+          "DURATION:PT2H",
+          "SUMMARY:Celtics @ Lakers (moved)",
+          "STATUS:TENTATIVE"
+        ),
+      ].join("\r\n")
+    );
+    const events = read(ics).sort((a, b) => a.startTime.localeCompare(b.startTime));
+    expect(starts(events)).toEqual(["2026-03-02T20:00", "2026-03-10T01:30", "2026-03-16T20:00"]);
+    expect(events[1]).toMatchObject({
+      id: `r/${Date.parse("2026-03-09T20:00:00Z")}`,
+      title: "Celtics @ Lakers (moved)",
+      status: "Tentative",
+    });
+  });
+
+  it("only returns occurrences near the range", () => {
+    const ics = calendar(vevent("UID:d", "DTSTART:20260101T120000Z", "RRULE:FREQ=DAILY", "SUMMARY:Every day"));
+    expect(starts(read(ics, { start: new Date("2026-03-10T00:00:00Z"), days: 2 }))).toEqual([
+      "2026-03-09T12:00",
+      "2026-03-10T12:00",
+      "2026-03-11T12:00",
+      "2026-03-12T12:00",
+    ]);
+  });
+});
+
+describe("icsToEvents time zones", () => {
+  const at = (dtstart, header = "", extra = "") =>
+    read(calendar([extra, vevent("UID:z", dtstart, "SUMMARY:Kickoff")].filter(Boolean).join("\r\n"), header))[0];
+
+  it("reads UTC, TZID and floating times", () => {
+    expect(at("DTSTART:20260307T150000Z").startTime).toBe("2026-03-07T15:00:00.000Z");
+    expect(at("DTSTART;TZID=America/New_York:20260307T190000")).toMatchObject({
+      startTime: "2026-03-08T00:00:00.000Z",
+      timeZone: "America/New_York",
+    });
+    // Floating: the viewer's own clock, unless the calendar names a default zone.
+    expect(at("DTSTART:20260307T150000")).toMatchObject({ startTime: "2026-03-07T15:00:00.000Z", timeZone: "" });
+    expect(at("DTSTART:20260307T150000", "X-WR-TIMEZONE:Europe/Madrid")).toMatchObject({
+      startTime: "2026-03-07T14:00:00.000Z",
+      timeZone: "Europe/Madrid",
+    });
+    expect(at("DTSTART;VALUE=DATE:20260307")).toMatchObject({ startTime: "2026-03-07T00:00:00.000Z", allDay: true });
+  });
+
+  it("maps Windows names, path-prefixed ids and VTIMEZONE locations", () => {
+    expect(at("DTSTART;TZID=Eastern Standard Time:20260307T190000").startTime).toBe("2026-03-08T00:00:00.000Z");
+    expect(at('DTSTART;TZID="GMT Standard Time":20260401T150000').startTime).toBe("2026-04-01T14:00:00.000Z");
+    expect(at("DTSTART;TZID=/mozilla.org/20050126_1/Europe/Madrid:20260307T150000").timeZone).toBe("Europe/Madrid");
+    const vtimezone = [
+      "BEGIN:VTIMEZONE",
+      "TZID:Club Time",
+      "X-LIC-LOCATION:Australia/Sydney",
+      "BEGIN:STANDARD",
+      "TZOFFSETTO:+1000",
+      "END:STANDARD",
+      "END:VTIMEZONE",
+    ].join("\r\n");
+    expect(at("DTSTART;TZID=Club Time:20260307T190000", "", vtimezone)).toMatchObject({
+      startTime: "2026-03-07T08:00:00.000Z",
+      timeZone: "Australia/Sydney",
+    });
+  });
+
+  it("fails on a zone it can't place instead of reading it as floating", () => {
+    expect(() => at("DTSTART;TZID=Mars Standard Time:20260307T190000")).toThrow(
+      'Unknown time zone "Mars Standard Time"'
+    );
+    expect(() => at("DTSTART:20260307T190000", "X-WR-TIMEZONE:Local")).toThrow('Unknown time zone "Local"');
+    // Dates carry no time, so their zone doesn't matter.
+    expect(at("DTSTART;VALUE=DATE;TZID=Mars Standard Time:20260307").allDay).toBe(true);
+  });
+});
@@ -0,0 +1,83 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { assertEspnScoreboard, espnScoreboardProblems } from "../src/contracts";
+import { loadEventsForLeague, normalizeEspnScoreboard } from "../src/providers";
+import { FIXTURE_IDS, builtInLeague, fixtureFetch, readFixture } from "./fixtures";
+
+const RANGE = { start: new Date("2026-03-01T00:00:00"), days: 7 };
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe.each(FIXTURE_IDS)("ESPN %s fixture", (id) => {
+  const { league, sportName } = builtInLeague(id);
+
+  it("matches the scoreboard contract", () => {
+    expect(espnScoreboardProblems(readFixture(id))).toEqual([]);
+  });
+
+  it("normalizes every event to the adapter shape", () => {
+    const json = readFixture(id);
+    const events = normalizeEspnScoreboard(json, sportName);
+    expect(events).toHaveLength(json.events.length);
+    for (const e of events) {
+      expect(e).toMatchObject({ sport: sportName, id: expect.any(String), title: expect.stringContaining(" @ ") });
+      expect(Number.isNaN(Date.parse(e.startTime))).toBe(false);
+      expect(["pre", "in", "post"]).toContain(e.state);
+      expect(e.homeTeam?.key).toMatch(/\S/);
+      expect(e.awayTeam?.key).toMatch(/\S/);
+      expect(Array.isArray(e.broadcasts)).toBe(true);
+    }
+  });
+
+  it("loads through the adapter offline", async () => {
+    vi.stubGlobal("fetch", fixtureFetch(id));
+    const events = await loadEventsForLeague(league, sportName, RANGE);
+    expect(events.length).toBeGreaterThan(0);
+    expect(new Set(events.map((e) => e.id)).size).toBe(events.length);
+    if (league.timeZone) for (const e of events) expect(e.timeZone).toBeTruthy();
+  });
+});
+
+describe("scoreboard contract", () => {
+  const nba = () => readFixture("nba");
+
+  it("accepts an off week", () => {
+    expect(espnScoreboardProblems({ events: [] })).toEqual([]);
+  });
+
+  it("names the fields that went missing", () => {
+    const json = nba();
+    delete json.events[0].date;
+    json.events[1].competitions[0].competitors.forEach((c) => delete c.homeAway);
+    json.events[2].status.type.state = "STATUS_FINAL";
+    expect(espnScoreboardProblems(json)).toEqual([
+      "events[0].date is missing or not a date",
+      "events[1] has no home competitor",
+      "events[1] has no away competitor",
+      'events[2].status.type.state is "STATUS_FINAL"',
+    ]);
+  });
+
+  it("flags a renamed events array", () => {
+    const { events, ...rest } = nba();
+    expect(espnScoreboardProblems({ ...rest, items: events })).toEqual(["events is missing or not an array"]);
+  });
+
+  it("tolerates a few odd events but not a wholesale change", () => {
+    const json = nba();
+    json.events[0].competitions[0].competitors = [];
+    expect(() => assertEspnScoreboard(json)).not.toThrow();
+    for (const e of json.events) e.competitions = [];
+    expect(() => assertEspnScoreboard(json)).toThrow(/response changed: events\[0\]\.competitions\[0\]\.competitors is missing/);
+  });
+
+  it("surfaces a changed payload as a league error instead of an empty list", async () => {
+    vi.stubGlobal(
+      "fetch",
+      fixtureFetch("nba", ({ events, ...rest }) => ({ ...rest, games: events }))
+    );
+    const { league, sportName } = builtInLeague("nba");
+    await expect(loadEventsForLeague(league, sportName, RANGE)).rejects.toThrow("events is missing or not an array");
+  });
+});
@@ -0,0 +1,151 @@
+import { describe, expect, it } from "vitest";
+import { fuzzyMatch, matchesQuery, parseClock, parseQuery, suggest, tokenize } from "../src/query";
+
+const team = (key, name, abbr) => ({ key, name, abbr });
+const ARS = team("soccer:359", "Arsenal", "ARS");
+const CHE = team("soccer:363", "Chelsea", "CHE");
+const ATM = team("soccer:1068", "Atlético Madrid", "ATM");
+const BAY = team("soccer:132", "Bayern München", "BAY");
+
+const match = (id, startTime, homeTeam, awayTeam, extra = {}) => ({
+  id,
+  sport: "Soccer",
+  league: "Premier League",
+  leagueId: "epl",
+  title: `${awayTeam.name} @ ${homeTeam.name}`,
+  startTime,
+  homeTeam,
+  awayTeam,
+  state: "pre",
+  status: "Scheduled",
+  venue: "",
+  ...extra,
+});
+
+const EVENTS = [
+  // Saturday 2026-03-07, 12:30 in London.
+  match("sat", "2026-03-07T12:30:00Z", ARS, CHE, { venue: "Emirates Stadium" }),
+  // Sunday 2026-03-01, 14:00 in London, in play.
+  match("live", "2026-03-01T14:00:00Z", CHE, ARS, { state: "in", status: "Second Half", venue: "Stamford Bridge" }),
+  // Tuesday 2026-03-03, 20:00 in London, finished.
+  match("final", "2026-03-03T20:00:00Z", BAY, ATM, { league: "UEFA Champions League", leagueId: "ucl", state: "post", status: "Final" }),
+  match("off", "2026-03-04T19:45:00Z", ATM, ARS, { status: "Postponed" }),
+];
+
+const NOW = Date.parse("2026-03-01T09:00:00Z");
+const ctx = (extra = {}) => ({ favoriteKeys: new Set(), zoneOf: () => "Europe/London", now: NOW, ...extra });
+const search = (text, c = ctx()) => EVENTS.filter((e) => matchesQuery(parseQuery(text), e, c)).map((e) => e.id);
+
+describe("parseQuery", () => {
+  it("splits fields, quoted values and negation", () => {
+    expect(parseQuery('team:"man utd" -status:final arsenal').terms).toEqual([
+      { field: "team", value: "man utd", negate: false },
+      { field: "status", value: "final", negate: true },
+      { field: "", value: "arsenal", negate: false },
+    ]);
+  });
+
+  it("searches unknown fields as free text and drops empty terms", () => {
+    expect(parseQuery("foo:bar team: -").terms).toEqual([{ field: "", value: "foo:bar", negate: false }]);
+  });
+
+  it("keeps a trailing partial token with its position", () => {
+    expect(tokenize('day:sat team:"man')).toEqual([
+      { raw: "day:sat", start: 0, negate: false, field: "day", value: "sat" },
+      { raw: 'team:"man', start: 8, negate: false, field: "team", value: "man" },
+    ]);
+  });
+});
+
+describe("parseClock", () => {
+  it.each([
+    ["18", 18 * 60],
+    ["18:30", 18 * 60 + 30],
+    ["6pm", 18 * 60],
+    ["12am", 0],
+    ["6:30 PM", 18 * 60 + 30],
+    ["25:00", null],
+    ["soon", null],
+  ])("%s", (value, minutes) => {
+    expect(parseClock(value)).toBe(minutes);
+  });
+});
+
+describe("matchesQuery", () => {
+  it("requires every term and lets -term exclude", () => {
+    expect(search("team:arsenal")).toEqual(["sat", "live", "off"]);
+    expect(search("team:arsenal -team:chelsea")).toEqual(["off"]);
+    expect(search("-status:postponed -status:final")).toEqual(["sat", "live"]);
+  });
+
+  it("compares after:/before: in the zone the match is shown in", () => {
+    expect(search("after:18:00")).toEqual(["final", "off"]);
+    expect(search("before:1pm")).toEqual(["sat"]);
+    // 12:30 UTC is 07:30 in New York.
+    expect(search("before:9am", ctx({ zoneOf: () => "America/New_York" }))).toEqual(["sat"]);
+  });
+
+  it("matches day: names, weekend, today and dates", () => {
+    expect(search("day:sat")).toEqual(["sat"]);
+    expect(search("day:weekend")).toEqual(["sat", "live"]);
+    expect(search("day:weekday")).toEqual(["final", "off"]);
+    expect(search("day:today")).toEqual(["live"]);
+    expect(search("day:2026-03-03")).toEqual(["final"]);
+  });
+
+  it("maps status: onto the match state", () => {
+    expect(search("status:live")).toEqual(["live"]);
+    expect(search("status:final")).toEqual(["final"]);
+    expect(search("status:scheduled")).toEqual(["sat"]);
+    expect(search("status:postponed")).toEqual(["off"]);
+  });
+
+  it("matches teams without diacritics and through small typos", () => {
+    expect(search("team:atletico")).toEqual(["final", "off"]);
+    expect(search("team:munchen")).toEqual(["final"]);
+    expect(search("team:arsnal")).toEqual(["sat", "live", "off"]);
+    expect(search("team:bayrn")).toEqual(["final"]);
+    // Two edits is too many for a six-letter word.
+    expect(search("team:bayren")).toEqual([]);
+    expect(search("team:liverpool")).toEqual([]);
+  });
+
+  it("finds venue:home and venue:away against My teams", () => {
+    const favorites = ctx({ favoriteKeys: new Set([ARS.key]) });
+    expect(search("venue:home", favorites)).toEqual(["sat"]);
+    expect(search("venue:away", favorites)).toEqual(["live", "off"]);
+    expect(search("venue:stamford")).toEqual(["live"]);
+  });
+
+  it("searches free text across title, league and team names", () => {
+    expect(search("champions")).toEqual(["final"]);
+    expect(search("ATM")).toEqual(["final", "off"]);
+  });
+});
+
+describe("fuzzyMatch", () => {
+  it("needs exact prefixes for short words", () => {
+    expect(fuzzyMatch("ars", "Arsenal")).toBe(true);
+    expect(fuzzyMatch("asr", "Arsenal")).toBe(false);
+    expect(fuzzyMatch("machester", "Manchester City")).toBe(true);
+  });
+});
+
+describe("suggest", () => {
+  it("offers fields and teams for a bare word", () => {
+    expect(suggest("te", EVENTS)).toEqual(["team:"]);
+    expect(suggest("chel", EVENTS)).toEqual(["team:Chelsea ", "team:CHE "]);
+  });
+
+  it("completes a field's value and keeps what came before", () => {
+    expect(suggest("day:sat team:ar", EVENTS)).toEqual(["day:sat team:Arsenal "]);
+    expect(suggest("-status:f", EVENTS)).toEqual(["-status:final "]);
+    expect(suggest("team:bay", EVENTS)).toEqual(['team:"Bayern München" ']);
+  });
+
+  it("stays quiet after a space or for fields without values", () => {
+    expect(suggest("team:arsenal ", EVENTS)).toEqual([]);
+    expect(suggest("", EVENTS)).toEqual([]);
+    expect(suggest("foo:b", EVENTS)).toEqual([]);
+  });
+});
@@ -0,0 +1,132 @@
+import { describe, expect, it } from "vitest";
+import { alarmMinutesFor, buildReminders, isQuietTime, rulesFor } from "../src/reminderRules";
+
+// The suite runs with TZ=Europe/London, GMT throughout these March dates, so quiet hours
+// ("local time") read the same as UTC here.
+
+const MIN = 60 * 1000;
+const HOUR = 60 * MIN;
+const NOW = Date.parse("2026-03-01T09:00:00Z");
+
+const ARS = { key: "soccer:359", name: "Arsenal" };
+const CHE = { key: "soccer:363", name: "Chelsea" };
+const LIV = { key: "soccer:364", name: "Liverpool" };
+
+const match = (id, startTime, homeTeam, awayTeam, leagueId = "epl") => ({
+  id,
+  title: `${awayTeam.name} @ ${homeTeam.name}`,
+  startTime,
+  homeTeam,
+  awayTeam,
+  leagueId,
+  url: `https://example.test/${id}`,
+});
+
+const rule = (id, scope, leadMinutes, target = "") => ({ id, scope, target, targetName: "", leadMinutes });
+
+const EARLY = match("early", "2026-03-01T14:00:00Z", ARS, CHE);
+const LATE = match("late", "2026-03-01T16:30:00Z", LIV, ARS);
+const CUP = match("cup", "2026-03-03T20:00:00Z", CHE, LIV, "ucl");
+
+const leads = (e, rules, favoriteKeys) => rulesFor(e, rules, favoriteKeys).map((r) => r.leadMinutes);
+
+describe("rule scope precedence", () => {
+  const rules = [
+    rule("all", "all", 15),
+    rule("league", "league", 60, "epl"),
+    rule("team", "team", 30, ARS.key),
+    rule("match", "match", 24 * 60, "early"),
+  ];
+
+  it("lets a match rule override team, league and all", () => {
+    expect(leads(EARLY, rules)).toEqual([24 * 60]);
+  });
+
+  it("lets a team rule override league and all", () => {
+    expect(leads(LATE, rules)).toEqual([30]);
+  });
+
+  it("lets a league rule override all, and all cover the rest", () => {
+    expect(leads(match("other", LATE.startTime, LIV, CHE), rules)).toEqual([60]);
+    expect(leads(CUP, rules)).toEqual([15]);
+  });
+
+  it("puts My teams between team and league", () => {
+    const favorites = new Set([LIV.key]);
+    const withFavorites = [...rules, rule("fav", "favorites", 5)];
+    expect(leads(CUP, withFavorites, favorites)).toEqual([5]);
+    expect(leads(LATE, withFavorites, favorites)).toEqual([30]);
+  });
+
+  it("keeps every rule of the winning scope", () => {
+    expect(leads(CUP, [rule("a", "all", 15), rule("b", "all", 60)])).toEqual([15, 60]);
+    expect(alarmMinutesFor(EARLY, [...rules, rule("match2", "match", 5, "early")])).toEqual([24 * 60, 5]);
+  });
+});
+
+describe("isQuietTime", () => {
+  const overnight = { enabled: true, start: "23:00", end: "07:00" };
+  const at = (hhmm) => Date.parse(`2026-03-01T${hhmm}:00Z`);
+
+  it("wraps a window across midnight", () => {
+    expect(isQuietTime(at("23:00"), overnight)).toBe(true);
+    expect(isQuietTime(at("02:30"), overnight)).toBe(true);
+    expect(isQuietTime(at("06:59"), overnight)).toBe(true);
+    expect(isQuietTime(at("07:00"), overnight)).toBe(false);
+    expect(isQuietTime(at("22:59"), overnight)).toBe(false);
+  });
+
+  it("handles a same-day window and ignores disabled or empty ones", () => {
+    const afternoon = { enabled: true, start: "13:00", end: "15:00" };
+    expect(isQuietTime(at("14:00"), afternoon)).toBe(true);
+    expect(isQuietTime(at("15:00"), afternoon)).toBe(false);
+    expect(isQuietTime(at("02:30"), { ...overnight, enabled: false })).toBe(false);
+    expect(isQuietTime(at("02:30"), { enabled: true, start: "02:00", end: "02:00" })).toBe(false);
+  });
+
+  it("leaves quiet-hour alarms out of calendar exports", () => {
+    const night = match("night", "2026-03-02T00:30:00Z", ARS, CHE);
+    expect(alarmMinutesFor(night, [rule("a", "all", 15), rule("b", "all", 3 * 60)], { quietHours: overnight })).toEqual([180]);
+  });
+});
+
+describe("buildReminders preview", () => {
+  const preview = (rules, options = {}) =>
+    buildReminders([CUP, LATE, EARLY], rules, { now: NOW, horizonMs: 7 * 24 * HOUR, ...options });
+
+  it("lists upcoming reminders by fire time with their text", () => {
+    const list = preview([rule("all", "all", 60)]);
+    expect(list.map((r) => [r.id, new Date(r.fireAt).toISOString()])).toEqual([
+      ["early:60", "2026-03-01T13:00:00.000Z"],
+      ["late:60", "2026-03-01T15:30:00.000Z"],
+      ["cup:60", "2026-03-03T19:00:00.000Z"],
+    ]);
+    expect(list[0]).toMatchObject({
+      eventId: "early",
+      leadMinutes: 60,
+      title: "Starts in 1 hour",
+      body: "Chelsea @ Arsenal • 2026-03-01T14:00:00Z",
+      url: "https://example.test/early",
+      quiet: false,
+      moved: false,
+    });
+  });
+
+  it("drops reminders already due or past the horizon", () => {
+    const list = preview([rule("all", "all", 24 * 60)], { horizonMs: 3 * 24 * HOUR });
+    // A day before the two Sunday matches is already gone; the Tuesday one is in range.
+    expect(list.map((r) => r.id)).toEqual(["cup:1440"]);
+    expect(preview([rule("all", "all", 15)], { horizonMs: 6 * HOUR }).map((r) => r.id)).toEqual(["early:15"]);
+  });
+
+  it("collapses rules with the same lead and flags quiet hours", () => {
+    const list = preview([rule("a", "all", 60), rule("b", "all", 60)], {
+      quietHours: { enabled: true, start: "15:00", end: "16:00" },
+    });
+    expect(list.map((r) => [r.id, r.quiet])).toEqual([
+      ["early:60", false],
+      ["late:60", true],
+      ["cup:60", false],
+    ]);
+  });
+});
@@ -0,0 +1,87 @@
+import { describe, expect, it } from "vitest";
+import { eventsInRange, groupByDay, rangeDayKeys } from "../src/schedule";
+import { addDays } from "../src/util";
+
+// The suite runs with TZ=Europe/London (vite.config.js), so "local" days change offset on
+// 2026-03-29 (GMT -> BST) and 2026-10-25 (BST -> GMT).
+
+const match = (id, startTime, extra = {}) => ({ id, sport: "Soccer", league: "Test", title: id, startTime, ...extra });
+
+const days = (grouped) => grouped.map(({ day, events }) => [day, events.map((e) => e.id)]);
+
+describe("groupByDay across DST", () => {
+  const spring = rangeDayKeys(new Date(2026, 2, 27), 4);
+
+  it("puts late kickoffs on the right side of the spring-forward night", () => {
+    const events = [
+      match("sat-late", "2026-03-28T23:30:00Z"), // 23:30 GMT, Saturday
+      match("sun-early", "2026-03-29T00:30:00Z"), // 00:30 GMT, before the 01:00 UTC switch
+      match("sun-after", "2026-03-29T01:30:00Z"), // 02:30 BST
+      match("mon-midnight", "2026-03-29T23:30:00Z"), // 00:30 BST, Monday
+    ];
+    expect(days(groupByDay(events, "local", spring))).toEqual([
+      ["2026-03-28", ["sat-late"]],
+      ["2026-03-29", ["sun-early", "sun-after"]],
+      ["2026-03-30", ["mon-midnight"]],
+    ]);
+  });
+
+  it("uses the chosen zone's own DST dates", () => {
+    // New York springs forward on 2026-03-08 and falls back on 2026-11-01.
+    const range = rangeDayKeys(new Date(2026, 9, 30), 5);
+    const events = [
+      match("sat-edt", "2026-11-01T03:30:00Z"), // 23:30 EDT Saturday
+      match("sun-est", "2026-11-02T04:30:00Z"), // 23:30 EST Sunday
+    ];
+    expect(days(groupByDay(events, "America/New_York", range))).toEqual([
+      ["2026-10-31", ["sat-edt"]],
+      ["2026-11-01", ["sun-est"]],
+    ]);
+    expect(days(groupByDay(events, "local", range))).toEqual([
+      ["2026-11-01", ["sat-edt"]],
+      ["2026-11-02", ["sun-est"]],
+    ]);
+  });
+
+  it("groups by each venue's zone in venue mode and keeps all-day events floating", () => {
+    const events = [
+      match("la", "2026-03-29T05:00:00Z", { timeZone: "America/Los_Angeles" }), // 22:00 Saturday in LA
+      match("unknown-venue", "2026-03-29T05:00:00Z"),
+      match("holiday", "2026-03-30T00:00:00", { allDay: true }),
+    ];
+    expect(days(groupByDay(events, "venue", spring))).toEqual([
+      ["2026-03-28", ["la"]],
+      ["2026-03-29", ["unknown-venue"]],
+      ["2026-03-30", ["holiday"]],
+    ]);
+  });
+});
+
+describe("ranges", () => {
+  it("covers whole local days even when one is 23 hours long", () => {
+    const start = new Date(2026, 2, 26);
+    expect(rangeDayKeys(start, 7)).toEqual({ fromDay: "2026-03-26", toDay: "2026-04-02" });
+    expect(addDays(start, 4).getHours()).toBe(0);
+  });
+
+  it("keeps events whose day falls inside and drops the padding ESPN returns", () => {
+    const range = rangeDayKeys(new Date(2026, 2, 28), 2);
+    const events = [
+      match("before", "2026-03-27T23:59:00Z"),
+      match("first", "2026-03-28T00:00:00Z"),
+      match("last", "2026-03-29T22:59:00Z"), // 23:59 BST
+      match("after", "2026-03-29T23:00:00Z"), // 00:00 BST Monday
+    ];
+    expect(eventsInRange(events, range, "local").map((e) => e.id)).toEqual(["first", "last"]);
+  });
+
+  it("spreads a multi-day match over its days of play and trims to the range", () => {
+    const test = match("test", "2026-03-27T10:00:00Z", { sport: "Cricket", format: "test", matchDays: 5 });
+    const range = rangeDayKeys(new Date(2026, 2, 30), 7);
+    expect(eventsInRange([test], range, "local")).toHaveLength(1);
+    const grouped = groupByDay([test], "local", range);
+    expect(grouped.map((d) => d.day)).toEqual(["2026-03-30", "2026-03-31"]);
+    expect(grouped[0].events[0]).toMatchObject({ id: "test", playDay: 4, playDays: 5, dayStartTime: "2026-03-30T09:00:00.000Z" });
+    expect(eventsInRange([test], rangeDayKeys(new Date(2026, 3, 1), 7), "local")).toHaveLength(0);
+  });
+});
@@ -0,0 +1,191 @@
+import { describe, expect, it } from "vitest";
+import {
+  SETTINGS_KEY,
+  SETTINGS_VERSION,
+  defaultSettings,
+  exportProfile,
+  importProfile,
+  loadSettings,
+  validateSettings,
+} from "../src/settings";
+
+// A Storage stand-in over a Map, seeded with raw string values.
+function memoryStorage(entries = {}) {
+  const map = new Map(Object.entries(entries));
+  return {
+    getItem: (k) => (map.has(k) ? map.get(k) : null),
+    setItem: (k, v) => map.set(k, String(v)),
+    removeItem: (k) => map.delete(k),
+    keys: () => [...map.keys()].sort(),
+    json: (k) => JSON.parse(map.get(k)),
+  };
+}
+
+const stored = (record) => memoryStorage({ [SETTINGS_KEY]: JSON.stringify({ version: SETTINGS_VERSION, ...record }) });
+
+const cricketFeed = { id: "custom", sport: "Cricket", name: "Cricket feed", kind: "json", url: "https://example.test/cricket.json" };
+
+describe("loadSettings with unreadable data", () => {
+  it.each([
+    ["broken JSON", "{not json"],
+    ["a bare value", "42"],
+    ["an array", "[]"],
+    ["no version", JSON.stringify({ teams: [] })],
+  ])("starts from defaults on %s and keeps the original", (_, raw) => {
+    const storage = memoryStorage({ [SETTINGS_KEY]: raw });
+    const { settings, recovered, problems } = loadSettings(storage);
+    expect(recovered).toBe(true);
+    expect(problems).toEqual([]);
+    expect(settings).toEqual(defaultSettings());
+    expect(storage.getItem("sww_settings_corrupt")).toBe(raw);
+    // The good record replaces the broken one, so the next load is clean.
+    expect(storage.json(SETTINGS_KEY)).toEqual(defaultSettings());
+    expect(loadSettings(storage).recovered).toBe(false);
+  });
+
+  it("resets only the fields that fail validation", () => {
+    const teams = [{ key: "soccer:359", name: "Arsenal", sport: "Soccer" }];
+    const { settings, recovered, problems } = loadSettings(
+      stored({
+        teams,
+        hideScores: true,
+        displayZone: "Mars/Olympus_Mons",
+        quietHours: { enabled: true, start: "25:00", end: "07:00" },
+        reminderRules: [{ id: "r", scope: "planet", target: "", leadMinutes: 15 }],
+        view: "week",
+        leagues: [{ ...cricketFeed, kind: "cricket", url: "not a url" }],
+      })
+    );
+    expect(recovered).toBe(false);
+    expect(problems).toEqual(["leagues", "reminderRules", "quietHours", "displayZone"]);
+    const defaults = defaultSettings();
+    expect(settings).toMatchObject({
+      teams,
+      hideScores: true,
+      view: "week",
+      displayZone: defaults.displayZone,
+      quietHours: defaults.quietHours,
+      reminderRules: defaults.reminderRules,
+      leagues: [],
+    });
+  });
+
+  it("keeps what validates from a newer build's record", () => {
+    const { settings, recovered } = loadSettings(stored({ version: SETTINGS_VERSION + 1, hideScores: true, newThing: 1 }));
+    expect(recovered).toBe(false);
+    expect(settings.hideScores).toBe(true);
+    expect(settings).not.toHaveProperty("newThing");
+  });
+});
+
+describe("legacy sww_* keys", () => {
+  const legacy = () =>
+    memoryStorage({
+      sww_active_sport: "soccer",
+      sww_enabled: JSON.stringify({ basketball: [], soccer: ["epl"], hockey: [], cricket: ["custom"] }),
+      sww_favorites: JSON.stringify(["Lakers @ Celtics", "Arsenal vs Chelsea"]),
+      sww_hide_scores: "1",
+      sww_cricket_url: cricketFeed.url,
+      sww_reminder_rules: "{broken",
+      sww_quiet_hours: JSON.stringify({ enabled: true, start: "22:00", end: "06:30" }),
+    });
+
+  it("imports the one-key-per-setting layout and removes it", () => {
+    const storage = legacy();
+    const { settings, recovered } = loadSettings(storage);
+    expect(recovered).toBe(false);
+    expect(settings).toMatchObject({
+      activeSport: "soccer",
+      hideScores: true,
+      myTeamsOnly: false,
+      quietHours: { enabled: true, start: "22:00", end: "06:30" },
+      // Unparseable legacy values fall back to their defaults.
+      reminderRules: defaultSettings().reminderRules,
+    });
+    expect(settings.teams.map((t) => t.key)).toEqual(["legacy:lakers", "legacy:celtics", "legacy:arsenal", "legacy:chelsea"]);
+    expect(storage.keys()).toEqual([SETTINGS_KEY]);
+  });
+
+  it("moves the single cricket feed URL to a cricket league", () => {
+    expect(loadSettings(legacy()).settings.leagues).toEqual([{ ...cricketFeed, kind: "cricket" }]);
+  });
+
+  it("doesn't switch back on default leagues the user had turned off", () => {
+    // ucl and nba are defaults, but this profile predates seenDefaults and had them off.
+    const { settings } = loadSettings(legacy());
+    expect(settings.enabled).toEqual({ basketball: [], soccer: ["epl"], hockey: [], cricket: ["custom"] });
+  });
+});
+
+describe("migrations", () => {
+  it("moves cricket JSON leagues to the cricket adapter from version 1", () => {
+    const other = { id: "rugby", sport: "Rugby", name: "Rugby feed", kind: "json", url: "https://example.test/rugby.json" };
+    const storage = memoryStorage({ [SETTINGS_KEY]: JSON.stringify({ version: 1, leagues: [cricketFeed, other] }) });
+    const { settings, problems } = loadSettings(storage);
+    expect(problems).toEqual([]);
+    expect(settings.leagues).toEqual([{ ...cricketFeed, kind: "cricket" }, other]);
+    expect(storage.json(SETTINGS_KEY).version).toBe(SETTINGS_VERSION);
+  });
+
+  it("marks every current default as seen for version 0 records", () => {
+    const { settings } = importProfile(
+      JSON.stringify({ app: "sports-week-watchlist", settings: { version: 0, enabled: { soccer: ["epl"] } } })
+    );
+    expect(settings.enabled.soccer).toEqual(["epl"]);
+    expect(settings.seenDefaults).toEqual(defaultSettings().seenDefaults);
+  });
+});
+
+describe("seenDefaults", () => {
+  it("offers a default league this profile hasn't seen yet, once", () => {
+    const { settings } = validateSettings({ enabled: { soccer: ["epl"] }, seenDefaults: ["nba", "epl", "nhl"] });
+    expect(settings.enabled.soccer).toEqual(["epl", "ucl"]);
+    expect(settings.seenDefaults).toContain("ucl");
+    // Switched off afterwards, it stays off.
+    const again = validateSettings({ ...settings, enabled: { ...settings.enabled, soccer: ["epl"] } });
+    expect(again.settings.enabled.soccer).toEqual(["epl"]);
+  });
+});
+
+describe("importProfile", () => {
+  it.each([
+    ["invalid JSON", "nope", "That file isn't valid JSON."],
+    ["another app's file", JSON.stringify({ app: "other", settings: {} }), "That file isn't a Sports Week Watchlist profile."],
+    ["a file without settings", JSON.stringify({ app: "sports-week-watchlist" }), "That file isn't a Sports Week Watchlist profile."],
+    [
+      "settings without a version",
+      JSON.stringify({ app: "sports-week-watchlist", settings: { teams: [] } }),
+      "The profile has no settings version.",
+    ],
+  ])("rejects %s", (_, text, message) => {
+    expect(() => importProfile(text)).toThrow(message);
+  });
+
+  it("round-trips an export and reports fields it had to reset", () => {
+    const settings = { ...defaultSettings(), hideScores: true, savedViews: [{ id: "v", name: "Late", query: "after:20:00" }] };
+    expect(importProfile(exportProfile(settings, new Date("2026-03-01T09:00:00Z")))).toEqual({ settings, problems: [] });
+    const broken = JSON.parse(exportProfile(settings));
+    broken.settings.savedViews = [{ name: "no id" }];
+    expect(importProfile(JSON.stringify(broken)).problems).toEqual(["savedViews"]);
+  });
+});
+
+describe("reminder lead time", () => {
+  it("defaults to the default rule's 15 minutes", () => {
+    expect(loadSettings(memoryStorage()).settings.reminderLead).toBe(15);
+  });
+
+  it("is kept across loads and in profile exports", () => {
+    const storage = stored({ reminderLead: 24 * 60 });
+    const { settings } = loadSettings(storage);
+    expect(settings.reminderLead).toBe(24 * 60);
+    expect(storage.json(SETTINGS_KEY).reminderLead).toBe(24 * 60);
+    expect(importProfile(exportProfile(settings)).settings.reminderLead).toBe(24 * 60);
+  });
+
+  it("falls back to the default when it isn't one of the offered lead times", () => {
+    const { settings, problems } = loadSettings(stored({ reminderLead: 7 }));
+    expect(settings.reminderLead).toBe(15);
+    expect(problems).toEqual(["reminderLead"]);
+  });
+});
@@ -0,0 +1,96 @@
+import { describe, expect, it } from "vitest";
+import {
+  decodeShareState,
+  encodeShareState,
+  enabledToLeagueIds,
+  leagueIdsToEnabled,
+  shareDiffers,
+} from "../src/shareState";
+
+const STATE = {
+  activeSport: "soccer",
+  leagueIds: ["epl", "ucl"],
+  rangeStart: new Date(2026, 2, 1),
+  rangeDays: 14,
+  query: 'team:"man utd" -status:final',
+  myTeamsOnly: true,
+  teams: [
+    { key: "soccer:359", name: "Arsenal" },
+    { key: "soccer:331", name: "Brighton | Hove" },
+  ],
+};
+
+const SPORTS = {
+  soccer: { leagues: [{ id: "epl" }, { id: "ucl" }, { id: "laliga" }] },
+  basketball: { leagues: [{ id: "nba" }] },
+};
+
+describe("encodeShareState / decodeShareState", () => {
+  it("round-trips a version-1 link", () => {
+    const search = encodeShareState(STATE);
+    expect(search).toMatch(/^\?v=1&sport=soccer&lg=epl%2Cucl&from=2026-03-01&days=14&q=/);
+    const shared = decodeShareState(search);
+    expect(shared).toEqual({
+      ...STATE,
+      teams: STATE.teams.map((t) => ({ ...t, sport: "" })),
+    });
+    expect(shared.rangeStart.getHours()).toBe(0);
+  });
+
+  it("leaves out empty leagues, teams, query and the My teams flag", () => {
+    const search = encodeShareState({ ...STATE, leagueIds: [], teams: [], query: "", myTeamsOnly: false });
+    expect(search).toBe("?v=1&sport=soccer&from=2026-03-01&days=14");
+    expect(decodeShareState(search)).toEqual({
+      activeSport: "soccer",
+      rangeStart: new Date(2026, 2, 1),
+      rangeDays: 14,
+      myTeamsOnly: false,
+    });
+  });
+
+  it("ignores links without a known version", () => {
+    expect(decodeShareState("")).toBeNull();
+    expect(decodeShareState("?sport=soccer&lg=epl")).toBeNull();
+    expect(decodeShareState("?v=2&sport=soccer")).toBeNull();
+    expect(decodeShareState("?v=one")).toBeNull();
+  });
+
+  it("drops fields it can't read and keeps the rest", () => {
+    expect(decodeShareState("?v=1&from=01/03/2026&days=9&lg=,epl,,&t=soccer:359&t=|Nobody")).toEqual({
+      leagueIds: ["epl"],
+      myTeamsOnly: false,
+      teams: [{ key: "soccer:359", name: "soccer:359", sport: "" }],
+    });
+    expect(decodeShareState("?v=1&lg=&only=yes")).toEqual({ leagueIds: [], myTeamsOnly: false });
+  });
+});
+
+describe("league ids", () => {
+  it("flattens and sorts the enabled map", () => {
+    expect(enabledToLeagueIds({ soccer: ["ucl", "epl"], basketball: ["nba"], hockey: [] })).toEqual([
+      "epl",
+      "nba",
+      "ucl",
+    ]);
+  });
+
+  it("rebuilds the enabled map, dropping leagues the recipient doesn't have", () => {
+    expect(leagueIdsToEnabled(["nba", "epl", "mlb"], SPORTS)).toEqual({ soccer: ["epl"], basketball: ["nba"] });
+    expect(leagueIdsToEnabled([], SPORTS)).toEqual({ soccer: [], basketball: [] });
+  });
+});
+
+describe("shareDiffers", () => {
+  const enabled = { soccer: ["epl", "ucl"], basketball: [] };
+  const teams = [{ key: "soccer:359", name: "Arsenal", sport: "Soccer" }];
+
+  it("is false when the link's leagues and teams match the recipient's own", () => {
+    expect(shareDiffers({ leagueIds: ["ucl", "epl"], teams: [{ key: "soccer:359" }] }, enabled, teams)).toBe(false);
+    expect(shareDiffers({}, enabled, teams)).toBe(false);
+  });
+
+  it("is true when either set differs", () => {
+    expect(shareDiffers({ leagueIds: ["epl"] }, enabled, teams)).toBe(true);
+    expect(shareDiffers({ teams: [] }, enabled, teams)).toBe(true);
+  });
+});
@@ -0,0 +1,54 @@
+import { describe, expect, it } from "vitest";
+import { isTypingTarget, rowTarget, shortcutFor } from "../src/shortcuts";
+
+const key = (k, extra = {}) => ({ key: k, target: { tagName: "BODY" }, ...extra });
+
+describe("shortcutFor", () => {
+  it("maps the single keys and arrows", () => {
+    expect(shortcutFor(key("/"))).toBe("search");
+    expect(shortcutFor(key("r"))).toBe("refresh");
+    expect(shortcutFor(key("R", { shiftKey: true }))).toBe("refresh");
+    expect(shortcutFor(key("f"))).toBe("follow");
+    expect(shortcutFor(key("ArrowLeft"))).toBe("previousDay");
+    expect(shortcutFor(key("ArrowDown"))).toBe("nextMatch");
+    expect(shortcutFor(key("x"))).toBeNull();
+    expect(shortcutFor(key("constructor"))).toBeNull();
+  });
+
+  it("stays out of the way of modifiers, fields and handled keys", () => {
+    expect(shortcutFor(key("r", { ctrlKey: true }))).toBeNull();
+    expect(shortcutFor(key("r", { metaKey: true }))).toBeNull();
+    expect(shortcutFor(key("ArrowDown", { defaultPrevented: true }))).toBeNull();
+    expect(shortcutFor(key("/", { target: { tagName: "INPUT", type: "search" } }))).toBeNull();
+    expect(shortcutFor(key("f", { target: { tagName: "SELECT" } }))).toBeNull();
+    expect(shortcutFor(key("r", { target: { tagName: "INPUT", type: "checkbox" } }))).toBe("refresh");
+  });
+
+  it("treats text inputs and editable content as typing", () => {
+    expect(isTypingTarget({ tagName: "INPUT", type: "text" })).toBe(true);
+    expect(isTypingTarget({ tagName: "DIV", isContentEditable: true })).toBe(true);
+    expect(isTypingTarget({ tagName: "BUTTON" })).toBe(false);
+    expect(isTypingTarget(null)).toBe(false);
+  });
+});
+
+describe("rowTarget", () => {
+  const row = (day) => ({ dataset: { day } });
+  const rows = [row("2026-03-01"), row("2026-03-01"), row("2026-03-02"), row("2026-03-03"), row("2026-03-03")];
+
+  it("steps one match at a time, stopping at the ends", () => {
+    expect(rowTarget(rows, rows[1], "nextMatch")).toBe(rows[2]);
+    expect(rowTarget(rows, rows[1], "previousMatch")).toBe(rows[0]);
+    expect(rowTarget(rows, rows[0], "previousMatch")).toBeNull();
+    expect(rowTarget(rows, rows[4], "nextMatch")).toBeNull();
+  });
+
+  it("jumps to the first match of the next or previous day", () => {
+    expect(rowTarget(rows, rows[0], "nextDay")).toBe(rows[2]);
+    expect(rowTarget(rows, rows[2], "nextDay")).toBe(rows[3]);
+    expect(rowTarget(rows, rows[4], "previousDay")).toBe(rows[2]);
+    expect(rowTarget(rows, rows[2], "previousDay")).toBe(rows[0]);
+    expect(rowTarget(rows, rows[1], "previousDay")).toBeNull();
+    expect(rowTarget(rows, rows[3], "nextDay")).toBeNull();
+  });
+});
@@ -0,0 +1,102 @@
+import { readFileSync } from "node:fs";
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { espnScoreboardProblems } from "../src/contracts";
+import { buildIcs } from "../src/ics";
+import { loadTeamSchedule } from "../src/providers";
+import { makeTeam, teamProviderId } from "../src/teams";
+import { builtInLeague } from "./fixtures";
+
+// fixtures/espn/teams/<leagueId>-<teamId>.json: recorded /teams/<id>/schedule responses.
+const readTeamFixture = (name) => JSON.parse(readFileSync(new URL(`../fixtures/espn/teams/${name}.json`, import.meta.url), "utf8"));
+
+const celtics = makeTeam("Basketball", "2", "Boston Celtics", "BOS");
+
+function serve(routes) {
+  const calls = [];
+  vi.stubGlobal("fetch", async (url) => {
+    calls.push(String(url));
+    const body = Object.entries(routes).find(([prefix]) => String(url).startsWith(prefix))?.[1];
+    if (body === undefined) return new Response("offline", { status: 404 });
+    return new Response(JSON.stringify(body), { headers: { "content-type": "application/json" } });
+  });
+  return calls;
+}
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe("teamProviderId", () => {
+  it("reads provider ids and skips name-only keys", () => {
+    expect(teamProviderId(celtics.key)).toBe("2");
+    expect(teamProviderId(makeTeam("Cricket", null, "India").key)).toBeNull();
+    expect(teamProviderId("legacy:boston-celtics")).toBeNull();
+  });
+});
+
+describe("ESPN team schedule", () => {
+  const { league, sportName } = builtInLeague("nba");
+  const teamUrl = "https://site.api.espn.com/apis/site/v2/sports/basketball/nba/teams/2/schedule";
+
+  it("matches the scoreboard contract", () => {
+    expect(espnScoreboardProblems(readTeamFixture("nba-2"))).toEqual([]);
+  });
+
+  it("loads past results and upcoming fixtures offline", async () => {
+    const calls = serve({ [teamUrl]: readTeamFixture("nba-2") });
+    const events = await loadTeamSchedule(league, sportName, celtics);
+    expect(calls).toEqual([teamUrl, `${teamUrl}?fixture=true`]);
+    expect(events.map((e) => [e.state, e.startTime])).toEqual([
+      ["post", "2026-02-25T00:30Z"],
+      ["post", "2026-02-27T00:00Z"],
+      ["post", "2026-03-01T00:30Z"],
+      ["pre", "2026-03-10T02:30Z"],
+      ["pre", "2026-03-21T23:00Z"],
+    ]);
+    expect(events[1]).toMatchObject({
+      league: "NBA",
+      leagueId: "nba",
+      title: "Boston Celtics @ New York Knicks",
+      score: { home: "110", away: "99" },
+      timeZone: "America/New_York",
+    });
+    expect(events[3].broadcasts).toEqual([{ name: "NBA League Pass", region: "us", market: "national", type: "Streaming" }]);
+  });
+
+  it("gets by with one of the two endpoints", async () => {
+    serve({ [`${teamUrl}?fixture=true`]: readTeamFixture("nba-2") });
+    expect(await loadTeamSchedule(league, sportName, celtics)).toHaveLength(5);
+  });
+
+  it("fails when the team has no provider id or nothing answers", async () => {
+    serve({});
+    await expect(loadTeamSchedule(league, sportName, celtics)).rejects.toThrow("HTTP 404");
+    await expect(loadTeamSchedule(league, sportName, makeTeam("Basketball", null, "Celtics"))).rejects.toThrow(/no team schedules/);
+  });
+
+  it("exports the season as one calendar", async () => {
+    serve({ [teamUrl]: readTeamFixture("nba-2") });
+    const events = await loadTeamSchedule(league, sportName, celtics);
+    const ics = buildIcs(events, { calendarName: "Boston Celtics (Basketball)", now: Date.parse("2026-03-01T12:00:00Z") });
+    expect(ics.match(/BEGIN:VEVENT/g)).toHaveLength(5);
+    expect(ics).toContain("UID:401810102@sports-week-watchlist\r\nDTSTAMP:20260301T120000Z\r\nDTSTART:20260321T230000Z");
+    expect(ics.match(/STATUS:CANCELLED/g)).toHaveLength(1);
+  });
+});
+
+describe("feeds without a team endpoint", () => {
+  it("filter the whole feed to the team", async () => {
+    const league = { id: "custom", name: "Club feed", kind: "json", url: "https://example.com/fixtures.json" };
+    serve({
+      [league.url]: [
+        { title: "Rovers v United", startTime: "2026-03-07T15:00:00Z", home: "Rovers", away: "United" },
+        { title: "City v Rovers", startTime: "2026-03-03T19:45:00Z", home: "City", away: "Rovers" },
+        { title: "City v United", startTime: "2026-03-04T19:45:00Z", home: "City", away: "United" },
+      ],
+    });
+    const rovers = makeTeam("Football", null, "Rovers");
+    const events = await loadTeamSchedule(league, "Football", rovers);
+    expect(events.map((e) => e.title)).toEqual(["City v Rovers", "Rovers v United"]);
+    expect(events.every((e) => e.leagueId === "custom")).toBe(true);
+  });
+});
@@ -1,7 +1,38 @@
+import { createHash } from "node:crypto";
+import { readdirSync, readFileSync } from "node:fs";
 import { defineConfig } from "vite";
 import react from "@vitejs/plugin-react";
 
+// Emits dist/sw.js from src/service-worker.js with the list of built files to precache.
+// URLs are relative to the worker, so they follow `base`.
+function serviceWorker() {
+  return {
+    name: "sww-service-worker",
+    apply: "build",
+    enforce: "post",
+    generateBundle(_, bundle) {
+      const built = Object.keys(bundle).filter((f) => !f.endsWith(".map"));
+      const publicFiles = readdirSync("public");
+      const precache = ["./", ...built, ...publicFiles];
+      const hash = createHash("sha256");
+      for (const [fileName, item] of Object.entries(bundle)) hash.update(fileName).update(item.code ?? item.source ?? "");
+      const source = readFileSync("src/service-worker.js", "utf8")
+        .replace("self.__PRECACHE__", JSON.stringify(precache))
+        .replace("__VERSION__", hash.digest("hex").slice(0, 12));
+      this.emitFile({ type: "asset", fileName: "sw.js", source });
+    },
+  };
+}
+
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), serviceWorker()],
   base: "/sports-week-watchlist/", // <-- must match your repo name
+  // Vitest (npm test): the data layer runs headless against fixtures/espn. A fixed zone with DST
+  // keeps day grouping and ICS snapshots the same on every machine.
+  test: {
+    include: ["test/**/*.test.{js,jsx}"],
+    // Child processes rather than worker threads: threads share the parent's zone.
+    pool: "forks",
+    env: { TZ: "Europe/London" },
+  },
 });